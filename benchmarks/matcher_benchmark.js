@@ -0,0 +1,169 @@
+// Compares the compiled lexicon matcher with the per-term RegExp loops it replaced.
+//
+//   node benchmarks/matcher_benchmark.js [repeat counts...]
+//
+// Each fixture set is concatenated `repeat` times to build large inputs. The
+// script checks that both paths find the same lexicon candidates (offsets,
+// text, reason and category), then reports timings for matching alone and for
+// a full redactText call. Exits non-zero on any mismatch.
+//
+// Risk scores are not compared: assertion analysis and context rules have
+// changed scoring since the loops were replaced, and the reference keeps only
+// their matching.
+
+const fs = require('fs');
+const path = require('path');
+const { performance } = require('perf_hooks');
+const { SanctuAI, RedactionReason } = require('../sanctuai_backend');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures');
+const LEXICON_DETECTORS = ['symptoms', 'emotions', 'relationships', 'medical'];
+
+// The baseline per-term RegExp detectors, kept here as the reference
+// implementation: one RegExp per lexicon term, then a re-scan of the text for
+// every detection to find its positions, as redactText used to
+const legacy = {
+    detectSymptoms(engine, text) {
+        const symptomsFound = [];
+        const textLower = text.toLowerCase();
+        for (const [category, symptoms] of Object.entries(engine.symptomPatterns)) {
+            for (const symptom of symptoms) {
+                const pattern = new RegExp('\\b' + engine.escapeRegExp(symptom.toLowerCase()) + '\\b', 'gi');
+                let match;
+                while ((match = pattern.exec(textLower)) !== null) {
+                    symptomsFound.push({ text: match[0], category });
+                }
+            }
+        }
+        return symptomsFound;
+    },
+
+    detectTerms(engine, text, terms) {
+        const found = [];
+        const textLower = text.toLowerCase();
+        for (const term of terms) {
+            const pattern = new RegExp('\\b' + engine.escapeRegExp(term.toLowerCase()) + '\\b', 'gi');
+            let match;
+            while ((match = pattern.exec(textLower)) !== null) {
+                found.push({ text: match[0] });
+            }
+        }
+        return found;
+    },
+
+    rescan(engine, text, found, reason, contextFor) {
+        const candidates = [];
+        for (const item of found) {
+            const pattern = new RegExp('\\b' + engine.escapeRegExp(item.text.toLowerCase()) + '\\b', 'gi');
+            let match;
+            while ((match = pattern.exec(text.toLowerCase())) !== null) {
+                candidates.push({
+                    start: match.index,
+                    end: match.index + match[0].length,
+                    text: text.substring(match.index, match.index + match[0].length),
+                    reason,
+                    context: contextFor(item)
+                });
+            }
+        }
+        return candidates;
+    },
+
+    candidates(engine, text) {
+        return [
+            ...this.rescan(engine, text, this.detectSymptoms(engine, text), RedactionReason.SYMPTOM, item => item.category),
+            ...this.rescan(engine, text, this.detectTerms(engine, text, Object.keys(engine.emotionPatterns)),
+                RedactionReason.EMOTION, () => 'emotional_expression'),
+            ...this.rescan(engine, text, this.detectTerms(engine, text, Object.keys(engine.relationshipPatterns)),
+                RedactionReason.RELATION, () => 'relationship_reference'),
+            ...this.rescan(engine, text, this.detectTerms(engine, text, engine.medicalTerms),
+                RedactionReason.MEDICAL, () => 'medical_information')
+        ];
+    }
+};
+
+function compiledCandidates(engine, text) {
+    engine.lastScan = null;
+    return [
+        ...engine.symptomCandidates(text),
+        ...engine.emotionCandidates(text),
+        ...engine.relationshipCandidates(text),
+        ...engine.medicalCandidates(text)
+    ];
+}
+
+// Distinct candidates in a stable order; the re-scan reports an occurrence
+// once per detection of the same term
+function normalize(candidates) {
+    const keys = new Set(candidates.map(({ start, end, text, reason, context }) =>
+        JSON.stringify([start, end, text, reason, context])));
+    return [...keys].sort();
+}
+
+// Only the lexicon detectors, so name detection does not dominate the timings
+function lexiconEngine() {
+    const engine = new SanctuAI();
+    for (const detector of [...engine.detectors]) {
+        if (!LEXICON_DETECTORS.includes(detector.name)) {
+            engine.unregisterDetector(detector.name);
+        }
+    }
+    return engine;
+}
+
+function redact(engine, text) {
+    engine.lastScan = null;
+    const { redactedText, redactionEntries } = engine.redactText(text);
+    return {
+        redactedText,
+        entries: redactionEntries.map(({ timestamp, ...entry }) => entry)
+    };
+}
+
+function time(fn) {
+    const start = performance.now();
+    const result = fn();
+    return { result, ms: performance.now() - start };
+}
+
+function main() {
+    const repeats = process.argv.slice(2).map(Number).filter(n => n > 0);
+    const sizes = repeats.length > 0 ? repeats : [1, 10, 40];
+    const fixtures = fs.readdirSync(FIXTURE_DIR)
+        .filter(file => file.endsWith('.txt'))
+        .sort()
+        .map(file => fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8'));
+    const base = fixtures.join('\n\n');
+
+    let mismatches = 0;
+    console.log('repeat    chars    legacy match   compiled match   compiled redact   identical');
+
+    for (const repeat of sizes) {
+        const text = Array(repeat).fill(base).join('\n\n');
+        const engine = lexiconEngine();
+
+        const oldMatch = time(() => legacy.candidates(engine, text));
+        const newMatch = time(() => engine.lexiconMatcher.scan(text));
+        const newRedact = time(() => redact(engine, text));
+
+        const identical = JSON.stringify(normalize(oldMatch.result)) ===
+            JSON.stringify(normalize(compiledCandidates(engine, text)));
+        if (!identical) mismatches++;
+
+        console.log([
+            String(repeat).padStart(6),
+            String(text.length).padStart(8),
+            `${oldMatch.ms.toFixed(1)} ms`.padStart(15),
+            `${newMatch.ms.toFixed(1)} ms`.padStart(16),
+            `${newRedact.ms.toFixed(1)} ms`.padStart(17),
+            (identical ? 'yes' : 'NO').padStart(11)
+        ].join(' '));
+    }
+
+    if (mismatches > 0) {
+        console.error(`${mismatches} input size(s) produced different results`);
+        process.exit(1);
+    }
+}
+
+main();
@@ -0,0 +1,310 @@
+// Measures detection quality against the annotated corpus.
+//
+//   node evaluation/evaluate.js [options] [corpus files or directories...]
+//
+//   --policy <file>      Redaction policy to evaluate with
+//   --json <file>        Write the report as JSON
+//   --html <file>        Write the report as HTML
+//   --baseline <file>    Recall baseline (default: evaluation/baseline.json)
+//   --update-baseline    Store this run's recall as the new baseline
+//
+// Each document is redacted with redactText and its entries are matched to the
+// gold annotations: a gold span counts as found when an entry of the same
+// category overlaps it. Reports per-category precision, recall and F1, plus
+// leakage: gold spans left fully or partly visible in the redacted text.
+// Exits non-zero when any category's recall falls below its baseline.
+//
+// Corpus files hold { name, documents: [{ id, text, annotations }] }. An
+// annotation gives `text` (every whole-word occurrence, or only the
+// `occurrence`-th) or explicit `start`/`end`, and a `category` key, or a list
+// of keys when several categories are acceptable.
+
+const fs = require('fs');
+const path = require('path');
+const { SanctuAI, RedactionReason } = require('../sanctuai_backend');
+
+const CORPUS_DIR = path.join(__dirname, 'corpus');
+const BASELINE_PATH = path.join(__dirname, 'baseline.json');
+const CATEGORIES = Object.keys(RedactionReason);
+
+function corpusFiles(inputs) {
+    const files = [];
+    for (const input of inputs.length > 0 ? inputs : [CORPUS_DIR]) {
+        if (fs.statSync(input).isDirectory()) {
+            files.push(...fs.readdirSync(input)
+                .filter(file => file.endsWith('.json'))
+                .sort()
+                .map(file => path.join(input, file)));
+        } else {
+            files.push(input);
+        }
+    }
+    return files;
+}
+
+// Documents with annotations resolved to { start, end, categories, text }
+function loadCorpus(file, engine) {
+    const corpus = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const name = corpus.name || path.basename(file, '.json');
+
+    return (corpus.documents || []).map(document => {
+        const gold = [];
+        for (const annotation of document.annotations || []) {
+            const categories = [].concat(annotation.category).map(key => String(key).toUpperCase());
+            for (const key of categories) {
+                if (!CATEGORIES.includes(key)) {
+                    throw new Error(`${name}/${document.id}: unknown category "${key}"`);
+                }
+            }
+
+            let spans;
+            if (annotation.start !== undefined && annotation.end !== undefined) {
+                spans = [{ start: annotation.start, end: annotation.end }];
+            } else {
+                spans = [];
+                const pattern = engine.wordPattern(annotation.text);
+                let match;
+                while ((match = pattern.exec(document.text)) !== null) {
+                    spans.push({ start: match.index, end: match.index + match[0].length });
+                }
+                if (annotation.occurrence !== undefined) {
+                    spans = spans.slice(annotation.occurrence - 1, annotation.occurrence);
+                }
+            }
+            if (spans.length === 0) {
+                throw new Error(`${name}/${document.id}: annotation "${annotation.text}" not found in text`);
+            }
+
+            for (const span of spans) {
+                gold.push({ ...span, categories, text: document.text.substring(span.start, span.end) });
+            }
+        }
+        return { corpus: name, id: document.id, text: document.text, gold };
+    });
+}
+
+function overlaps(a, b) {
+    return a.start < b.end && b.start < a.end;
+}
+
+function emptyCounts() {
+    return { gold: 0, found: 0, predicted: 0, correct: 0, leaked: 0, partial: 0 };
+}
+
+function evaluateDocument(engine, document, totals, leaks) {
+    const { redactionEntries } = engine.redactText(document.text);
+    const predicted = redactionEntries.map(entry => ({
+        start: entry.start_pos,
+        end: entry.end_pos,
+        category: engine.reasonKey(entry.reason)
+    }));
+
+    for (const span of document.gold) {
+        const counts = totals[span.categories[0]];
+        counts.gold++;
+        if (predicted.some(p => span.categories.includes(p.category) && overlaps(p, span))) {
+            counts.found++;
+        }
+
+        // Leakage ignores categories: what matters is whether the text is visible
+        const covering = predicted.filter(p => overlaps(p, span));
+        const covered = covering.reduce((chars, p) =>
+            chars + Math.min(p.end, span.end) - Math.max(p.start, span.start), 0);
+        if (covering.length === 0 || covered < span.end - span.start) {
+            const kind = covering.length === 0 ? 'leaked' : 'partial';
+            counts[kind]++;
+            leaks.push({ corpus: document.corpus, document: document.id, category: span.categories[0], text: span.text, kind });
+        }
+    }
+
+    for (const p of predicted) {
+        const counts = totals[p.category];
+        counts.predicted++;
+        if (document.gold.some(span => span.categories.includes(p.category) && overlaps(p, span))) {
+            counts.correct++;
+        }
+    }
+}
+
+function ratio(numerator, denominator) {
+    return denominator === 0 ? null : Math.round((numerator / denominator) * 1000) / 1000;
+}
+
+function metrics(counts) {
+    const precision = ratio(counts.correct, counts.predicted);
+    const recall = ratio(counts.found, counts.gold);
+    const f1 = precision === null || recall === null || precision + recall === 0
+        ? null
+        : Math.round((2 * precision * recall / (precision + recall)) * 1000) / 1000;
+    return {
+        ...counts,
+        precision,
+        recall,
+        f1,
+        leakage_rate: ratio(counts.leaked + counts.partial, counts.gold)
+    };
+}
+
+function evaluate(documents, engineOptions = {}) {
+    const totals = Object.fromEntries(CATEGORIES.map(key => [key, emptyCounts()]));
+    const leaks = [];
+
+    for (const document of documents) {
+        // A fresh engine per document so session state does not carry over
+        evaluateDocument(new SanctuAI(engineOptions), document, totals, leaks);
+    }
+
+    const overall = emptyCounts();
+    for (const counts of Object.values(totals)) {
+        for (const field of Object.keys(overall)) overall[field] += counts[field];
+    }
+
+    return {
+        generated_at: new Date().toISOString(),
+        documents: documents.length,
+        corpora: [...new Set(documents.map(document => document.corpus))],
+        overall: metrics(overall),
+        categories: Object.fromEntries(Object.entries(totals)
+            .filter(([, counts]) => counts.gold > 0 || counts.predicted > 0)
+            .map(([key, counts]) => [key, metrics(counts)])),
+        leaks
+    };
+}
+
+// Categories whose recall fell more than `tolerance` below the baseline
+function regressions(report, baseline) {
+    const tolerance = baseline.tolerance || 0;
+    return Object.entries(baseline.recall || {})
+        .filter(([key, minimum]) => {
+            const current = report.categories[key] ? report.categories[key].recall : null;
+            return current !== null && current < minimum - tolerance;
+        })
+        .map(([key, minimum]) => ({ category: key, baseline: minimum, recall: report.categories[key].recall }));
+}
+
+function escapeHTML(value) {
+    return String(value).replace(/[&<>"']/g, char =>
+        ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+function renderHTML(report, failures = []) {
+    const format = value => value === null ? '&ndash;' : value.toFixed(3);
+    const rows = Object.entries({ ...report.categories, OVERALL: report.overall }).map(([key, m]) => `
+        <tr${key === 'OVERALL' ? ' class="overall"' : ''}>
+            <td>${escapeHTML(key)}</td><td>${m.gold}</td><td>${m.predicted}</td>
+            <td>${format(m.precision)}</td><td>${format(m.recall)}</td><td>${format(m.f1)}</td>
+            <td>${m.leaked}</td><td>${m.partial}</td><td>${format(m.leakage_rate)}</td>
+        </tr>`).join('');
+    const leakRows = report.leaks.map(leak => `
+        <tr><td>${escapeHTML(leak.corpus)}/${escapeHTML(leak.document)}</td><td>${escapeHTML(leak.category)}</td>
+            <td><code>${escapeHTML(leak.text)}</code></td><td>${escapeHTML(leak.kind)}</td></tr>`).join('');
+    const failureList = failures.map(f =>
+        `<li>${escapeHTML(f.category)}: recall ${f.recall} below baseline ${f.baseline}</li>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>SanctuAI evaluation report</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 2rem; color: #333; }
+        table { border-collapse: collapse; margin-bottom: 2rem; }
+        th, td { border: 1px solid #ddd; padding: 6px 12px; text-align: left; }
+        th { background: #667eea; color: white; }
+        tr.overall { font-weight: bold; background: #f5f5ff; }
+        .failures { color: #c0392b; }
+    </style>
+</head>
+<body>
+    <h1>SanctuAI evaluation report</h1>
+    <p>${report.documents} documents from ${escapeHTML(report.corpora.join(', '))}, generated ${escapeHTML(report.generated_at)}.</p>
+    ${failures.length > 0 ? `<h2 class="failures">Recall regressions</h2><ul class="failures">${failureList}</ul>` : ''}
+    <h2>Detection by category</h2>
+    <table>
+        <tr><th>Category</th><th>Gold</th><th>Predicted</th><th>Precision</th><th>Recall</th><th>F1</th><th>Leaked</th><th>Partial</th><th>Leakage rate</th></tr>
+        ${rows}
+    </table>
+    <h2>Leaked spans</h2>
+    ${report.leaks.length === 0 ? '<p>None.</p>' : `<table>
+        <tr><th>Document</th><th>Category</th><th>Text</th><th>Kind</th></tr>
+        ${leakRows}
+    </table>`}
+</body>
+</html>
+`;
+}
+
+function parseArgs(argv) {
+    const options = { inputs: [], policy: null, json: null, html: null, baseline: BASELINE_PATH, updateBaseline: false };
+    const takesValue = { '--policy': 'policy', '--json': 'json', '--html': 'html', '--baseline': 'baseline' };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--update-baseline') {
+            options.updateBaseline = true;
+        } else if (takesValue[argv[i]]) {
+            if (i + 1 >= argv.length) throw new Error(`${argv[i]} needs a value`);
+            options[takesValue[argv[i]]] = argv[++i];
+        } else if (argv[i].startsWith('--')) {
+            throw new Error(`Unknown option ${argv[i]}`);
+        } else {
+            options.inputs.push(argv[i]);
+        }
+    }
+    return options;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const engineOptions = options.policy ? { policy: options.policy } : {};
+    const loader = new SanctuAI(engineOptions);
+    const documents = corpusFiles(options.inputs).flatMap(file => loadCorpus(file, loader));
+
+    const report = evaluate(documents, engineOptions);
+    const baseline = fs.existsSync(options.baseline)
+        ? JSON.parse(fs.readFileSync(options.baseline, 'utf8'))
+        : { recall: {} };
+    const failures = options.updateBaseline ? [] : regressions(report, baseline);
+    report.regressions = failures;
+
+    const format = value => value === null ? '    -' : value.toFixed(3).padStart(5);
+    console.log('category    gold  pred  precision  recall     f1  leaked');
+    for (const [key, m] of Object.entries({ ...report.categories, OVERALL: report.overall })) {
+        console.log([
+            key.padEnd(10),
+            String(m.gold).padStart(5),
+            String(m.predicted).padStart(5),
+            format(m.precision).padStart(10),
+            format(m.recall).padStart(7),
+            format(m.f1).padStart(6),
+            String(m.leaked + m.partial).padStart(7)
+        ].join(' '));
+    }
+
+    if (options.json) fs.writeFileSync(options.json, JSON.stringify(report, null, 2) + '\n');
+    if (options.html) fs.writeFileSync(options.html, renderHTML(report, failures));
+
+    if (options.updateBaseline) {
+        const recall = Object.fromEntries(Object.entries(report.categories)
+            .filter(([, m]) => m.recall !== null)
+            .map(([key, m]) => [key, m.recall]));
+        fs.writeFileSync(options.baseline, JSON.stringify({ tolerance: baseline.tolerance || 0.02, recall }, null, 2) + '\n');
+        console.log(`Baseline written to ${options.baseline}`);
+    }
+
+    if (failures.length > 0) {
+        for (const { category, recall, baseline: minimum } of failures) {
+            console.error(`Recall regression in ${category}: ${recall} < baseline ${minimum}`);
+        }
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(`evaluate: ${error.message}`);
+        process.exit(2);
+    }
+}
+
+module.exports = { loadCorpus, evaluate, regressions, renderHTML };
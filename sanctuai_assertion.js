@@ -0,0 +1,182 @@
+const natural = require('natural');
+const compromise = require('compromise');
+
+// Cue lists for clause-level assertion analysis (NegEx-style)
+const NEGATION_CUES = [
+    'no', 'not', 'never', 'without', 'deny', 'denies', 'denied', 'none', 'nor',
+    "don't", "didn't", "doesn't", "haven't", "hasn't", "hadn't", "isn't", "wasn't",
+    "aren't", "weren't", "won't", "wouldn't", 'dont', 'didnt', 'doesnt', 'havent',
+    'hasnt', 'isnt', 'wasnt', 'no longer', 'free of', 'free from', 'ruled out'
+];
+const PSEUDO_NEGATIONS = ['not only', 'no doubt', 'not just', 'never mind', 'not sure'];
+const HYPOTHETICAL_CUES = [
+    'if', 'what if', 'would', 'could', 'might', 'imagine', 'suppose', 'supposing',
+    'in case', 'hypothetically', 'unless', 'whether', 'as if', 'pretend'
+];
+// Cues opening a condition whose consequent is asserted ("if I lose this job
+// I will ..."), unlike modal cues
+const CONDITIONAL_CUES = ['if', 'what if', 'suppose', 'supposing', 'in case', 'unless', 'whether'];
+const PAST_CUES = [
+    'used to', 'years ago', 'months ago', 'weeks ago', 'ago', 'when i was', 'as a child',
+    'as a kid', 'back then', 'in the past', 'previously', 'formerly', 'last year',
+    'in high school', 'in college', 'growing up'
+];
+const PRESENT_CUES = [
+    'now', 'currently', 'still', 'today', 'tonight', 'these days', 'lately',
+    'right now', 'at the moment', 'this week', 'every day', 'every night'
+];
+const FIRST_PERSON = ['i', "i'm", "i've", "i'd", "i'll", 'im', 'ive', 'me', 'my', 'myself', 'mine'];
+const SUBJECT_PRONOUNS = [
+    'i', "i'm", "i've", "i'd", "i'll", 'im', 'ive', 'he', 'she', 'they', 'we', 'you',
+    "he's", "she's", "they're", "we're", "you're"
+];
+const THIRD_PERSON = [
+    'he', 'she', 'they', 'him', 'her', 'his', 'hers', 'their', 'them', 'himself',
+    'herself', 'themselves', "he's", "she's", "they're", 'someone', 'somebody', 'everyone'
+];
+
+// Punctuation and words that open a new clause inside a sentence; "and",
+// "or", "so" and "then" only when a new subject follows ("I am not okay and
+// I want to die")
+const CLAUSE_BREAK = /[.!?;,\n।॥¿¡]+|:\s|\s+\b(?:but|however|although|though|whereas|yet|except)\b|\s+\b(?:and|or|so|then)\s+(?=(?:i|i'm|i've|i'll|i'd|he|she|they|we|you|my|his|her|their|our)\b)/gi;
+const NEGATION_WINDOW = 6;
+
+class AssertionAnalyzer {
+    constructor(options = {}) {
+        this.tokenizer = new natural.RegexpTokenizer({ pattern: /[^\p{L}\p{M}\p{N}'’]+/u });
+        this.relationTerms = new Set(options.relationTerms || []);
+        this.lastText = null;
+        this.clauses = [];
+    }
+
+    // Clause spans for a text, cached for the most recent text
+    segment(text) {
+        if (this.lastText === text) return this.clauses;
+
+        const clauses = [];
+        let clauseStart = 0;
+        const breaks = new RegExp(CLAUSE_BREAK.source, CLAUSE_BREAK.flags);
+        let match;
+        while ((match = breaks.exec(text)) !== null) {
+            if (match.index > clauseStart) {
+                clauses.push({ start: clauseStart, end: match.index });
+            }
+            clauseStart = match.index + match[0].length;
+        }
+        if (clauseStart < text.length) {
+            clauses.push({ start: clauseStart, end: text.length });
+        }
+
+        this.lastText = text;
+        this.clauses = clauses;
+        return clauses;
+    }
+
+    clauseAt(text, position) {
+        const clauses = this.segment(text);
+        let low = 0;
+        let high = clauses.length - 1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (position < clauses[mid].start) {
+                high = mid - 1;
+            } else if (position >= clauses[mid].end) {
+                low = mid + 1;
+            } else {
+                return clauses[mid];
+            }
+        }
+        return { start: position, end: position };
+    }
+
+    // Assertion attributes for the span text[start, end)
+    analyze(text, start, end) {
+        const clause = this.clauseAt(text, start);
+        const before = text.substring(clause.start, start).toLowerCase();
+        const after = text.substring(end, Math.max(end, clause.end)).toLowerCase();
+        const clauseText = text.substring(clause.start, Math.max(end, clause.end));
+
+        const tokensBefore = this.tokenize(before);
+        const negationCue = this.findNegation(tokensBefore);
+        const hypotheticalCue = this.findHypothetical(tokensBefore);
+
+        return {
+            negated: negationCue !== null,
+            hypothetical: hypotheticalCue !== null,
+            temporality: this.temporality(clause, clauseText, before + ' ' + after),
+            subject: this.subject(tokensBefore, this.tokenize(after)),
+            cues: [negationCue, hypotheticalCue].filter(cue => cue !== null)
+        };
+    }
+
+    tokenize(text) {
+        return this.tokenizer.tokenize(text.replace(/’/g, "'")).map(token => token.toLowerCase());
+    }
+
+    findNegation(tokensBefore) {
+        const window = tokensBefore.slice(-NEGATION_WINDOW);
+        const phrase = ' ' + window.join(' ') + ' ';
+        if (PSEUDO_NEGATIONS.some(cue => phrase.includes(' ' + cue + ' '))) {
+            return null;
+        }
+        return NEGATION_CUES.find(cue => phrase.includes(' ' + cue + ' ')) || null;
+    }
+
+    // The last hypothetical cue before a span, unless the span is in the
+    // consequent of a condition: a second subject after a conditional cue
+    findHypothetical(tokensBefore) {
+        for (let i = tokensBefore.length - 1; i >= 0; i--) {
+            const cue = HYPOTHETICAL_CUES.find(candidate =>
+                candidate.split(' ').every((word, offset) => tokensBefore[i + offset] === word));
+            if (!cue) continue;
+            if (CONDITIONAL_CUES.includes(cue)) {
+                const rest = tokensBefore.slice(i + cue.split(' ').length);
+                if (rest.filter(token => SUBJECT_PRONOUNS.includes(token)).length >= 2) return null;
+            }
+            return cue;
+        }
+        return null;
+    }
+
+    findCue(text, cues) {
+        const phrase = ' ' + this.tokenize(text).join(' ') + ' ';
+        return cues.find(cue => phrase.includes(' ' + cue + ' ')) || null;
+    }
+
+    temporality(clause, clauseText, surrounding) {
+        if (this.findCue(surrounding, PRESENT_CUES)) return 'present';
+        if (this.findCue(surrounding, PAST_CUES)) return 'past';
+
+        // Fall back to verb tense in the clause
+        if (clause.tense === undefined) {
+            const doc = compromise(clauseText);
+            clause.tense = doc.has('#PastTense') && !doc.has('#PresentTense') ? 'past'
+                : doc.has('#FutureTense') || doc.has('will #Verb') ? 'future'
+                : 'present';
+        }
+        return clause.tense;
+    }
+
+    // Who the clause is about: the speaker, a third party, or unknown
+    subject(tokensBefore, tokensAfter) {
+        for (let i = tokensBefore.length - 1; i >= 0; i--) {
+            const subject = this.subjectOf(tokensBefore[i]);
+            if (subject) return subject;
+        }
+        for (const token of tokensAfter.slice(0, 4)) {
+            const subject = this.subjectOf(token);
+            if (subject) return subject;
+        }
+        return 'unknown';
+    }
+
+    subjectOf(token) {
+        if (FIRST_PERSON.includes(token)) return 'speaker';
+        if (THIRD_PERSON.includes(token)) return 'third_party';
+        if (/'s$/.test(token) && !/^(?:it|that|what|there|here|let)'s$/.test(token)) return 'third_party';
+        if (this.relationTerms.has(token)) return 'third_party';
+        return null;
+    }
+}
+
+module.exports = { AssertionAnalyzer };
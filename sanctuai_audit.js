@@ -0,0 +1,298 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+/*
+ * Tamper-evident audit store
+ *
+ * Records are appended as JSON lines. The first line is a header holding the
+ * key-derivation salt; every later line is a record whose `hash` is
+ * HMAC-SHA256(key, prev_hash + "\n" + record-without-hash), with the first
+ * record chained to the HMAC of the header. Editing, removing or reordering a
+ * line breaks the chain from that point on, and without the key the chain
+ * cannot be recomputed after an edit. Truncating the tail cannot be detected
+ * from the file alone, so `verify()` reports the last hash for anchoring
+ * elsewhere.
+ *
+ * Originals are never stored in plaintext: each record keeps a keyed
+ * HMAC-SHA256 of the original text and, with `encryptOriginals`, an AES-256-GCM
+ * ciphertext that only the key holder can open.
+ */
+
+const STORE_VERSION = 2;
+
+// Entry fields safe to keep in audit trails
+const AUDIT_FIELDS = [
+    'redacted_text', 'start_pos', 'end_pos', 'output_start_pos', 'output_end_pos', 'reason', 'sub_type', 'risk_score',
+    'assertion', 'strategy', 'generalization', 'review_decision', 'reviewed_by', 'language', 'turn_index',
+    'speaker_role', 'case_note', 'consent_given', 'consent_record_id', 'timestamp'
+];
+
+// Accepts a 32-byte Buffer, a 64-character hex string or a passphrase,
+// stretched with the store's salt
+function deriveKey(key, salt) {
+    if (Buffer.isBuffer(key)) {
+        if (key.length !== 32) {
+            throw new Error('Audit key buffers must be 32 bytes');
+        }
+        return key;
+    }
+    if (typeof key === 'string' && /^[0-9a-f]{64}$/i.test(key)) {
+        return Buffer.from(key, 'hex');
+    }
+    if (typeof key === 'string' && key.length > 0) {
+        return crypto.scryptSync(key, Buffer.from(salt, 'hex'), 32);
+    }
+    throw new Error('An audit key is required');
+}
+
+function chainHash(key, text) {
+    return crypto.createHmac('sha256', key).update(text).digest('hex');
+}
+
+// An entry without its original text. Context is kept only when it is a
+// detector label (e.g. "mood_disorders"), not a window of surrounding text.
+function auditView(entry, originalHash) {
+    const view = {};
+    for (const field of AUDIT_FIELDS) {
+        if (entry[field] !== undefined) view[field] = entry[field];
+    }
+    // A released span's output is the original itself
+    if (entry.strategy === 'release') {
+        delete view.redacted_text;
+    }
+    if (typeof entry.context === 'string' && /^[a-z_]+$/.test(entry.context)) {
+        view.context = entry.context;
+    }
+    // Explanations without the matched term, which may be the original itself
+    if (entry.explanation) {
+        const { term, ...match } = entry.explanation.match;
+        view.explanation = { ...entry.explanation, match };
+    }
+    view.original_hash = originalHash;
+    return view;
+}
+
+class AuditStore {
+    constructor(options = {}) {
+        this.path = options.path || null;
+        // A random key could neither verify nor extend the chain after a restart
+        if (this.path && !options.key) {
+            throw new Error(`A key is required to keep the audit store at ${this.path}`);
+        }
+        this.encryptOriginals = options.encryptOriginals === true;
+        this.records = [];
+
+        let header = null;
+        if (this.path && fs.existsSync(this.path) && fs.statSync(this.path).size > 0) {
+            const lines = this.readLines();
+            header = JSON.parse(lines[0]);
+            if (header.version !== STORE_VERSION) {
+                throw new Error(`Audit store ${this.path} has version ${header.version}; expected ${STORE_VERSION}`);
+            }
+            this.headerLine = lines[0];
+            this.records = lines.slice(1).map(line => JSON.parse(line));
+        }
+        if (!header) {
+            header = {
+                type: 'header',
+                version: STORE_VERSION,
+                salt: crypto.randomBytes(16).toString('hex'),
+                created_at: new Date().toISOString()
+            };
+            this.headerLine = JSON.stringify(header);
+            if (this.path) {
+                fs.writeFileSync(this.path, this.headerLine + '\n', { mode: 0o600 });
+            }
+        }
+        this.salt = header.salt;
+        this.key = this.deriveKey(options.key || crypto.randomBytes(32));
+
+        // Appending under another key would silently break the chain
+        if (this.records.length > 0) {
+            const { hash, ...body } = this.records[this.records.length - 1];
+            if (hash !== chainHash(this.key, body.prev_hash + '\n' + JSON.stringify(body))) {
+                throw new Error(`Audit store ${this.path} was written with another key`);
+            }
+        }
+    }
+
+    deriveKey(key) {
+        return deriveKey(key, this.salt);
+    }
+
+    exportKey() {
+        return this.key.toString('hex');
+    }
+
+    // Keyed digest of an original, comparable across records with the same key
+    digest(text) {
+        return crypto.createHmac('sha256', this.key).update(text).digest('hex');
+    }
+
+    encrypt(text, sessionId) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+        cipher.setAAD(Buffer.from(sessionId));
+        const data = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+        return {
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        };
+    }
+
+    decryptOriginal(record, key = null) {
+        if (!record.original_encrypted) {
+            return null;
+        }
+        const { iv, tag, data } = record.original_encrypted;
+        const decipher = crypto.createDecipheriv(
+            'aes-256-gcm',
+            key === null ? this.key : this.deriveKey(key),
+            Buffer.from(iv, 'base64')
+        );
+        decipher.setAAD(Buffer.from(record.session_id));
+        decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+        try {
+            return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+        } catch (error) {
+            throw new Error(`Unable to open audit record ${record.seq}: invalid key`);
+        }
+    }
+
+    lastHash() {
+        return this.records.length > 0
+            ? this.records[this.records.length - 1].hash
+            : chainHash(this.key, this.headerLine);
+    }
+
+    append(sessionId, event, data) {
+        const body = {
+            seq: this.records.length + 1,
+            session_id: sessionId,
+            event,
+            recorded_at: new Date().toISOString(),
+            ...data,
+            prev_hash: this.lastHash()
+        };
+        const record = { ...body, hash: chainHash(this.key, body.prev_hash + '\n' + JSON.stringify(body)) };
+
+        if (this.path) {
+            fs.appendFileSync(this.path, JSON.stringify(record) + '\n', { mode: 0o600 });
+        }
+        this.records.push(record);
+        return record;
+    }
+
+    recordEntries(sessionId, event, entries) {
+        return entries.map(entry => this.append(sessionId, event, {
+            entry: auditView(entry, this.digest(entry.original_text)),
+            ...(this.encryptOriginals ? { original_encrypted: this.encrypt(entry.original_text, sessionId) } : {})
+        }));
+    }
+
+    recordRedactions(sessionId, entries) {
+        return this.recordEntries(sessionId, 'redaction', entries);
+    }
+
+    // Spans left in place because a consent record covered them
+    recordConsentReleases(sessionId, releases) {
+        return this.recordEntries(sessionId, 'consent_release', releases);
+    }
+
+    // Reviewer decisions; the text each one applied to is kept as a digest
+    recordReview(sessionId, { reviewer, organization_id = null, decisions }) {
+        return this.append(sessionId, 'review', {
+            reviewer,
+            organization_id,
+            decisions: decisions.map(({ text, ...decision }) => ({ ...decision, original_hash: this.digest(text) }))
+        });
+    }
+
+    // Entries of a text re-rendered after review
+    recordReviewedRedactions(sessionId, entries) {
+        return this.recordEntries(sessionId, 'reviewed_redaction', entries);
+    }
+
+    // Trend summary of a case after one of its notes; counts only, no text
+    recordCaseTrends(sessionId, note, trends) {
+        return this.append(sessionId, 'case_trends', { note, trends });
+    }
+
+    recordCrisis(sessionId, crisis) {
+        return this.append(sessionId, 'crisis', {
+            crisis_level: crisis.crisis_level,
+            evidence_count: crisis.evidence.length,
+            discounted_count: crisis.discounted_evidence.length
+        });
+    }
+
+    recordsFor(sessionId) {
+        return this.records.filter(record => record.session_id === sessionId);
+    }
+
+    readLines() {
+        return fs.readFileSync(this.path, 'utf8').split('\n').filter(line => line.trim() !== '');
+    }
+
+    // Re-checks the whole chain, from disk when the store is file-backed
+    verify() {
+        let lines;
+        if (this.path) {
+            lines = this.readLines();
+        } else {
+            lines = [this.headerLine, ...this.records.map(record => JSON.stringify(record))];
+        }
+        return verifyLines(lines, this.key);
+    }
+}
+
+// `key` is the store's key in any form its constructor accepts
+function verifyLines(lines, key) {
+    if (lines.length === 0) {
+        return { valid: false, records: 0, error: 'Audit store is empty' };
+    }
+
+    let header;
+    try {
+        header = JSON.parse(lines[0]);
+    } catch (error) {
+        return { valid: false, records: 0, error: 'Header is not valid JSON' };
+    }
+    if (header.type !== 'header' || header.version !== STORE_VERSION) {
+        return { valid: false, records: 0, error: 'Missing or unsupported header' };
+    }
+
+    const chainKey = deriveKey(key, header.salt);
+    let prevHash = chainHash(chainKey, lines[0]);
+    for (let i = 1; i < lines.length; i++) {
+        let record;
+        try {
+            record = JSON.parse(lines[i]);
+        } catch (error) {
+            return { valid: false, records: i - 1, broken_at: i, error: `Line ${i + 1} is not valid JSON` };
+        }
+
+        const { hash, ...body } = record;
+        if (body.seq !== i) {
+            return { valid: false, records: i - 1, broken_at: i, error: `Expected record ${i}, found ${body.seq}` };
+        }
+        if (body.prev_hash !== prevHash) {
+            const error = i === 1 ? 'Record 1 does not follow the header, or the key is wrong' : `Record ${i} does not follow record ${i - 1}`;
+            return { valid: false, records: i - 1, broken_at: i, error };
+        }
+        if (hash !== chainHash(chainKey, prevHash + '\n' + JSON.stringify(body))) {
+            return { valid: false, records: i - 1, broken_at: i, error: `Record ${i} was modified or the key is wrong` };
+        }
+        prevHash = hash;
+    }
+
+    return { valid: true, records: lines.length - 1, last_hash: prevHash };
+}
+
+function verifyAuditFile(path, key) {
+    return verifyLines(fs.readFileSync(path, 'utf8').split('\n').filter(line => line.trim() !== ''), key);
+}
+
+module.exports = { AuditStore, auditView, verifyAuditFile };
@@ -0,0 +1,313 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+/*
+ * API authentication and access control
+ *
+ * Callers authenticate with an API key or an HS256 JWT, both checked offline:
+ *
+ *   Authorization: Bearer <api key or JWT>      (or X-API-Key: <api key>)
+ *
+ * API keys are configured by SHA-256 digest only, so the key file never holds
+ * a usable key (`printf %s "$KEY" | sha256sum`):
+ *
+ *   { "keys": [{ "id": "intake-app", "key_sha256": "<hex>", "roles": ["submitter"],
+ *                "rate_limit": 120, "max_body_bytes": 1048576 }] }
+ *
+ * JWTs must be signed with the shared secret, carry `sub` and `exp`, and list
+ * their roles in `roles` (or `role`); `rate_limit` and `max_body_bytes` claims
+ * are honoured like the key fields. `iss` and `aud` are checked when the
+ * authenticator is configured with them.
+ *
+ * Roles decide which endpoints a caller may use (PERMISSIONS) and whether
+ * responses include original text: only reviewers and admins see it.
+ */
+
+class Role {
+    static SUBMITTER = "submitter";
+    static REVIEWER = "reviewer";
+    static AUDITOR = "auditor";
+    static ADMIN = "admin";
+}
+
+const PERMISSIONS = {
+    redact: [Role.SUBMITTER, Role.REVIEWER, Role.ADMIN],
+    review: [Role.REVIEWER, Role.ADMIN],
+    model_proxy: [Role.SUBMITTER, Role.REVIEWER, Role.ADMIN],
+    consent_read: [Role.REVIEWER, Role.AUDITOR, Role.ADMIN],
+    consent_write: [Role.REVIEWER, Role.ADMIN],
+    lists_read: [Role.REVIEWER, Role.AUDITOR, Role.ADMIN],
+    lists_write: [Role.ADMIN],
+    case_read: [Role.REVIEWER, Role.AUDITOR, Role.ADMIN],
+    audit: [Role.AUDITOR, Role.ADMIN],
+    samples: Object.values(Role)
+};
+
+const ORIGINAL_TEXT_ROLES = [Role.REVIEWER, Role.ADMIN];
+
+class AuthError extends Error {
+    constructor(message, status = 401) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function sha256(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function base64url(value) {
+    return Buffer.from(value).toString('base64url');
+}
+
+function validRoles(roles, owner) {
+    const known = Object.values(Role);
+    const list = [].concat(roles || []);
+    for (const role of list) {
+        if (!known.includes(role)) {
+            throw new Error(`${owner} has unknown role "${role}"`);
+        }
+    }
+    return list;
+}
+
+// HS256 token for `claims`, for tools and tests that need to issue one
+function signJWT(claims, secret) {
+    const head = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const body = base64url(JSON.stringify(claims));
+    const signature = crypto.createHmac('sha256', secret).update(`${head}.${body}`).digest('base64url');
+    return `${head}.${body}.${signature}`;
+}
+
+function loadApiKeys(file) {
+    const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return Array.isArray(stored) ? stored : stored.keys || [];
+}
+
+class Authenticator {
+    constructor(options = {}) {
+        this.keys = new Map();
+        for (const key of options.apiKeys || []) {
+            this.addKey(key);
+        }
+        this.jwtSecret = options.jwtSecret || null;
+        this.jwtIssuer = options.jwtIssuer || null;
+        this.jwtAudience = options.jwtAudience || null;
+        this.clockToleranceSeconds = options.clockToleranceSeconds === undefined ? 60 : options.clockToleranceSeconds;
+    }
+
+    addKey({ id, key_sha256, roles, rate_limit = null, max_body_bytes = null }) {
+        if (!id) {
+            throw new Error('API keys need an id');
+        }
+        if (!/^[0-9a-f]{64}$/i.test(key_sha256 || '')) {
+            throw new Error(`API key ${id} needs a hex SHA-256 key_sha256`);
+        }
+        const keyRoles = validRoles(roles, `API key ${id}`);
+        if (keyRoles.length === 0) {
+            throw new Error(`API key ${id} needs at least one role`);
+        }
+        this.keys.set(key_sha256.toLowerCase(), {
+            id,
+            roles: keyRoles,
+            rateLimit: rate_limit,
+            maxBodyBytes: max_body_bytes
+        });
+    }
+
+    get enabled() {
+        return this.keys.size > 0 || this.jwtSecret !== null;
+    }
+
+    // The caller behind a request's headers, or an AuthError
+    authenticate(headers = {}) {
+        const authorization = headers.authorization || '';
+        const bearer = authorization.match(/^Bearer\s+(\S+)$/i);
+        const token = bearer ? bearer[1] : headers['x-api-key'];
+        if (!token) {
+            throw new AuthError('Authentication required');
+        }
+
+        if (this.jwtSecret && token.split('.').length === 3) {
+            return this.verifyJWT(token);
+        }
+        const key = this.keys.get(sha256(token));
+        if (!key) {
+            throw new AuthError('Invalid API key');
+        }
+        return { id: key.id, roles: key.roles, method: 'api_key', rateLimit: key.rateLimit, maxBodyBytes: key.maxBodyBytes };
+    }
+
+    verifyJWT(token) {
+        const [head, body, signature] = token.split('.');
+        let header;
+        let claims;
+        try {
+            header = JSON.parse(Buffer.from(head, 'base64url').toString('utf8'));
+            claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+        } catch (error) {
+            throw new AuthError('Malformed token');
+        }
+        if (header.alg !== 'HS256') {
+            throw new AuthError(`Unsupported token algorithm "${header.alg}"`);
+        }
+
+        const expected = crypto.createHmac('sha256', this.jwtSecret).update(`${head}.${body}`).digest();
+        const given = Buffer.from(signature, 'base64url');
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            throw new AuthError('Invalid token signature');
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        if (typeof claims.exp !== 'number') {
+            throw new AuthError('Tokens must carry an expiry (exp)');
+        }
+        if (now > claims.exp + this.clockToleranceSeconds) {
+            throw new AuthError('Token has expired');
+        }
+        if (typeof claims.nbf === 'number' && now + this.clockToleranceSeconds < claims.nbf) {
+            throw new AuthError('Token is not valid yet');
+        }
+        if (this.jwtIssuer && claims.iss !== this.jwtIssuer) {
+            throw new AuthError('Token was issued by an unexpected issuer');
+        }
+        if (this.jwtAudience && ![].concat(claims.aud || []).includes(this.jwtAudience)) {
+            throw new AuthError('Token is not meant for this service');
+        }
+        if (!claims.sub) {
+            throw new AuthError('Tokens must name their subject (sub)');
+        }
+
+        const roles = [].concat(claims.roles || claims.role || []).filter(role => Object.values(Role).includes(role));
+        if (roles.length === 0) {
+            throw new AuthError('Token grants no known role', 403);
+        }
+        return {
+            id: String(claims.sub),
+            roles,
+            method: 'jwt',
+            rateLimit: typeof claims.rate_limit === 'number' ? claims.rate_limit : null,
+            maxBodyBytes: typeof claims.max_body_bytes === 'number' ? claims.max_body_bytes : null
+        };
+    }
+}
+
+function isAuthorized(principal, permission) {
+    const allowed = PERMISSIONS[permission];
+    if (!allowed) {
+        throw new Error(`Unknown permission "${permission}"`);
+    }
+    return Boolean(principal) && principal.roles.some(role => allowed.includes(role));
+}
+
+// Fixed-window request counts per caller
+class RateLimiter {
+    constructor(options = {}) {
+        this.windowMs = options.windowMs || 60 * 1000;
+        this.max = options.max || 60;
+        this.windows = new Map();
+        this.nextSweep = 0;
+    }
+
+    take(id, max = null) {
+        return this.count(id, max, 1);
+    }
+
+    // The caller's state without counting a request, e.g. to refuse callers
+    // that are over a limit of failures before trying again
+    peek(id, max = null) {
+        return this.count(id, max, 0);
+    }
+
+    count(id, max, requests) {
+        const limit = max || this.max;
+        const now = Date.now();
+        if (now >= this.nextSweep) {
+            for (const [key, window] of this.windows) {
+                if (window.resetAt <= now) this.windows.delete(key);
+            }
+            this.nextSweep = now + this.windowMs;
+        }
+
+        let window = this.windows.get(id);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + this.windowMs };
+            this.windows.set(id, window);
+        }
+        window.count += requests;
+        return {
+            allowed: requests > 0 ? window.count <= limit : window.count < limit,
+            limit,
+            remaining: Math.max(0, limit - window.count),
+            resetAt: window.resetAt
+        };
+    }
+}
+
+function withoutOriginalText(value) {
+    if (Array.isArray(value)) {
+        return value.map(withoutOriginalText);
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+        if (key === 'original_text') continue;
+        // Entry contexts are detector labels or a window of the original
+        if (key === 'context' && 'original_text' in value && !(typeof item === 'string' && /^[a-z_]+$/.test(item))) continue;
+        // Texts of overlapping candidates and crisis evidence are originals too
+        if (key === 'text' && ('resolution' in value || 'indicator' in value)) continue;
+        // Terms matched by a detector, in explanations
+        if (key === 'term' && 'type' in value) continue;
+        // A document's extracted text, next to its redacted version
+        if (key === 'text' && 'redacted_text' in value) continue;
+        result[key] = withoutOriginalText(item);
+    }
+    return result;
+}
+
+function seesOriginalText(principal) {
+    return Boolean(principal) && principal.roles.some(role => ORIGINAL_TEXT_ROLES.includes(role));
+}
+
+// A response body as `principal` may see it
+function restrictResponse(body, principal) {
+    return seesOriginalText(principal) ? body : withoutOriginalText(body);
+}
+
+/*
+ * Access log: one JSON line per request with who called which route, the
+ * outcome and sizes. Request bodies, query strings and path parameters are
+ * never written, since they can hold patient text or names.
+ */
+class AccessLog {
+    constructor(options = {}) {
+        this.path = options.path || null;
+        this.stream = this.path ? null : options.stream || process.stdout;
+    }
+
+    record(event) {
+        const line = JSON.stringify({ time: new Date().toISOString(), ...event }) + '\n';
+        if (this.path) {
+            fs.appendFileSync(this.path, line, { mode: 0o600 });
+        } else {
+            this.stream.write(line);
+        }
+    }
+}
+
+module.exports = {
+    Role,
+    PERMISSIONS,
+    AuthError,
+    Authenticator,
+    RateLimiter,
+    AccessLog,
+    isAuthorized,
+    restrictResponse,
+    seesOriginalText,
+    loadApiKeys,
+    signJWT
+};
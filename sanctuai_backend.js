@@ -3,6 +3,23 @@ const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 const natural = require('natural');
 const compromise = require('compromise');
+const { PIIDetector, PIIType } = require('./sanctuai_pii');
+const { MedicalEntityDetector, MedicalType } = require('./sanctuai_medical');
+const { generalize, RELATION_ROLES } = require('./sanctuai_generalize');
+const { ResidualRiskAnalyzer } = require('./sanctuai_risk');
+const { TokenVault, Pseudonymizer } = require('./sanctuai_vault');
+const { RedactionAction, loadPolicy } = require('./sanctuai_policy');
+const { LexiconMatcher, wordBoundaryPattern, foldCase } = require('./sanctuai_matcher');
+const { AssertionAnalyzer } = require('./sanctuai_assertion');
+const { CrisisAssessor, CrisisLevel } = require('./sanctuai_crisis');
+const { TranscriptRedactor } = require('./sanctuai_transcript');
+const { redactFile } = require('./sanctuai_formats');
+const { AuditStore, auditView } = require('./sanctuai_audit');
+const { ConsentPurpose, ConsentRegistry } = require('./sanctuai_consent');
+const { ReviewAction, OrganizationLists, applyDecisions, REVIEWED_RISK } = require('./sanctuai_review');
+const { learnNames, noteCounts, caseTrends, CASE_NAME_RISK } = require('./sanctuai_cases');
+const { SpanResolver, applyReplacements } = require('./sanctuai_spans');
+const { LanguageDetector, loadLanguagePack, bundledLanguagePacks, DEFAULT_LANGUAGE } = require('./sanctuai_language');
 
 class RedactionReason {
     static PII = "Personal Identifiable Information";
@@ -14,21 +31,45 @@ class RedactionReason {
 }
 
 class RedactionEntry {
-    constructor(original_text, redacted_text, start_pos, end_pos, reason, risk_score, context, consent_given = false) {
+    constructor(original_text, redacted_text, start_pos, end_pos, reason, risk_score, context, consent_given = false, sub_type = null, assertion = null) {
         this.original_text = original_text;
         this.redacted_text = redacted_text;
         this.start_pos = start_pos;
         this.end_pos = end_pos;
+        // Position of the replacement in the redacted text
+        this.output_start_pos = null;
+        this.output_end_pos = null;
         this.reason = reason;
         this.risk_score = risk_score;
         this.context = context;
         this.consent_given = consent_given;
+        this.sub_type = sub_type;
+        this.assertion = assertion;
+        // Language of the text around the span
+        this.language = null;
+        // Overlapping candidates this span absorbed (nested or merged)
+        this.overlapping = [];
+        // Why the span was redacted (see SanctuAI.explain)
+        this.explanation = null;
+        // Consent record that released this span, if any
+        this.consent_record_id = null;
+        // How the span was replaced: redact, anonymize, pseudonymize, generalize
+        // or release (left in place under consent)
+        this.strategy = null;
+        // Generalization level when the strategy is generalize (e.g. "class")
+        this.generalization = null;
+        // Set when a reviewer decided on the span: accept, add or recategorize
+        this.review_decision = null;
+        this.reviewed_by = null;
+        // Set when the entry comes from a transcript turn
+        this.turn_index = null;
+        this.speaker_role = null;
         this.timestamp = new Date().toISOString();
     }
 }
 
 class SanctuAI {
-    constructor() {
+    constructor(options = {}) {
         // Initialize NLP tools
         this.tokenizer = new natural.WordTokenizer();
         
@@ -78,6 +119,9 @@ class SanctuAI {
             'therapist': 0.8, 'doctor': 0.8, 'counselor': 0.8, 'abuser': 0.95, 'rapist': 0.95
         };
         
+        // Coarse roles for generalizing relationship terms
+        this.relationRoles = { ...RELATION_ROLES };
+        
         // Emotional indicators with risk scores
         this.emotionPatterns = {
             'afraid': 0.7, 'scared': 0.7, 'terrified': 0.9, 'angry': 0.6, 'furious': 0.8,
@@ -104,27 +148,230 @@ class SanctuAI {
             'hospitalization', 'inpatient', 'outpatient'
         ];
         
+        // Pattern and checksum based detectors for structured identifiers
+        this.piiDetector = new PIIDetector();
+        
+        // Medications, dosages, diagnosis codes, facilities and appointments;
+        // `options.medicationDictionary` replaces the bundled drug dictionary
+        this.medicalEntityDetector = new MedicalEntityDetector({ dictionary: options.medicationDictionary });
+        
+        // Deployment policy: enabled categories, actions, thresholds and extra terms.
+        // `options.mode` ('redact' or 'pseudonymize') overrides the default action.
+        this.policy = loadPolicy(options.policy);
+        this.policy.validateCategories(this.policyCategories());
+        if (options.mode) {
+            this.policy.assertAction(options.mode, 'mode');
+            this.policy.defaultAction = options.mode;
+        }
+        this.applyPolicyLexicons(this.policy);
+        
+        // Lexicon packs for other languages, bundled and from `options.languagePacks`.
+        // Text is matched against English and the language detected for each
+        // sentence, unless `options.language` fixes one language.
+        this.languagePacks = new Map();
+        for (const source of [...bundledLanguagePacks(), ...(options.languagePacks || [])]) {
+            this.addLanguagePack(source, false);
+        }
+        this.fixedLanguage = options.language && options.language !== 'auto' ? options.language : null;
+        this.compileLexicons();
+        
+        // Clause-level negation, hypothetical, tense and subject analysis
+        this.assertionAnalyzer = new AssertionAnalyzer({
+            relationTerms: [
+                ...Object.keys(this.relationshipPatterns),
+                ...Array.from(this.languagePacks.values()).flatMap(pack => Object.keys(pack.relationships))
+            ]
+        });
+        
+        // Detector registry, run in order by redactText
+        this.detectors = [];
+        this.registerDetector({ name: 'symptoms', category: 'SYMPTOM', detect: text => this.symptomCandidates(text) });
+        this.registerDetector({ name: 'emotions', category: 'EMOTION', detect: text => this.emotionCandidates(text) });
+        this.registerDetector({ name: 'relationships', category: 'RELATION', detect: text => this.relationshipCandidates(text) });
+        this.registerDetector({ name: 'names', category: 'PII', detect: text => this.nameCandidates(text) });
+        this.registerDetector({ name: 'structured_pii', category: 'PII', detect: text => this.structuredPIICandidates(text) });
+        this.registerDetector({ name: 'medical', category: 'MEDICAL', detect: text => this.medicalCandidates(text) });
+        this.registerDetector({ name: 'medical_entities', category: 'MEDICAL', detect: text => this.medicalEntityCandidates(text) });
+        for (const detector of this.policy.detectors) {
+            this.registerDetector(detector);
+        }
+        
+        this.surrogateStyle = options.surrogateStyle || 'label';
+        
+        // Encrypted surrogate mappings, keyed by session ID
+        this.vault = options.vault || new TokenVault({
+            key: options.vaultKey,
+            storagePath: options.vaultPath
+        });
+        
+        // Crisis assessment and on-call alerting
+        this.crisisAssessor = new CrisisAssessor();
+        this.alertHooks = [...(options.alertHooks || [])];
+        this.alertThreshold = options.alertThreshold || CrisisLevel.CONCERN;
+        this.includeAlertExcerpts = options.includeAlertExcerpts === true;
+        this.lastAlertDelivery = Promise.resolve([]);
+        
+        // Hash-chained audit trail; in memory unless a file-backed store is shared
+        this.auditStore = options.auditStore || new AuditStore({
+            key: options.auditKey,
+            path: options.auditPath
+        });
+        
+        // Re-identification risk of redacted output; `options.referencePopulation`
+        // is the number of people a document could plausibly be about
+        this.residualRiskAnalyzer = new ResidualRiskAnalyzer({
+            population: options.referencePopulation,
+            piiDetector: this.piiDetector
+        });
+        
+        // Consent records that can release categories for specific purposes
+        this.consentRegistry = options.consentRegistry || new ConsentRegistry({
+            categories: this.policyCategories()
+        });
+        
+        // Reviewer-maintained allow and deny lists of the organization the
+        // text belongs to
+        this.organizationLists = options.organizationLists || new OrganizationLists({
+            categories: this.policyCategories()
+        });
+        this.organizationId = options.organizationId || null;
+        
+        // Client/case context kept across notes (see sanctuai_cases.js). With
+        // `options.caseId` the session is the case's, so pseudonyms carry over,
+        // and names learned from earlier notes are redacted.
+        this.caseStore = options.caseStore || null;
+        this.caseId = options.caseId || null;
+        if (this.caseId && !this.caseStore) {
+            throw new Error('A case store is required for case ids');
+        }
+        this.caseRecord = this.caseId ? this.caseStore.open(this.caseId) : null;
+        
         this.redactionLog = [];
-        this.sessionId = uuidv4();
+        this.crisisLog = [];
+        this.consentLog = [];
+        this.riskLog = [];
+        this.sessionId = options.sessionId || (this.caseId ? this.caseStore.sessionIdFor(this.caseId) : uuidv4());
+        this.pseudonymizer = this.loadPseudonymizer();
     }
     
-    detectSymptoms(text) {
-        const symptomsFound = [];
-        const textLower = text.toLowerCase();
-        
-        for (const [category, symptoms] of Object.entries(this.symptomPatterns)) {
-            for (const symptom of symptoms) {
-                const pattern = new RegExp('\\b' + this.escapeRegExp(symptom.toLowerCase()) + '\\b', 'gi');
-                let match;
-                while ((match = pattern.exec(textLower)) !== null) {
-                    const riskScore = this.calculateSymptomRisk(symptom, category, textLower);
-                    symptomsFound.push({
-                        text: match[0],
-                        category,
-                        riskScore
-                    });
+    applyPolicyLexicons(policy) {
+        const { symptoms, emotions, relationships, names, medical } = policy.lexicons;
+        
+        if (policy.replaceDefaultLexicons) {
+            if (symptoms) this.symptomPatterns = {};
+            if (emotions) this.emotionPatterns = {};
+            if (relationships) this.relationshipPatterns = {};
+            if (names) this.commonNames = new Set();
+            if (medical) this.medicalTerms = [];
+        }
+        
+        for (const [category, terms] of Object.entries(symptoms || {})) {
+            this.symptomPatterns[category] = [...(this.symptomPatterns[category] || []), ...terms];
+        }
+        Object.assign(this.emotionPatterns, emotions || {});
+        Object.assign(this.relationshipPatterns, relationships || {});
+        for (const name of names || []) {
+            this.commonNames.add(name.toLowerCase());
+        }
+        this.medicalTerms.push(...(medical || []));
+    }
+    
+    // Adds or replaces the pack for a language
+    addLanguagePack(source, recompile = true) {
+        const pack = loadLanguagePack(source);
+        this.languagePacks.set(pack.language, pack);
+        Object.assign(this.relationRoles, pack.roles);
+        for (const name of pack.names) {
+            this.commonNames.add(name.toLowerCase());
+        }
+        this.languageDetector = new LanguageDetector(Array.from(this.languagePacks.values()));
+        if (recompile) this.compileLexicons();
+        return pack;
+    }
+    
+    languageAt(text, position) {
+        return this.fixedLanguage || this.languageDetector.languageAt(text, position);
+    }
+    
+    documentLanguage(text) {
+        return this.fixedLanguage || this.languageDetector.documentLanguage(text).language;
+    }
+    
+    loadPseudonymizer() {
+        const stored = this.vault.load(this.sessionId);
+        return stored ? Pseudonymizer.fromJSON(stored) : new Pseudonymizer(this.surrogateStyle);
+    }
+    
+    compileLexicons() {
+        // One automaton for every lexicon and language pack; call again after
+        // changing a lexicon
+        const matcher = new LexiconMatcher();
+        const addLexicons = (language, { symptoms, emotions, relationships, medical }) => {
+            for (const [category, terms] of Object.entries(symptoms)) {
+                for (const symptom of terms) {
+                    matcher.add(symptom, { group: 'symptom', category, language });
                 }
             }
+            for (const [emotion, baseScore] of Object.entries(emotions)) {
+                matcher.add(emotion, { group: 'emotion', baseScore, language });
+            }
+            for (const [relation, baseScore] of Object.entries(relationships)) {
+                matcher.add(relation, { group: 'relation', baseScore, language });
+            }
+            for (const term of medical) {
+                matcher.add(term, { group: 'medical', language });
+            }
+        };
+        
+        addLexicons(DEFAULT_LANGUAGE, {
+            symptoms: this.symptomPatterns,
+            emotions: this.emotionPatterns,
+            relationships: this.relationshipPatterns,
+            medical: this.medicalTerms
+        });
+        for (const pack of this.languagePacks.values()) {
+            addLexicons(pack.language, pack);
+        }
+        
+        this.lexiconMatcher = matcher.compile();
+        this.lastScan = null;
+    }
+    
+    scanLexicons(text) {
+        // The detectors share a single scan of the most recent text
+        if (this.lastScan === null || this.lastScan.text !== text) {
+            this.lastScan = { text, matches: this.inLanguage(text, this.lexiconMatcher.scan(text)) };
+        }
+        return this.lastScan.matches;
+    }
+    
+    // English terms apply everywhere (code-switching is common); pack terms
+    // only in sentences detected as the pack's language
+    inLanguage(text, matches) {
+        return matches.filter(({start, entry}) =>
+            entry.payload.language === DEFAULT_LANGUAGE || entry.payload.language === this.languageAt(text, start));
+    }
+    
+    detectSymptoms(text) {
+        const symptomsFound = [];
+        const textLower = foldCase(text);
+        
+        for (const {start, end, entry} of this.scanLexicons(text)) {
+            if (entry.payload.group !== 'symptom') continue;
+            
+            const { category } = entry.payload;
+            const assertion = this.assertionFor(text, start, end);
+            const trace = this.lexiconTrace(entry);
+            const riskScore = this.calculateSymptomRisk(entry.term, category, start, end, text, trace);
+            symptomsFound.push({
+                text: textLower.substring(start, end),
+                category,
+                riskScore: this.applyAssertionRisk(riskScore, assertion, trace),
+                start,
+                end,
+                assertion,
+                trace
+            });
         }
         
         return symptomsFound;
@@ -132,18 +379,22 @@ class SanctuAI {
     
     detectEmotions(text) {
         const emotionsFound = [];
-        const textLower = text.toLowerCase();
+        const textLower = foldCase(text);
         
-        for (const [emotion, baseScore] of Object.entries(this.emotionPatterns)) {
-            const pattern = new RegExp('\\b' + this.escapeRegExp(emotion) + '\\b', 'gi');
-            let match;
-            while ((match = pattern.exec(textLower)) !== null) {
-                const riskScore = this.adjustEmotionRisk(baseScore, match.index, match.index + match[0].length, text);
-                emotionsFound.push({
-                    text: match[0],
-                    riskScore
-                });
-            }
+        for (const {start, end, entry} of this.scanLexicons(text)) {
+            if (entry.payload.group !== 'emotion') continue;
+            
+            const assertion = this.assertionFor(text, start, end);
+            const trace = this.lexiconTrace(entry, entry.payload.baseScore);
+            const riskScore = this.adjustEmotionRisk(entry.payload.baseScore, start, end, text, trace);
+            emotionsFound.push({
+                text: textLower.substring(start, end),
+                riskScore: this.applyAssertionRisk(riskScore, assertion, trace),
+                start,
+                end,
+                assertion,
+                trace
+            });
         }
         
         return emotionsFound;
@@ -151,90 +402,97 @@ class SanctuAI {
     
     detectRelationships(text) {
         const relationshipsFound = [];
-        const textLower = text.toLowerCase();
+        const textLower = foldCase(text);
         
-        for (const [relation, baseScore] of Object.entries(this.relationshipPatterns)) {
-            const pattern = new RegExp('\\b' + this.escapeRegExp(relation) + '\\b', 'gi');
-            let match;
-            while ((match = pattern.exec(textLower)) !== null) {
-                const riskScore = this.adjustRelationRisk(baseScore, match.index, match.index + match[0].length, text);
-                relationshipsFound.push({
-                    text: match[0],
-                    riskScore
-                });
-            }
+        for (const {start, end, entry} of this.scanLexicons(text)) {
+            if (entry.payload.group !== 'relation') continue;
+            
+            const assertion = this.assertionFor(text, start, end);
+            const trace = this.lexiconTrace(entry, entry.payload.baseScore);
+            const riskScore = this.adjustRelationRisk(entry.payload.baseScore, start, end, text, trace);
+            relationshipsFound.push({
+                text: textLower.substring(start, end),
+                riskScore: this.applyAssertionRisk(riskScore, assertion, trace),
+                start,
+                end,
+                assertion,
+                trace
+            });
         }
         
         return relationshipsFound;
     }
     
+    // Every occurrence of each name, scored in its own context
     detectNamesWithContext(text) {
         const namesFound = [];
-        const doc = compromise(text);
-        
-        // Extract people names using compromise
-        const people = doc.people().out('array');
-        for (const name of people) {
-            // Get context around the name
-            const nameIndex = text.indexOf(name);
-            if (nameIndex === -1) continue;
-            
-            const startIdx = Math.max(0, nameIndex - 50);
-            const endIdx = Math.min(text.length, nameIndex + name.length + 50);
-            const context = text.substring(startIdx, endIdx);
-            
-            const riskScore = this.calculateNameRisk(name, context);
-            namesFound.push({
-                text: name,
-                riskScore,
-                context
-            });
+        const addOccurrences = (name, flags, source) => {
+            const pattern = this.wordPattern(name, flags);
+            let match;
+            while ((match = pattern.exec(text)) !== null) {
+                const start = match.index;
+                const end = start + match[0].length;
+                if (namesFound.some(found => start < found.end && end > found.start)) continue;
+                
+                const context = text.substring(Math.max(0, start - 50), Math.min(text.length, end + 50));
+                const trace = { match: { type: source, term: name }, adjustments: [] };
+                namesFound.push({
+                    text: match[0],
+                    start,
+                    end,
+                    riskScore: this.calculateNameRisk(match[0], context, trace),
+                    context,
+                    trace
+                });
+            }
+        };
+        
+        // People found by compromise, without the punctuation it attaches
+        // ("Sarah," / "Mark?"); longer names first so "Sarah Jones" wins over "Sarah"
+        const people = new Set(compromise(text).people().out('array')
+            .map(name => name.replace(/^[^\p{L}]+|[^\p{L}]+$/gu, ''))
+            .filter(name => name.length > 0));
+        for (const name of [...people].sort((a, b) => b.length - a.length)) {
+            addOccurrences(name, 'g', 'named_entity');
         }
         
         // Also check for common names that might have been missed
         for (const name of this.commonNames) {
-            const pattern = new RegExp('\\b' + this.escapeRegExp(name) + '\\b', 'gi');
-            let match;
-            while ((match = pattern.exec(text)) !== null) {
-                // Check if this was already found
-                const found = namesFound.some(n => n.text.toLowerCase() === name.toLowerCase());
-                if (!found) {
-                    const context = text.substring(
-                        Math.max(0, match.index - 50),
-                        Math.min(text.length, match.index + match[0].length + 50)
-                    );
-                    const riskScore = this.calculateNameRisk(match[0], context);
-                    namesFound.push({
-                        text: match[0],
-                        riskScore,
-                        context
-                    });
-                }
-            }
+            addOccurrences(name, 'gi', 'name_list');
         }
         
         return namesFound;
     }
     
+    detectStructuredPII(text) {
+        return this.piiDetector.detect(text);
+    }
+    
     detectMedicalInfo(text) {
         const medicalFound = [];
-        const textLower = text.toLowerCase();
+        const textLower = foldCase(text);
         
-        for (const term of this.medicalTerms) {
-            const pattern = new RegExp('\\b' + this.escapeRegExp(term.toLowerCase()) + '\\b', 'gi');
-            let match;
-            while ((match = pattern.exec(textLower)) !== null) {
-                medicalFound.push({
-                    text: match[0],
-                    riskScore: 0.7
-                });
-            }
+        for (const {start, end, entry} of this.scanLexicons(text)) {
+            if (entry.payload.group !== 'medical') continue;
+            
+            const assertion = this.assertionFor(text, start, end);
+            const trace = this.lexiconTrace(entry, 0.7);
+            medicalFound.push({
+                text: textLower.substring(start, end),
+                riskScore: this.applyAssertionRisk(0.7, assertion, trace),
+                start,
+                end,
+                assertion,
+                trace
+            });
         }
         
         return medicalFound;
     }
     
-    calculateSymptomRisk(symptom, category, context) {
+    // Scoring functions take an optional detection trace and record their base
+    // score and each adjustment with the word that triggered it
+    calculateSymptomRisk(symptom, category, start, end, text, trace = { adjustments: [] }) {
         const highRiskCategories = ['trauma_ptsd', 'mood_disorders', 'psychotic_disorders'];
         const highRiskSymptoms = [
             'suicide', 'self-harm', 'cutting', 'PTSD', 'trauma', 
@@ -244,63 +502,125 @@ class SanctuAI {
         // Base risk
         let riskScore = highRiskCategories.includes(category) || 
                        highRiskSymptoms.includes(symptom.toLowerCase()) ? 0.9 : 0.7;
+        trace.base_score = riskScore;
         
         // Context adjustments
-        const contextLower = context.toLowerCase();
-        if (['suicide', 'kill myself', 'end it all'].some(word => contextLower.includes(word))) {
-            riskScore = Math.min(riskScore + 0.2, 1.0);
-        }
-        if (['abuse', 'assault', 'rape', 'violence'].some(word => contextLower.includes(word))) {
-            riskScore = Math.min(riskScore + 0.15, 1.0);
-        }
-        if (contextLower.includes('hospital') || contextLower.includes('emergency')) {
-            riskScore = Math.min(riskScore + 0.1, 1.0);
+        const adjustments = [
+            ['crisis_context', ['suicide', 'kill myself', 'end it all'], 0.2],
+            ['violence_context', ['abuse', 'assault', 'rape', 'violence'], 0.15],
+            ['care_setting', ['hospital', 'emergency'], 0.1]
+        ];
+        for (const [rule, words, increase] of adjustments) {
+            const trigger = this.assertedTrigger(words, start, end, text);
+            if (trigger) {
+                riskScore = this.adjustRisk(trace, rule, trigger, riskScore, Math.min(riskScore + increase, 1.0));
+            }
         }
         
         return riskScore;
     }
     
-    adjustEmotionRisk(baseScore, start, end, text) {
-        const contextWindow = text.substring(
-            Math.max(0, start - 50),
-            Math.min(text.length, end + 50)
-        ).toLowerCase();
-        
-        let riskScore = baseScore;
-        
-        // Increase risk if in context with high-risk words
-        if (['suicide', 'kill', 'die', 'end my life'].some(word => contextWindow.includes(word))) {
-            riskScore = Math.min(riskScore + 0.3, 1.0);
-        } else if (['abuse', 'trauma', 'assault'].some(word => contextWindow.includes(word))) {
-            riskScore = Math.min(riskScore + 0.2, 1.0);
-        } else if (['can\'t take it', 'can\'t go on'].some(word => contextWindow.includes(word))) {
-            riskScore = Math.min(riskScore + 0.15, 1.0);
+    adjustEmotionRisk(baseScore, start, end, text, trace = { adjustments: [] }) {
+        // Increase risk if in context with high-risk words; the first match applies
+        return this.firstAdjustment(baseScore, start, end, text, trace, [
+            ['crisis_context', ['suicide', 'kill', 'die', 'end my life'], 0.3],
+            ['trauma_context', ['abuse', 'trauma', 'assault'], 0.2],
+            ['distress_context', ['can\'t take it', 'can\'t go on'], 0.15]
+        ]);
+    }
+    
+    adjustRelationRisk(baseScore, start, end, text, trace = { adjustments: [] }) {
+        // Increase risk if relationship is mentioned with negative context
+        return this.firstAdjustment(baseScore, start, end, text, trace, [
+            ['violence_context', ['abuse', 'hit', 'yell', 'hurt', 'violence'], 0.3],
+            ['betrayal_context', ['left me', 'cheat', 'betray'], 0.2],
+            ['fear_context', ['scared', 'afraid', 'fear'], 0.15]
+        ]);
+    }
+    
+    // Applies the first of `adjustments` ([rule, trigger words, increase])
+    // whose trigger is asserted near the span
+    firstAdjustment(baseScore, start, end, text, trace, adjustments) {
+        trace.base_score = baseScore;
+        for (const [rule, words, increase] of adjustments) {
+            const trigger = this.assertedTrigger(words, start, end, text);
+            if (trigger) {
+                return this.adjustRisk(trace, rule, trigger, baseScore, Math.min(baseScore + increase, 1.0));
+            }
         }
-        
-        return riskScore;
+        return baseScore;
     }
     
-    adjustRelationRisk(baseScore, start, end, text) {
-        const contextWindow = text.substring(
-            Math.max(0, start - 50),
-            Math.min(text.length, end + 50)
-        ).toLowerCase();
-        
-        let riskScore = baseScore;
+    // Records an adjustment from `before` to `after` on a detection trace
+    adjustRisk(trace, rule, trigger, before, after) {
+        trace.adjustments.push({
+            rule,
+            trigger,
+            delta: Math.round((after - before) * 100) / 100,
+            score: Math.round(after * 100) / 100
+        });
+        return after;
+    }
+    
+    // Trace of a lexicon match: the term, its lexicon group and language
+    lexiconTrace(entry, baseScore = null) {
+        return {
+            match: {
+                type: 'lexicon',
+                term: entry.term,
+                group: entry.payload.group,
+                language: entry.payload.language
+            },
+            base_score: baseScore,
+            adjustments: []
+        };
+    }
+    
+    hasAssertedTrigger(words, start, end, text) {
+        return this.assertedTrigger(words, start, end, text) !== null;
+    }
+    
+    // The first trigger word within 50 characters of the span that is itself
+    // asserted, i.e. not negated or hypothetical in its own clause, or null
+    assertedTrigger(words, start, end, text) {
+        const windowStart = Math.max(0, start - 50);
+        const contextWindow = foldCase(text.substring(windowStart, Math.min(text.length, end + 50)));
         
-        // Increase risk if relationship is mentioned with negative context
-        if (['abuse', 'hit', 'yell', 'hurt', 'violence'].some(word => contextWindow.includes(word))) {
-            riskScore = Math.min(riskScore + 0.3, 1.0);
-        } else if (['left me', 'cheat', 'betray'].some(word => contextWindow.includes(word))) {
-            riskScore = Math.min(riskScore + 0.2, 1.0);
-        } else if (['scared', 'afraid', 'fear'].some(word => contextWindow.includes(word))) {
-            riskScore = Math.min(riskScore + 0.15, 1.0);
+        for (const word of words) {
+            for (let index = contextWindow.indexOf(word); index !== -1; index = contextWindow.indexOf(word, index + 1)) {
+                const assertion = this.assertionFor(text, windowStart + index, windowStart + index + word.length);
+                if (!assertion.negated && !assertion.hypothetical) return word;
+            }
         }
+        return null;
+    }
+    
+    assertionFor(text, start, end) {
+        return this.assertionAnalyzer.analyze(text, start, end);
+    }
+    
+    // Scale a risk score by how the span is asserted: denied, hypothetical,
+    // historical or about someone other than the speaker
+    applyAssertionRisk(riskScore, assertion, trace = { adjustments: [] }) {
+        let factor = 1;
+        const scale = (trigger, by) => {
+            factor *= by;
+            trace.adjustments.push({
+                rule: 'assertion',
+                trigger,
+                factor: by,
+                score: Math.round(Math.max(riskScore * factor, 0.1) * 100) / 100
+            });
+        };
+        if (assertion.negated) scale('negated', 0.5);
+        if (assertion.hypothetical) scale('hypothetical', 0.7);
+        if (assertion.temporality === 'past') scale('past', 0.85);
+        if (assertion.subject === 'third_party') scale('third_party', 0.7);
         
-        return riskScore;
+        return Math.round(Math.max(riskScore * factor, 0.1) * 100) / 100;
     }
     
-    calculateNameRisk(name, context) {
+    calculateNameRisk(name, context, trace = { adjustments: [] }) {
         const contextLower = context.toLowerCase();
         
         // High risk indicators
@@ -314,139 +634,367 @@ class SanctuAI {
         ];
         
         let riskScore = 0.5;  // Base risk for any name
+        trace.base_score = riskScore;
         
         // Increase risk based on context
-        for (const indicator of traumaIndicators) {
-            if (contextLower.includes(indicator)) {
-                riskScore = Math.min(riskScore + 0.3, 1.0);
-                break;
-            }
+        const traumaIndicator = traumaIndicators.find(indicator => contextLower.includes(indicator));
+        if (traumaIndicator) {
+            riskScore = this.adjustRisk(trace, 'trauma_context', traumaIndicator, riskScore, Math.min(riskScore + 0.3, 1.0));
         }
         
-        for (const indicator of negativeIndicators) {
-            if (contextLower.includes(indicator)) {
-                riskScore = Math.min(riskScore + 0.2, 1.0);
-                break;
-            }
+        const negativeIndicator = negativeIndicators.find(indicator => contextLower.includes(indicator));
+        if (negativeIndicator) {
+            riskScore = this.adjustRisk(trace, 'negative_context', negativeIndicator, riskScore, Math.min(riskScore + 0.2, 1.0));
         }
         
         // Check if name is part of a professional title (lower risk)
-        if (['dr.', 'doctor', 'therapist', 'counselor'].some(title => contextLower.includes(title))) {
-            riskScore = Math.max(riskScore - 0.2, 0.3);
+        const title = ['dr.', 'doctor', 'therapist', 'counselor'].find(title => contextLower.includes(title));
+        if (title) {
+            riskScore = this.adjustRisk(trace, 'professional_title', title, riskScore, Math.max(riskScore - 0.2, 0.3));
         }
         
         return riskScore;
     }
     
-    redactText(text, consentGiven = false) {
-        let redactedText = text;
-        const redactionEntries = [];
-        
-        // Detect all sensitive elements
-        const symptoms = this.detectSymptoms(text);
-        const emotions = this.detectEmotions(text);
-        const relationships = this.detectRelationships(text);
-        const names = this.detectNamesWithContext(text);
-        const medicalInfo = this.detectMedicalInfo(text);
-        
-        // Collect all redaction candidates
-        const redactionCandidates = [];
-        
-        // Add symptoms
-        for (const {text: symptom, category, riskScore} of symptoms) {
-            const pattern = new RegExp('\\b' + this.escapeRegExp(symptom.toLowerCase()) + '\\b', 'gi');
-            let match;
-            while ((match = pattern.exec(text.toLowerCase())) !== null) {
-                redactionCandidates.push({
-                    start: match.index,
-                    end: match.index + match[0].length,
-                    text: text.substring(match.index, match.index + match[0].length),
-                    reason: RedactionReason.SYMPTOM,
-                    riskScore,
-                    context: category
-                });
-            }
+    symptomCandidates(text) {
+        return this.detectSymptoms(text).map(({category, riskScore, start, end, assertion, trace}) => ({
+            start,
+            end,
+            text: text.substring(start, end),
+            reason: RedactionReason.SYMPTOM,
+            riskScore,
+            context: category,
+            assertion,
+            attributes: { category },
+            trace
+        }));
+    }
+    
+    emotionCandidates(text) {
+        return this.detectEmotions(text).map(({riskScore, start, end, assertion, trace}) => ({
+            start,
+            end,
+            text: text.substring(start, end),
+            reason: RedactionReason.EMOTION,
+            riskScore,
+            context: 'emotional_expression',
+            assertion,
+            trace
+        }));
+    }
+    
+    relationshipCandidates(text) {
+        return this.detectRelationships(text).map(({text: term, riskScore, start, end, assertion, trace}) => ({
+            start,
+            end,
+            text: text.substring(start, end),
+            reason: RedactionReason.RELATION,
+            riskScore,
+            context: 'relationship_reference',
+            assertion,
+            attributes: { role: this.relationRoles[term] || null },
+            trace
+        }));
+    }
+    
+    nameCandidates(text) {
+        return this.detectNamesWithContext(text).map(({text: name, start, end, riskScore, context, trace}) => ({
+            start,
+            end,
+            text: name,
+            reason: RedactionReason.PII,
+            subType: PIIType.PERSON_NAME,
+            riskScore,
+            context,
+            trace
+        }));
+    }
+    
+    structuredPIICandidates(text) {
+        return this.detectStructuredPII(text).map(({text: value, start, end, subType, riskScore, trace}) => ({
+            start,
+            end,
+            text: value,
+            reason: RedactionReason.PII,
+            subType,
+            riskScore,
+            context: 'structured_identifier',
+            trace
+        }));
+    }
+    
+    medicalCandidates(text) {
+        return this.detectMedicalInfo(text).map(({riskScore, start, end, assertion, trace}) => ({
+            start,
+            end,
+            text: text.substring(start, end),
+            reason: RedactionReason.MEDICAL,
+            subType: MedicalType.MEDICAL_TERM,
+            riskScore,
+            context: 'medical_information',
+            assertion,
+            trace
+        }));
+    }
+    
+    medicalEntityCandidates(text) {
+        const dates = this.detectStructuredPII(text).filter(pii => pii.subType === PIIType.DATE);
+        return this.medicalEntityDetector.detect(text, dates).map(({text: value, start, end, subType, riskScore, attributes, trace}) => ({
+            start,
+            end,
+            text: value,
+            reason: RedactionReason.MEDICAL,
+            subType,
+            riskScore,
+            context: subType,
+            attributes,
+            trace
+        }));
+    }
+    
+    registerDetector(detector) {
+        if (!detector || typeof detector.detect !== 'function' || !detector.name || !detector.category) {
+            throw new Error('Detectors must provide name, category and detect(text, engine)');
+        }
+        const category = String(detector.category).toUpperCase();
+        if (!RedactionReason.hasOwnProperty(category)) {
+            throw new Error(`Detector ${detector.name} uses unknown category "${detector.category}"`);
+        }
+        if (this.detectors.some(existing => existing.name === detector.name)) {
+            throw new Error(`A detector named ${detector.name} is already registered`);
         }
         
-        // Add emotions
-        for (const {text: emotion, riskScore} of emotions) {
-            const pattern = new RegExp('\\b' + this.escapeRegExp(emotion) + '\\b', 'gi');
-            let match;
-            while ((match = pattern.exec(text.toLowerCase())) !== null) {
-                redactionCandidates.push({
-                    start: match.index,
-                    end: match.index + match[0].length,
-                    text: text.substring(match.index, match.index + match[0].length),
-                    reason: RedactionReason.EMOTION,
-                    riskScore,
-                    context: 'emotional_expression'
+        this.detectors.push({ ...detector, category });
+    }
+    
+    unregisterDetector(name) {
+        this.detectors = this.detectors.filter(detector => detector.name !== name);
+    }
+    
+    collectCandidates(text) {
+        const candidates = [];
+        
+        for (const detector of this.detectors) {
+            if (!this.policy.isEnabled(detector.category)) continue;
+            
+            for (const found of detector.detect(text, this)) {
+                candidates.push({
+                    text: text.substring(found.start, found.end),
+                    reason: RedactionReason[detector.category],
+                    detector: detector.name,
+                    context: detector.name,
+                    assertion: found.assertion || this.assertionFor(text, found.start, found.end),
+                    language: this.languageAt(text, found.start),
+                    ...found
                 });
             }
         }
         
-        // Add relationships
-        for (const {text: relation, riskScore} of relationships) {
-            const pattern = new RegExp('\\b' + this.escapeRegExp(relation) + '\\b', 'gi');
+        // Terms the organization's reviewers always redact
+        for (const item of this.organizationLists.denied(this.organizationId)) {
+            if (!this.policy.isEnabled(item.category)) continue;
+            
+            const pattern = this.wordPattern(item.term, 'gi');
             let match;
-            while ((match = pattern.exec(text.toLowerCase())) !== null) {
-                redactionCandidates.push({
-                    start: match.index,
-                    end: match.index + match[0].length,
-                    text: text.substring(match.index, match.index + match[0].length),
-                    reason: RedactionReason.RELATION,
-                    riskScore,
-                    context: 'relationship_reference'
+            while ((match = pattern.exec(text)) !== null) {
+                const start = match.index;
+                const end = start + match[0].length;
+                candidates.push({
+                    start,
+                    end,
+                    text: match[0],
+                    reason: RedactionReason[item.category],
+                    subType: item.sub_type,
+                    riskScore: REVIEWED_RISK,
+                    detector: 'deny_list',
+                    context: 'deny_list',
+                    assertion: this.assertionFor(text, start, end),
+                    language: this.languageAt(text, start),
+                    trace: { match: { type: 'deny_list', term: item.term }, base_score: REVIEWED_RISK, adjustments: [] }
                 });
             }
         }
         
-        // Add names
-        for (const {text: name, riskScore, context} of names) {
-            const pattern = new RegExp('\\b' + this.escapeRegExp(name) + '\\b', 'g');
+        // Names learned from the case's earlier notes, matched as written
+        for (const name of this.caseRecord ? this.caseRecord.names : []) {
+            if (!this.policy.isEnabled('PII')) break;
+            
+            const pattern = this.wordPattern(name.text, 'g');
             let match;
             while ((match = pattern.exec(text)) !== null) {
-                redactionCandidates.push({
-                    start: match.index,
-                    end: match.index + match[0].length,
-                    text: name,
+                const start = match.index;
+                const end = start + match[0].length;
+                candidates.push({
+                    start,
+                    end,
+                    text: match[0],
                     reason: RedactionReason.PII,
-                    riskScore,
-                    context
+                    subType: PIIType.PERSON_NAME,
+                    riskScore: CASE_NAME_RISK,
+                    detector: 'case_history',
+                    context: 'case_history',
+                    assertion: this.assertionFor(text, start, end),
+                    language: this.languageAt(text, start),
+                    trace: { match: { type: 'case_history', term: name.text }, base_score: CASE_NAME_RISK, adjustments: [] }
                 });
             }
         }
         
-        // Add medical info
-        for (const {text: term, riskScore} of medicalInfo) {
-            const pattern = new RegExp('\\b' + this.escapeRegExp(term.toLowerCase()) + '\\b', 'gi');
-            let match;
-            while ((match = pattern.exec(text.toLowerCase())) !== null) {
-                redactionCandidates.push({
-                    start: match.index,
-                    end: match.index + match[0].length,
-                    text: text.substring(match.index, match.index + match[0].length),
-                    reason: RedactionReason.MEDICAL,
-                    riskScore,
-                    context: 'medical_information'
-                });
+        // Names inside an email address or URL are covered by that identifier
+        const identifiers = candidates.filter(c =>
+            c.reason === RedactionReason.PII && c.subType && c.subType !== PIIType.PERSON_NAME
+        );
+        
+        return candidates.filter(candidate => {
+            const key = this.reasonKey(candidate.reason);
+            if (candidate.riskScore < this.policy.minRiskFor(key)) return false;
+            if (this.policy.actionFor(key) === RedactionAction.KEEP) return false;
+            if (candidate.context !== 'deny_list' &&
+                this.organizationLists.isAllowed(this.organizationId, candidate.text)) return false;
+            if (candidate.subType === PIIType.PERSON_NAME) {
+                return !identifiers.some(pii => candidate.start >= pii.start && candidate.start < pii.end);
             }
+            return true;
+        });
+    }
+    
+    assessCrisis(text) {
+        return this.crisisAssessor.assess(text, (start, end) => this.assertionFor(text, start, end));
+    }
+    
+    addAlertHook(hook) {
+        if (!hook || typeof hook.notify !== 'function') {
+            throw new Error('Alert hooks must provide notify(alert)');
+        }
+        this.alertHooks.push(hook);
+    }
+    
+    notifyAlertHooks(assessment) {
+        const alert = {
+            type: 'crisis_alert',
+            session_id: this.sessionId,
+            crisis_level: assessment.crisis_level,
+            indicators: assessment.evidence.map(({indicator, kind, start, end}) => ({indicator, kind, start, end})),
+            timestamp: new Date().toISOString()
+        };
+        if (this.includeAlertExcerpts) {
+            alert.excerpts = assessment.evidence.map(item => item.text);
         }
         
-        // Sort by position (reverse order to maintain indices)
-        redactionCandidates.sort((a, b) => b.start - a.start);
+        // Delivery failures are logged, never thrown into the redaction path
+        return Promise.allSettled(this.alertHooks.map(hook => Promise.resolve().then(() => hook.notify(alert))))
+            .then(results => {
+                for (const result of results) {
+                    if (result.status === 'rejected') {
+                        console.error(`Crisis alert delivery failed: ${result.reason && result.reason.message}`);
+                    }
+                }
+                return results;
+            });
+    }
+    
+    // `consent` is either the legacy boolean flag, which is only recorded on
+    // entries, or { subjectId, purpose }: spans in categories that subject has
+    // an active consent record for are released instead of redacted.
+    // `annotations` are extra fields (e.g. a transcript turn index) set on
+    // every entry before it is logged. `action` replaces the policy's action
+    // for every category, without generalization.
+    redactText(text, consent = false, annotations = {}, action = null) {
+        // Checked up front so an invalid scope fails before anything is logged
+        this.consentScope(consent);
         
-        // Remove duplicates and overlaps, keeping highest risk
-        const finalCandidates = this.removeOverlaps(redactionCandidates);
+        // Assess crisis indicators before they are redacted away
+        const crisis = this.assessCrisis(text);
+        this.crisisLog.push({
+            crisis_level: crisis.crisis_level,
+            evidence_count: crisis.evidence.length,
+            assessed_at: crisis.assessed_at
+        });
+        if (crisis.crisis_level !== CrisisLevel.NONE) {
+            this.auditStore.recordCrisis(this.sessionId, crisis);
+        }
+        if (crisis.crisis_level !== CrisisLevel.NONE &&
+            CrisisAssessor.atLeast(crisis.crisis_level, this.alertThreshold)) {
+            this.lastAlertDelivery = this.notifyAlertHooks(crisis);
+        }
+        
+        // Collect redaction candidates from every enabled detector
+        const redactionCandidates = this.collectCandidates(text);
+        
+        // Resolve overlaps into non-overlapping spans, in text order
+        const finalCandidates = this.resolveSpans(redactionCandidates, text);
+        
+        const { redactedText, redactionEntries, consentReleases } =
+            this.replaceSpans(text, finalCandidates, consent, annotations, action);
+        
+        // Store in log and in the audit store, which keeps no plaintext originals
+        this.redactionLog.push(...redactionEntries);
+        this.consentLog.push(...consentReleases);
+        this.auditStore.recordRedactions(this.sessionId, redactionEntries);
+        this.auditStore.recordConsentReleases(this.sessionId, consentReleases);
+        
+        return {
+            redactedText,
+            redactionEntries,
+            consentReleases,
+            crisis,
+            residualRisk: this.assessResidualRisk(redactedText, [...redactionEntries, ...consentReleases]),
+            language: this.documentLanguage(text)
+        };
+    }
+    
+    // Builds the entries and output for resolved, non-overlapping `spans`:
+    // each is released under consent or replaced by its generalization,
+    // surrogate or redaction tag. `forcedAction` overrides the policy as in
+    // redactText.
+    replaceSpans(text, spans, consent = false, annotations = {}, forcedAction = null) {
+        const redactionEntries = [];
+        const consentReleases = [];
+        const consentScope = this.consentScope(consent);
+        const consentGiven = consent === true;
         
-        // Apply redactions
-        for (const candidate of finalCandidates) {
-            const {start, end, text: original, reason, riskScore, context} = candidate;
+        // Decide each span's replacement; released spans keep their text
+        let pseudonymized = false;
+        const replacements = [];
+        for (const candidate of spans) {
+            const {start, end, text: original, reason, riskScore, context, subType = null, assertion = null, overlapping} = candidate;
+            const key = this.reasonKey(reason);
+            const action = forcedAction || this.policy.actionFor(key);
+            const thresholds = this.policy.thresholdsFor(key);
+            
+            // Leave the span in place when a consent record covers it
+            const consentRecord = consentScope &&
+                this.consentRegistry.find(consentScope.subjectId, consentScope.purpose, key);
+            if (consentRecord) {
+                const release = new RedactionEntry(original, original, start, end, reason, riskScore,
+                    context, true, subType, assertion);
+                release.consent_record_id = consentRecord.id;
+                release.strategy = 'release';
+                release.overlapping = overlapping;
+                release.explanation = this.explain(candidate);
+                release.language = candidate.language;
+                release.review_decision = candidate.reviewDecision || null;
+                Object.assign(release, annotations);
+                consentReleases.push(release);
+                replacements.push({ start, end, replacement: original, entry: release });
+                continue;
+            }
             
-            // Generate redaction tag based on risk level
+            // Generate redaction tag: a configured generalization, or one based on
+            // the category's action and risk level
+            const generalization = forcedAction ? null : this.policy.generalizationFor(key, subType);
+            const generalizedTag = forcedAction ? null : generalize(key, candidate, generalization);
             let redactionTag;
-            if (riskScore > 0.8) {
+            if (generalizedTag !== null) {
+                redactionTag = generalizedTag;
+            } else if (action === RedactionAction.PSEUDONYMIZE) {
+                redactionTag = this.pseudonymizer.surrogateFor(original, this.surrogateLabel(reason, subType));
+                pseudonymized = true;
+            } else if (action === RedactionAction.ANONYMIZE) {
+                redactionTag = `[ANONYMIZED:${reason}]`;
+            } else if (riskScore > thresholds.high) {
                 redactionTag = `[REDACTED_HIGH_RISK:${reason}]`;
-            } else if (riskScore > 0.5) {
+            } else if (riskScore > thresholds.medium) {
                 redactionTag = `[REDACTED:${reason}]`;
             } else {
                 redactionTag = `[ANONYMIZED:${reason}]`;
@@ -461,51 +1009,275 @@ class SanctuAI {
                 reason,
                 riskScore,
                 context,
-                consentGiven
+                consentGiven,
+                subType,
+                assertion
             );
+            entry.overlapping = overlapping;
+            entry.explanation = this.explain(candidate);
+            entry.language = candidate.language;
+            entry.strategy = generalizedTag !== null ? 'generalize' : action;
+            entry.generalization = generalizedTag !== null ? generalization : null;
+            entry.review_decision = candidate.reviewDecision || null;
+            Object.assign(entry, annotations);
             
             redactionEntries.push(entry);
-            
-            // Apply redaction to text
-            redactedText = redactedText.substring(0, start) + redactionTag + redactedText.substring(end);
+            replacements.push({ start, end, replacement: redactionTag, entry });
+        }
+        
+        // Apply every replacement against the unchanged original
+        const { text: redactedText, offsets } = applyReplacements(text, replacements);
+        replacements.forEach(({ entry }, i) => {
+            entry.output_start_pos = offsets[i].output_start;
+            entry.output_end_pos = offsets[i].output_end;
+        });
+        
+        // Keep the session's surrogate mapping in the vault for re-identification
+        if (pseudonymized) {
+            this.vault.store(this.sessionId, this.pseudonymizer.toJSON());
+        }
+        
+        return { redactedText, redactionEntries, consentReleases };
+    }
+    
+    // Why a span was redacted: the detector and what it matched, the base
+    // score and each adjustment with its trigger, and the overlapping
+    // candidates that lost to it with the ranking criterion that decided
+    explain(span) {
+        const trace = span.trace || { match: null, base_score: span.riskScore, adjustments: [] };
+        return {
+            detector: span.detector || null,
+            match: trace.match || { type: 'detector' },
+            base_score: trace.base_score === undefined || trace.base_score === null ? span.riskScore : trace.base_score,
+            adjustments: trace.adjustments,
+            final_score: span.riskScore,
+            suppressed: (span.overlapping || []).map(({ text, ...alternative }) => alternative)
+        };
+    }
+    
+    // Re-renders `text` after a reviewer's decisions on its detected spans
+    // (see sanctuai_review.js). `options.reviewer` ({ id, name }) is required
+    // and `options.consent` is as for redactText. With `options.updateLists`,
+    // rejected terms join the organization's allow list and added spans its
+    // deny list.
+    reviewText(text, decisions, options = {}) {
+        const reviewer = options.reviewer || {};
+        if (!reviewer.id) {
+            throw new Error('Reviews need a reviewer id');
+        }
+        if (typeof text !== 'string') {
+            throw new Error('Reviews need the original text');
+        }
+        if (options.updateLists && !this.organizationId) {
+            throw new Error('Updating allow and deny lists needs an organization id');
+        }
+        const consent = options.consent || false;
+        this.consentScope(consent);
+        
+        // Detection is deterministic, so decisions line up with the spans the
+        // reviewer was shown
+        const detected = this.resolveSpans(this.collectCandidates(text), text);
+        const { spans, applied } = applyDecisions(detected, decisions, {
+            text,
+            reasons: RedactionReason,
+            createSpan: (start, end, reason, subType) => ({
+                start,
+                end,
+                text: text.substring(start, end),
+                reason,
+                subType,
+                riskScore: REVIEWED_RISK,
+                detector: 'reviewer',
+                context: 'reviewer',
+                assertion: this.assertionFor(text, start, end),
+                language: this.languageAt(text, start),
+                overlapping: [],
+                trace: { match: { type: 'reviewer' }, base_score: REVIEWED_RISK, adjustments: [] }
+            })
+        });
+        for (const span of spans) {
+            span.reviewDecision = span.reviewDecision || ReviewAction.ACCEPT;
+        }
+        
+        const { redactedText, redactionEntries, consentReleases } =
+            this.replaceSpans(text, spans, consent, { reviewed_by: reviewer.id });
+        
+        for (const decision of applied) {
+            decision.list = null;
+            if (!options.updateLists) continue;
+            if (decision.action === ReviewAction.REJECT) {
+                this.organizationLists.allow(this.organizationId, decision.text, reviewer.id);
+                decision.list = 'allow';
+            } else if (decision.action === ReviewAction.ADD) {
+                this.organizationLists.deny(this.organizationId, decision.text, this.reasonKey(decision.reason),
+                    { subType: decision.sub_type, addedBy: reviewer.id });
+                decision.list = 'deny';
+            }
         }
         
-        // Store in log
         this.redactionLog.push(...redactionEntries);
+        this.consentLog.push(...consentReleases);
+        this.auditStore.recordReview(this.sessionId, {
+            reviewer: { id: reviewer.id, name: reviewer.name || null },
+            organization_id: this.organizationId,
+            decisions: applied.map(decision => ({
+                action: decision.action,
+                start_pos: decision.start,
+                end_pos: decision.end,
+                category: decision.reason ? this.reasonKey(decision.reason) : null,
+                previous_category: decision.previous_reason ? this.reasonKey(decision.previous_reason) : null,
+                sub_type: decision.sub_type,
+                list: decision.list,
+                text: decision.text
+            }))
+        });
+        this.auditStore.recordReviewedRedactions(this.sessionId, redactionEntries);
+        this.auditStore.recordConsentReleases(this.sessionId, consentReleases);
         
         return {
             redactedText,
-            redactionEntries
+            redactionEntries,
+            consentReleases,
+            decisions: applied.map(({ text: original, ...decision }) => decision),
+            residualRisk: this.assessResidualRisk(redactedText, [...redactionEntries, ...consentReleases])
         };
     }
     
-    removeOverlaps(candidates) {
-        if (candidates.length === 0) return [];
+    // How identifiable redacted output still is; `entries` locate its
+    // replacements (see sanctuai_risk.js)
+    assessResidualRisk(redactedText, entries = []) {
+        const assessment = this.residualRiskAnalyzer.analyze(redactedText, entries);
+        this.riskLog.push({
+            score: assessment.score,
+            level: assessment.level,
+            k_estimate: assessment.k_estimate
+        });
+        return assessment;
+    }
+    
+    consentScope(consent) {
+        if (!consent || typeof consent !== 'object') {
+            return null;
+        }
+        if (!consent.subjectId) {
+            throw new Error('Consent scopes need a subjectId');
+        }
+        if (!Object.values(ConsentPurpose).includes(consent.purpose)) {
+            throw new Error(`Unknown consent purpose "${consent.purpose}"`);
+        }
+        return consent;
+    }
+    
+    reasonKey(reason) {
+        return Object.keys(RedactionReason).find(key => RedactionReason[key] === reason);
+    }
+    
+    surrogateLabel(reason, subType) {
+        if (reason === RedactionReason.PII) {
+            return !subType || subType === PIIType.PERSON_NAME ? 'PERSON' : subType.toUpperCase();
+        }
+        if (reason === RedactionReason.MEDICAL && subType && subType !== MedicalType.MEDICAL_TERM) {
+            return subType.toUpperCase();
+        }
+        return this.reasonKey(reason) || 'ENTITY';
+    }
+    
+    restoreText(redactedText, key, sessionId = this.sessionId) {
+        const mapping = this.vault.load(sessionId, key);
+        if (!mapping) {
+            throw new Error(`No pseudonym mapping stored for session ${sessionId}`);
+        }
         
-        // Sort by start position
-        candidates.sort((a, b) => a.start - b.start);
-        const result = [candidates[0]];
+        // Longest surrogates first so "Avery Ashdown" wins over "Avery"
+        const originals = new Map(mapping.originals);
+        const surrogates = Array.from(originals.keys()).sort((a, b) => b.length - a.length);
+        if (surrogates.length === 0) return redactedText;
         
-        for (let i = 1; i < candidates.length; i++) {
-            const current = candidates[i];
-            const last = result[result.length - 1];
-            
-            // Check for overlap
-            if (current.start < last.end) {
-                // Keep the one with higher risk score
-                if (current.riskScore > last.riskScore) {
-                    result[result.length - 1] = current;
-                }
-            } else {
-                result.push(current);
-            }
+        const pattern = new RegExp(surrogates.map(surrogate =>
+            (/^\w/.test(surrogate) ? '\\b' : '') +
+            this.escapeRegExp(surrogate) +
+            (/\w$/.test(surrogate) ? '\\b' : '')
+        ).join('|'), 'g');
+        
+        return redactedText.replace(pattern, surrogate => originals.get(surrogate));
+    }
+    
+    // Redacts the next note of this redactor's case, then learns its names,
+    // adds its category counts to the case and records the case's trends in
+    // the audit trail. `options.consent` is as for redactText;
+    // `options.recordedAt` dates the note (default now).
+    redactNote(text, options = {}) {
+        if (!this.caseId) {
+            throw new Error('Notes need a redactor opened with a caseId');
         }
+        // Another redactor may have added notes since this one was opened
+        this.caseRecord = this.caseStore.open(this.caseId);
+        const noteNumber = this.caseRecord.notes.length + 1;
+        
+        const result = this.redactText(text, options.consent || false, { case_note: noteNumber });
         
-        return result;
+        learnNames(this.caseRecord, result.redactionEntries, noteNumber);
+        this.caseRecord.notes.push({
+            note: noteNumber,
+            recorded_at: options.recordedAt || new Date().toISOString(),
+            crisis_level: result.crisis.crisis_level,
+            ...noteCounts(result.redactionEntries, reason => this.reasonKey(reason))
+        });
+        this.caseStore.save(this.caseRecord);
+        
+        const trends = caseTrends(this.caseRecord);
+        this.auditStore.recordCaseTrends(this.sessionId, noteNumber, trends);
+        return { ...result, note: noteNumber, trends };
+    }
+    
+    caseSummary() {
+        if (!this.caseId) {
+            throw new Error('Case summaries need a redactor opened with a caseId');
+        }
+        this.caseRecord = this.caseStore.open(this.caseId);
+        return caseTrends(this.caseRecord);
+    }
+    
+    // Pseudonymizes every detected span of a message bound for a language
+    // model, so the model can still tell the people and details in it apart.
+    // Returns the prompt and a handle for rehydrate; `consent` is as for
+    // redactText.
+    wrapForModel(text, consent = false) {
+        const result = this.redactText(text, consent, {}, RedactionAction.PSEUDONYMIZE);
+        return {
+            ...result,
+            prompt: result.redactedText,
+            handle: { session_id: this.sessionId }
+        };
+    }
+    
+    // Maps the surrogates in a model's reply back to the entities they stand
+    // for. Any surrogate issued in the handle's session is restored, since a
+    // reply may refer to earlier messages.
+    rehydrate(modelOutput, handle) {
+        if (typeof modelOutput !== 'string') {
+            throw new Error('Model output must be a string');
+        }
+        if (!handle || !handle.session_id) {
+            throw new Error('A handle from wrapForModel is required');
+        }
+        // Nothing was pseudonymized in that session, so nothing to restore
+        if (!this.vault.load(handle.session_id)) {
+            return modelOutput;
+        }
+        return this.restoreText(modelOutput, null, handle.session_id);
+    }
+    
+    resolveSpans(candidates, text) {
+        const resolver = new SpanResolver({
+            ...this.policy.spanResolution,
+            categoryOf: candidate => this.reasonKey(candidate.reason)
+        });
+        return resolver.resolve(candidates, text);
     }
     
     generateAuditLog() {
-        if (this.redactionLog.length === 0) {
+        if (this.redactionLog.length === 0 && this.consentLog.length === 0) {
             return {};
         }
             
@@ -516,15 +1288,15 @@ class SanctuAI {
             high: this.redactionLog.filter(r => r.risk_score > 0.8).length
         };
         
-        // Calculate privacy protection score (0-100)
+        // Privacy protection score (0-100): how hard the session's least
+        // protected output is to re-identify
         const totalRedactions = this.redactionLog.length;
-        let privacyScore;
-        if (totalRedactions > 0) {
-            const highRiskRedactions = riskDistribution.high;
-            privacyScore = Math.min(100, 80 + (highRiskRedactions * 2));
-        } else {
-            privacyScore = 100;
-        }
+        const residualRisk = {
+            assessments: this.riskLog.length,
+            highest_score: Math.max(0, ...this.riskLog.map(r => r.score)),
+            lowest_k: this.riskLog.length > 0 ? Math.min(...this.riskLog.map(r => r.k_estimate)) : null
+        };
+        const privacyScore = 100 - residualRisk.highest_score;
         
         // Count redactions by reason
         const redactionSummary = {};
@@ -534,40 +1306,101 @@ class SanctuAI {
             }
         }
         
+        // Count PII redactions by identifier type
+        const piiBreakdown = {};
+        for (const entry of this.redactionLog) {
+            if (entry.reason === RedactionReason.PII && entry.sub_type) {
+                piiBreakdown[entry.sub_type] = (piiBreakdown[entry.sub_type] || 0) + 1;
+            }
+        }
+        
+        // Count medical redactions by entity type
+        const medicalBreakdown = {};
+        for (const entry of this.redactionLog) {
+            if (entry.reason === RedactionReason.MEDICAL && entry.sub_type) {
+                medicalBreakdown[entry.sub_type] = (medicalBreakdown[entry.sub_type] || 0) + 1;
+            }
+        }
+        
+        // Count entries by how they were asserted
+        const assertionSummary = { negated: 0, hypothetical: 0, past: 0, third_party: 0 };
+        for (const { assertion } of this.redactionLog) {
+            if (!assertion) continue;
+            if (assertion.negated) assertionSummary.negated++;
+            if (assertion.hypothetical) assertionSummary.hypothetical++;
+            if (assertion.temporality === 'past') assertionSummary.past++;
+            if (assertion.subject === 'third_party') assertionSummary.third_party++;
+        }
+        
+        // Highest crisis level assessed in this session
+        const crisisSummary = {
+            highest_level: this.crisisLog.reduce((highest, { crisis_level }) =>
+                CrisisAssessor.atLeast(crisis_level, highest) ? crisis_level : highest, CrisisLevel.NONE),
+            concern: this.crisisLog.filter(c => c.crisis_level === CrisisLevel.CONCERN).length,
+            imminent: this.crisisLog.filter(c => c.crisis_level === CrisisLevel.IMMINENT).length
+        };
+        
         return {
             session_id: this.sessionId,
             timestamp: new Date().toISOString(),
             total_redactions: totalRedactions,
             risk_distribution: riskDistribution,
             privacy_score: privacyScore,
+            residual_risk: residualRisk,
             redaction_summary: redactionSummary,
+            pii_breakdown: piiBreakdown,
+            medical_breakdown: medicalBreakdown,
+            assertion_summary: assertionSummary,
+            crisis_summary: crisisSummary,
             high_risk_redactions: riskDistribution.high,
             consent_status: {
                 consented: this.redactionLog.filter(r => r.consent_given).length,
-                not_consented: this.redactionLog.filter(r => !r.consent_given).length
+                not_consented: this.redactionLog.filter(r => !r.consent_given).length,
+                released_under_consent: this.consentLog.length,
+                consent_records: [...new Set(this.consentLog.map(r => r.consent_record_id))]
             },
-            detailed_entries: this.redactionLog.map(entry => ({
-                original_text: entry.original_text,
-                redacted_text: entry.redacted_text,
-                start_pos: entry.start_pos,
-                end_pos: entry.end_pos,
-                reason: entry.reason,
-                risk_score: entry.risk_score,
-                context: entry.context,
-                consent_given: entry.consent_given,
-                timestamp: entry.timestamp
-            }))
+            // Originals appear only as keyed digests
+            detailed_entries: this.redactionLog.map(entry => auditView(entry, this.auditStore.digest(entry.original_text)))
         };
     }
     
-    exportCleanText(originalText) {
-        const { redactedText } = this.redactText(originalText, true);
+    // Redacts a speaker-turn transcript ("Therapist: ..." lines) or chat
+    // messages ([{ speaker, text, timestamp }]) turn by turn in this session.
+    // Options: consent (as for redactText), rolePolicies { role: overrides }, roles
+    // { role: [speaker labels] } and fields { speaker, text, timestamp }.
+    redactTranscript(transcript, options = {}) {
+        return new TranscriptRedactor(this, options).redact(transcript);
+    }
+    
+    // Redacts a text, HTML, JSON, DOCX or PDF document and writes it back in
+    // the same format (see sanctuai_formats.js). Options: format or filename,
+    // paths (JSONPath for JSON) and consent (as for redactText).
+    redactFile(input, options = {}) {
+        return redactFile(this, input, options);
+    }
+    
+    policyCategories() {
+        return Object.keys(RedactionReason);
+    }
+    
+    // Without a consent scope nothing is released
+    exportCleanText(originalText, consent = false) {
+        const { redactedText } = this.redactText(originalText, consent);
         return redactedText;
     }
     
     resetSession() {
         this.redactionLog = [];
+        this.crisisLog = [];
+        this.consentLog = [];
+        this.riskLog = [];
         this.sessionId = uuidv4();
+        this.pseudonymizer = new Pseudonymizer(this.surrogateStyle);
+    }
+    
+    // Matches `term` as a whole word in any script
+    wordPattern(term, flags = 'g') {
+        return new RegExp(wordBoundaryPattern(this.escapeRegExp(term)), flags + 'u');
     }
     
     escapeRegExp(string) {
@@ -605,4 +1438,4 @@ app.listen(PORT, () => {
 });
 */
 
-module.exports = { SanctuAI, RedactionReason, RedactionEntry };
\ No newline at end of file
+module.exports = { SanctuAI, RedactionReason, RedactionEntry, PIIType, MedicalType, RedactionAction, CrisisLevel };
\ No newline at end of file
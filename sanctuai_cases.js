@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const { TokenVault } = require('./sanctuai_vault');
+const { PIIType } = require('./sanctuai_pii');
+
+/*
+ * Client/case context across notes
+ *
+ * A case collects everything learned from a client's notes over time:
+ *
+ *   names   person names found in earlier notes, redacted in later ones even
+ *           when the name detector misses them
+ *   notes   per note: when it was recorded, its crisis level and how many
+ *           spans of each category (and symptom group) were found
+ *
+ * Pseudonyms carry over through the case's session in the token vault (see
+ * sessionIdFor). Case records hold original names, so they are only stored
+ * encrypted: each record is an AES-256-GCM entry in a TokenVault of its own.
+ */
+
+// Risk score of spans matching a name learned from an earlier note
+const CASE_NAME_RISK = 0.8;
+
+// Notes compared against the earlier ones for trends
+const TREND_WINDOW = 3;
+
+class CaseStore {
+    constructor(options = {}) {
+        this.vault = options.vault || new TokenVault({
+            key: options.key,
+            storagePath: options.storagePath
+        });
+    }
+
+    validId(caseId) {
+        if (typeof caseId !== 'string' || caseId.trim() === '') {
+            throw new Error('Case ids must be non-empty strings');
+        }
+        return caseId;
+    }
+
+    // Keyed so the audit trail and vault never show the case id itself
+    sessionIdFor(caseId) {
+        const digest = crypto.createHmac('sha256', this.vault.key).update(this.validId(caseId)).digest('hex');
+        return `case-${digest.slice(0, 32)}`;
+    }
+
+    open(caseId) {
+        return this.vault.load(`record:${this.sessionIdFor(caseId)}`) || {
+            case_id: caseId,
+            created_at: new Date().toISOString(),
+            updated_at: null,
+            names: [],
+            notes: []
+        };
+    }
+
+    save(record) {
+        record.updated_at = new Date().toISOString();
+        this.vault.store(`record:${this.sessionIdFor(record.case_id)}`, record);
+        return record;
+    }
+
+    delete(caseId) {
+        this.vault.delete(`record:${this.sessionIdFor(caseId)}`);
+    }
+}
+
+// Learns the names in a note's entries: the full name and, for longer
+// names, each capitalized part ("Sarah Johnson" also learns "Sarah")
+function learnNames(record, entries, noteNumber) {
+    for (const entry of entries) {
+        if (entry.sub_type !== PIIType.PERSON_NAME) continue;
+        const parts = entry.original_text.split(/\s+/).filter(part => /^\p{Lu}\p{L}{2,}$/u.test(part));
+        const terms = new Set([entry.original_text.trim(), ...(parts.length > 1 ? parts : [])]);
+
+        for (const term of terms) {
+            const known = record.names.find(name => name.text === term);
+            if (known) {
+                known.last_note = noteNumber;
+                known.occurrences++;
+            } else {
+                record.names.push({ text: term, first_note: noteNumber, last_note: noteNumber, occurrences: 1 });
+            }
+        }
+    }
+}
+
+// Counts per category key and per symptom group, from a note's entries
+function noteCounts(entries, categoryOf) {
+    const categories = {};
+    const symptomGroups = {};
+    for (const entry of entries) {
+        const key = categoryOf(entry.reason);
+        categories[key] = (categories[key] || 0) + 1;
+        if (key === 'SYMPTOM' && typeof entry.context === 'string' && /^[a-z_]+$/.test(entry.context)) {
+            symptomGroups[entry.context] = (symptomGroups[entry.context] || 0) + 1;
+        }
+    }
+    return { categories, symptom_groups: symptomGroups };
+}
+
+function average(values) {
+    const mean = values.length === 0 ? 0 : values.reduce((sum, value) => sum + value, 0) / values.length;
+    return Math.round(mean * 100) / 100;
+}
+
+// Mean count per note in the latest notes against the notes before them
+function trendOf(counts, window) {
+    if (counts.length <= window) {
+        return { recent_average: average(counts), earlier_average: null, trend: 'insufficient_data' };
+    }
+    const recent = average(counts.slice(-window));
+    const earlier = average(counts.slice(0, -window));
+    let trend = 'stable';
+    if (earlier === 0) {
+        trend = recent > 0 ? 'new' : 'stable';
+    } else if (recent > earlier * 1.25) {
+        trend = 'rising';
+    } else if (recent < earlier * 0.8) {
+        trend = 'falling';
+    }
+    return { recent_average: recent, earlier_average: earlier, trend };
+}
+
+// Trend summary of a case without any original text, safe for audit trails
+function caseTrends(record, window = TREND_WINDOW) {
+    const notes = record.notes;
+    const summarize = field => {
+        const keys = new Set(notes.flatMap(note => Object.keys(note[field])));
+        const summary = {};
+        for (const key of keys) {
+            const counts = notes.map(note => note[field][key] || 0);
+            summary[key] = {
+                total: counts.reduce((sum, count) => sum + count, 0),
+                notes_with: counts.filter(count => count > 0).length,
+                per_note: counts,
+                ...trendOf(counts, window)
+            };
+        }
+        return summary;
+    };
+
+    return {
+        notes: notes.length,
+        first_note_at: notes.length > 0 ? notes[0].recorded_at : null,
+        last_note_at: notes.length > 0 ? notes[notes.length - 1].recorded_at : null,
+        learned_names: record.names.length,
+        categories: summarize('categories'),
+        symptom_groups: summarize('symptom_groups'),
+        crisis_levels: notes.map(note => note.crisis_level)
+    };
+}
+
+module.exports = { CaseStore, learnNames, noteCounts, caseTrends, CASE_NAME_RISK };
@@ -0,0 +1,392 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { SanctuAI } = require('./sanctuai_backend');
+const { TokenVault } = require('./sanctuai_vault');
+const { AuditStore, verifyAuditFile } = require('./sanctuai_audit');
+const { SyntheticGenerator, DOCUMENT_KINDS } = require('./sanctuai_synthetic');
+const { generalizationTagPattern } = require('./sanctuai_generalize');
+
+const SUPPORTED_EXTENSIONS = ['.txt', '.md', '.json', '.csv'];
+
+const USAGE = `Usage: sanctuai [options] <file|directory>...
+       sanctuai verify-audit <audit-store>
+       sanctuai generate [--kind <a,b,...>] [--count <n>] [--seed <seed>] [--format corpus|ndjson] [--out <file>]
+
+Redacts .txt, .md, .json and .csv files offline. Each input gets a redacted
+copy (<name>.redacted<ext>, or <name><ext>.redacted.json with --format json)
+and an audit log (<name><ext>.audit.json).
+
+Options:
+  --out <dir>          Write outputs under <dir> instead of next to the inputs
+  --policy <file>      Redaction policy (.json or .yaml)
+  --consent            Record that consent was obtained for processing
+  --mode <mode>        redact (default) or pseudonymize
+  --format <format>    Redacted copy format: same (default) or json
+  --columns <a,b,...>  CSV columns to redact (default: every column)
+  --vault <file>       Token vault for pseudonyms (needs SANCTUAI_VAULT_KEY)
+  --audit <file>       Append to a hash-chained audit store (needs SANCTUAI_AUDIT_KEY)
+  --check              Write nothing; exit 1 if high-risk content remains
+  -h, --help           Show this help
+
+verify-audit checks an audit store's keyed hash chain (key from SANCTUAI_AUDIT_KEY)
+and exits 1 if it was altered.
+
+generate writes synthetic therapy notes, journals and crisis chats with
+ground-truth annotations: an evaluation corpus (evaluation/evaluate.js) or
+NDJSON for /redact/stream. Kinds: ${DOCUMENT_KINDS.join(', ')}. The same
+seed gives the same documents; without --seed a random one is used and
+reported. Defaults: every kind, 10 documents, corpus, standard output.
+`;
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+    const options = {
+        paths: [],
+        out: null,
+        policy: null,
+        consent: false,
+        mode: undefined,
+        format: 'same',
+        columns: null,
+        vault: null,
+        audit: null,
+        check: false,
+        help: false
+    };
+    const takesValue = { '--out': 'out', '--policy': 'policy', '--mode': 'mode', '--format': 'format', '--columns': 'columns', '--vault': 'vault', '--audit': 'audit' };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg === '--consent') {
+            options.consent = true;
+        } else if (arg === '--check') {
+            options.check = true;
+        } else if (takesValue[arg]) {
+            if (i + 1 >= argv.length) throw new UsageError(`${arg} needs a value`);
+            options[takesValue[arg]] = argv[++i];
+        } else if (arg.startsWith('--')) {
+            throw new UsageError(`Unknown option ${arg}`);
+        } else {
+            options.paths.push(arg);
+        }
+    }
+
+    if (!['same', 'json'].includes(options.format)) {
+        throw new UsageError(`Unknown format ${options.format}`);
+    }
+    if (options.columns !== null) {
+        options.columns = options.columns.split(',').map(column => column.trim()).filter(Boolean);
+    }
+    return options;
+}
+
+// Every supported file under the given paths. Directory walks skip audit logs,
+// and skip earlier redacted copies unless those are what is being checked.
+function collectFiles(inputs, includeRedacted) {
+    const files = [];
+    const skipped = includeRedacted ? /\.audit\.json$/ : /\.(redacted|audit)\.[^.]+$/;
+    const visit = (target, root) => {
+        for (const name of fs.readdirSync(target).sort()) {
+            const child = path.join(target, name);
+            if (fs.statSync(child).isDirectory()) {
+                visit(child, root);
+            } else if (SUPPORTED_EXTENSIONS.includes(path.extname(child).toLowerCase()) && !skipped.test(child)) {
+                files.push({ file: child, root });
+            }
+        }
+    };
+
+    for (const input of inputs) {
+        if (!fs.existsSync(input)) throw new UsageError(`No such file or directory: ${input}`);
+        if (fs.statSync(input).isDirectory()) {
+            visit(input, input);
+        } else if (SUPPORTED_EXTENSIONS.includes(path.extname(input).toLowerCase())) {
+            files.push({ file: input, root: path.dirname(input) });
+        } else {
+            throw new UsageError(`Unsupported file type: ${input}`);
+        }
+    }
+    return files;
+}
+
+// Minimal RFC 4180 CSV reader and writer
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+function formatCSV(rows) {
+    return rows.map(row => row.map(field =>
+        /[",\r\n]/.test(field) ? '"' + field.replace(/"/g, '""') + '"' : field
+    ).join(',')).join('\n') + '\n';
+}
+
+// Redact one document according to its format. Returns the redacted content
+// and the entries grouped by location within the document.
+function redactContent(redactor, content, extension, options) {
+    const sections = [];
+    const redact = (text, location) => {
+        const { redactedText, redactionEntries, crisis, residualRisk } = redactor.redactText(text, options.consent);
+        sections.push({ location, entries: redactionEntries, crisis_level: crisis.crisis_level, residualRisk });
+        return redactedText;
+    };
+
+    if (extension === '.json') {
+        const walk = (value, location) => {
+            if (typeof value === 'string') return redact(value, location);
+            if (Array.isArray(value)) return value.map((item, i) => walk(item, `${location}[${i}]`));
+            if (value && typeof value === 'object') {
+                const result = {};
+                for (const [key, item] of Object.entries(value)) {
+                    result[key] = walk(item, `${location}.${key}`);
+                }
+                return result;
+            }
+            return value;
+        };
+        return { output: JSON.stringify(walk(JSON.parse(content), '$'), null, 2) + '\n', sections };
+    }
+
+    if (extension === '.csv') {
+        const [header = [], ...rows] = parseCSV(content);
+        const selected = options.columns || header;
+        for (const column of selected) {
+            if (!header.includes(column)) throw new UsageError(`CSV column "${column}" not found`);
+        }
+        const redactedRows = rows.map((row, rowIndex) => row.map((field, columnIndex) =>
+            selected.includes(header[columnIndex]) && field !== ''
+                ? redact(field, `row ${rowIndex + 1}, ${header[columnIndex]}`)
+                : field
+        ));
+        return { output: formatCSV([header, ...redactedRows]), sections };
+    }
+
+    return { output: redact(content, 'document'), sections };
+}
+
+// Replace existing redaction tags, surrogates and generalizations with spaces
+// so a check run does not flag the tool's own output
+function maskRedactionTags(text, redactor) {
+    const blank = tag => ' '.repeat(tag.length);
+    return text.replace(/\[(?:REDACTED_HIGH_RISK|REDACTED|ANONYMIZED):[^\]]*\]|\[[A-Z_]+_\d+\]/g, blank)
+        .replace(generalizationTagPattern(redactor), blank);
+}
+
+function outputPaths(file, root, options) {
+    const extension = path.extname(file);
+    const base = path.basename(file, extension);
+    const directory = options.out
+        ? path.join(options.out, path.relative(root, path.dirname(file)))
+        : path.dirname(file);
+    // Names keep the source extension, so notes.txt and notes.md never share one
+    const redacted = options.format === 'json' && extension.toLowerCase() !== '.json'
+        ? `${base}${extension}.redacted.json`
+        : `${base}.redacted${extension}`;
+    return {
+        directory,
+        redacted: path.join(directory, redacted),
+        audit: path.join(directory, `${base}${extension}.audit.json`)
+    };
+}
+
+// Two inputs must never write the same output
+function checkDistinctOutputs(files, options) {
+    const owners = new Map();
+    for (const { file, root } of files) {
+        const { redacted, audit } = outputPaths(file, root, options);
+        for (const target of [redacted, audit]) {
+            if (owners.has(target)) {
+                throw new UsageError(`${owners.get(target)} and ${file} would both write ${target}`);
+            }
+            owners.set(target, file);
+        }
+    }
+}
+
+function verifyAudit(argv, io) {
+    if (argv.length !== 1) throw new UsageError('verify-audit takes one audit store file');
+    if (!fs.existsSync(argv[0])) throw new UsageError(`No such file: ${argv[0]}`);
+    if (!process.env.SANCTUAI_AUDIT_KEY) throw new UsageError('verify-audit needs the store key in SANCTUAI_AUDIT_KEY');
+
+    const result = verifyAuditFile(argv[0], process.env.SANCTUAI_AUDIT_KEY);
+    if (result.valid) {
+        io.stdout.write(`${argv[0]}: ${result.records} record(s), chain intact, last hash ${result.last_hash}\n`);
+        return 0;
+    }
+    io.stdout.write(`${argv[0]}: chain broken after ${result.records} record(s): ${result.error}\n`);
+    return 1;
+}
+
+function generate(argv, io) {
+    const options = { kind: null, count: '10', seed: null, format: 'corpus', out: null };
+    for (let i = 0; i < argv.length; i++) {
+        const name = argv[i].startsWith('--') ? argv[i].slice(2) : null;
+        if (!name || !(name in options)) throw new UsageError(`Unknown generate option ${argv[i]}`);
+        if (i + 1 >= argv.length) throw new UsageError(`${argv[i]} needs a value`);
+        options[name] = argv[++i];
+    }
+
+    const count = Number(options.count);
+    if (!Number.isInteger(count) || count < 1) throw new UsageError('--count must be a positive integer');
+    if (!['corpus', 'ndjson'].includes(options.format)) throw new UsageError(`Unknown format ${options.format}`);
+    const kinds = options.kind ? options.kind.split(',').map(kind => kind.trim()) : DOCUMENT_KINDS;
+    const unknown = kinds.find(kind => !DOCUMENT_KINDS.includes(kind));
+    if (unknown) throw new UsageError(`Unknown document kind ${unknown}`);
+    const seed = options.seed === null ? String(Math.floor(Math.random() * 2 ** 32)) : options.seed;
+    if (options.seed === null) io.stderr.write(`Seed: ${seed}\n`);
+
+    const corpus = new SyntheticGenerator(new SanctuAI(), { seed }).corpus({ count, kinds });
+    const output = options.format === 'ndjson'
+        ? corpus.documents.map(document => JSON.stringify(document)).join('\n') + '\n'
+        : JSON.stringify(corpus, null, 2) + '\n';
+    if (options.out) {
+        fs.writeFileSync(options.out, output);
+        io.stdout.write(`${corpus.documents.length} document(s) -> ${options.out}\n`);
+    } else {
+        io.stdout.write(output);
+    }
+    return 0;
+}
+
+function run(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+    if (argv[0] === 'verify-audit') {
+        return verifyAudit(argv.slice(1), io);
+    }
+    if (argv[0] === 'generate') {
+        return generate(argv.slice(1), io);
+    }
+
+    const options = parseArgs(argv);
+    if (options.help || options.paths.length === 0) {
+        io.stdout.write(USAGE);
+        return options.help ? 0 : 2;
+    }
+
+    const files = collectFiles(options.paths, options.check);
+    if (!options.check) checkDistinctOutputs(files, options);
+    const vaultKey = process.env.SANCTUAI_VAULT_KEY;
+    if (options.vault && !vaultKey) throw new UsageError('--vault needs SANCTUAI_VAULT_KEY to encrypt the stored pseudonyms');
+    const vault = new TokenVault({ key: vaultKey, storagePath: options.vault });
+    if (options.mode === 'pseudonymize' && !vaultKey && !options.check) {
+        io.stderr.write(`Generated vault key (keep it to re-identify): ${vault.exportKey()}\n`);
+    }
+
+    if (options.audit && !options.check && !process.env.SANCTUAI_AUDIT_KEY) {
+        throw new UsageError('--audit needs SANCTUAI_AUDIT_KEY to chain the audit store');
+    }
+    const auditStore = options.audit && !options.check
+        ? new AuditStore({ key: process.env.SANCTUAI_AUDIT_KEY, path: options.audit })
+        : undefined;
+
+    // One session across all files so pseudonyms stay consistent
+    const sessionId = uuidv4();
+    let findings = 0;
+
+    for (const { file, root } of files) {
+        const extension = path.extname(file).toLowerCase();
+        const content = fs.readFileSync(file, 'utf8');
+        const redactor = new SanctuAI({ policy: options.policy, mode: options.mode, vault, auditStore, sessionId });
+
+        if (options.check) {
+            const { sections } = redactContent(redactor, maskRedactionTags(content, redactor), extension, options);
+            for (const { location, entries, crisis_level } of sections) {
+                const highRisk = entries.filter(entry =>
+                    entry.risk_score > redactor.policy.thresholdsFor(redactor.reasonKey(entry.reason)).high);
+                for (const entry of highRisk) {
+                    findings++;
+                    io.stdout.write(`${file}: ${location} @${entry.start_pos}: ${entry.reason}` +
+                        `${entry.sub_type ? ` (${entry.sub_type})` : ''} risk ${entry.risk_score}\n`);
+                }
+                if (crisis_level !== 'none') {
+                    findings++;
+                    io.stdout.write(`${file}: ${location}: crisis indicators (${crisis_level})\n`);
+                }
+            }
+            continue;
+        }
+
+        const { output, sections } = redactContent(redactor, content, extension, options);
+        const targets = outputPaths(file, root, options);
+        fs.mkdirSync(targets.directory, { recursive: true });
+
+        const redacted = options.format === 'json'
+            ? JSON.stringify({
+                source: file,
+                redacted: output,
+                sections: sections.map(({ location, entries }) => ({ location, redaction_entries: entries }))
+            }, null, 2) + '\n'
+            : output;
+        fs.writeFileSync(targets.redacted, redacted);
+        fs.writeFileSync(targets.audit, JSON.stringify({
+            source: file,
+            redacted_file: targets.redacted,
+            sections: sections.map(({ location, entries, crisis_level, residualRisk }) => ({
+                location,
+                crisis_level,
+                redactions: entries.length,
+                residual_risk: { score: residualRisk.score, level: residualRisk.level, reasons: residualRisk.reasons }
+            })),
+            audit_log: redactor.generateAuditLog()
+        }, null, 2) + '\n');
+        io.stdout.write(`${file} -> ${targets.redacted}\n`);
+    }
+
+    if (options.check) {
+        io.stdout.write(findings === 0
+            ? `Checked ${files.length} file(s): no high-risk content found\n`
+            : `Checked ${files.length} file(s): ${findings} high-risk finding(s)\n`);
+        return findings === 0 ? 0 : 1;
+    }
+    return 0;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = run(process.argv.slice(2));
+    } catch (error) {
+        process.stderr.write(`sanctuai: ${error.message}\n`);
+        if (error instanceof UsageError) process.stderr.write('Run with --help for usage.\n');
+        process.exitCode = 2;
+    }
+}
+
+module.exports = { run, parseArgs, parseCSV, formatCSV };
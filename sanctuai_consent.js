@@ -0,0 +1,149 @@
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+
+/*
+ * Consent records
+ *
+ * A subject (usually the client) grants consent for one or more purposes and
+ * data categories, optionally until an expiry date. While a record is active,
+ * content in its categories is released (left in place) when text is redacted
+ * for one of its purposes; everything else is redacted as usual. Revoked and
+ * expired records authorize nothing.
+ *
+ * Categories are RedactionReason keys (SYMPTOM, RELATION, MEDICAL, ...).
+ */
+
+class ConsentPurpose {
+    static RESEARCH = "research";
+    static SUPERVISION = "supervision";
+    static AI_TRAINING = "ai_training";
+    static CLINICAL_CARE = "clinical_care";
+}
+
+class ConsentRecord {
+    constructor({ id = uuidv4(), subject_id, purposes, categories, granted_at = new Date().toISOString(),
+        expires_at = null, revoked_at = null, revocation_reason = null, granted_by = null }) {
+        this.id = id;
+        this.subject_id = subject_id;
+        this.purposes = purposes;
+        this.categories = categories;
+        this.granted_at = granted_at;
+        this.expires_at = expires_at;
+        this.revoked_at = revoked_at;
+        this.revocation_reason = revocation_reason;
+        this.granted_by = granted_by;
+    }
+
+    isActive(at = new Date()) {
+        if (this.revoked_at !== null) return false;
+        return this.expires_at === null || new Date(this.expires_at) > at;
+    }
+
+    covers(purpose, categoryKey, at = new Date()) {
+        return this.isActive(at) && this.purposes.includes(purpose) && this.categories.includes(categoryKey);
+    }
+}
+
+class ConsentRegistry {
+    constructor(options = {}) {
+        this.storagePath = options.storagePath || null;
+        this.categories = options.categories || null;
+        this.records = new Map();
+
+        if (this.storagePath && fs.existsSync(this.storagePath)) {
+            const stored = JSON.parse(fs.readFileSync(this.storagePath, 'utf8'));
+            for (const record of stored.records || []) {
+                this.records.set(record.id, new ConsentRecord(record));
+            }
+        }
+    }
+
+    // `expires_at` is an ISO date; `expires_in_days` is a shorthand for it
+    grant({ subject_id, purposes, categories, expires_at = null, expires_in_days = null, granted_by = null }) {
+        if (!subject_id) {
+            throw new Error('Consent needs a subject_id');
+        }
+        if (!Array.isArray(purposes) || purposes.length === 0) {
+            throw new Error('Consent needs at least one purpose');
+        }
+        if (!Array.isArray(categories) || categories.length === 0) {
+            throw new Error('Consent needs at least one data category');
+        }
+
+        const validPurposes = Object.values(ConsentPurpose);
+        for (const purpose of purposes) {
+            if (!validPurposes.includes(purpose)) {
+                throw new Error(`Unknown consent purpose "${purpose}"`);
+            }
+        }
+        const categoryKeys = categories.map(category => String(category).toUpperCase());
+        if (this.categories) {
+            for (const key of categoryKeys) {
+                if (!this.categories.includes(key)) {
+                    throw new Error(`Unknown data category "${key}"`);
+                }
+            }
+        }
+
+        if (expires_in_days !== null) {
+            expires_at = new Date(Date.now() + expires_in_days * 24 * 60 * 60 * 1000).toISOString();
+        }
+        if (expires_at !== null && isNaN(new Date(expires_at).getTime())) {
+            throw new Error(`Invalid expiry date "${expires_at}"`);
+        }
+
+        const record = new ConsentRecord({
+            subject_id,
+            purposes: [...new Set(purposes)],
+            categories: [...new Set(categoryKeys)],
+            expires_at,
+            granted_by
+        });
+        this.records.set(record.id, record);
+        this.persist();
+        return record;
+    }
+
+    revoke(id, reason = null) {
+        const record = this.records.get(id);
+        if (!record) {
+            throw new Error(`No consent record ${id}`);
+        }
+        if (record.revoked_at === null) {
+            record.revoked_at = new Date().toISOString();
+            record.revocation_reason = reason;
+            this.persist();
+        }
+        return record;
+    }
+
+    get(id) {
+        return this.records.get(id) || null;
+    }
+
+    recordsFor(subjectId) {
+        return Array.from(this.records.values()).filter(record => record.subject_id === subjectId);
+    }
+
+    // The most recently granted active record covering a purpose and category
+    find(subjectId, purpose, categoryKey, at = new Date()) {
+        let found = null;
+        for (const record of this.records.values()) {
+            if (record.subject_id === subjectId && record.covers(purpose, categoryKey, at) &&
+                (found === null || record.granted_at > found.granted_at)) {
+                found = record;
+            }
+        }
+        return found;
+    }
+
+    persist() {
+        if (!this.storagePath) return;
+        fs.writeFileSync(this.storagePath, JSON.stringify({
+            version: 1,
+            records: Array.from(this.records.values())
+        }, null, 2), { mode: 0o600 });
+    }
+}
+
+module.exports = { ConsentPurpose, ConsentRecord, ConsentRegistry };
@@ -0,0 +1,191 @@
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const { LexiconMatcher } = require('./sanctuai_matcher');
+
+class CrisisLevel {
+    static NONE = "none";
+    static CONCERN = "concern";
+    static IMMINENT = "imminent";
+}
+
+const LEVEL_ORDER = [CrisisLevel.NONE, CrisisLevel.CONCERN, CrisisLevel.IMMINENT];
+
+// Crisis indicators. `ideation` phrases raise concern on their own; `intent`
+// phrases are imminent by themselves; `plan` markers (means, timing, goodbyes)
+// make nearby ideation imminent.
+const CRISIS_INDICATORS = {
+    ideation: [
+        'suicide', 'suicidal', 'suicidal thoughts', 'kill myself', 'end it all', 'end my life',
+        'want to die', 'wanna die', 'wish i was dead', 'wish i were dead', 'better off dead',
+        'better off without me', 'no reason to live', "can't go on", 'cant go on',
+        "can't take it anymore", 'self-harm', 'self harm', 'cutting', 'hurt myself', 'take my own life'
+    ],
+    intent: [
+        'going to kill myself', 'gonna kill myself', 'i have a plan', 'have a plan to',
+        'tonight is the night', 'wrote a suicide note', 'wrote a note', 'saying goodbye',
+        'this is goodbye', 'going to end it', 'going to end my life'
+    ],
+    plan: [
+        'tonight', 'right now', 'this weekend', 'pills', 'overdose', 'rope', 'gun',
+        'bridge', 'razor', 'stockpiling', 'saved up', 'gave away', 'goodbye'
+    ]
+};
+
+// Characters between an ideation phrase and a plan marker for them to combine
+const PLAN_DISTANCE = 120;
+
+// Lowest level for the speaker's own denied or hypothetical ideation or
+// intent: assertion cues can be wrong, so such mentions are never cleared
+const DISCOUNTED_FLOOR = CrisisLevel.CONCERN;
+
+class CrisisAssessor {
+    constructor(options = {}) {
+        this.indicators = options.indicators || CRISIS_INDICATORS;
+        this.matcher = new LexiconMatcher();
+        for (const [kind, phrases] of Object.entries(this.indicators)) {
+            for (const phrase of phrases) {
+                this.matcher.add(phrase, { kind });
+            }
+        }
+        this.matcher.compile();
+    }
+
+    // `assertionFor(start, end)` supplies assertion attributes for a span
+    assess(text, assertionFor) {
+        const evidence = [];
+        const discounted = [];
+
+        for (const {start, end, entry} of this.matcher.scan(text)) {
+            const assertion = assertionFor(start, end);
+            const item = {
+                text: text.substring(start, end),
+                start,
+                end,
+                indicator: entry.term,
+                kind: entry.payload.kind,
+                assertion
+            };
+
+            // Denied, hypothetical, historical or third-party mentions are kept
+            // for reviewers but do not count toward the level
+            if (assertion.negated || assertion.hypothetical ||
+                assertion.temporality === 'past' || assertion.subject === 'third_party') {
+                discounted.push(item);
+            } else {
+                evidence.push(item);
+            }
+        }
+
+        const ideation = evidence.filter(item => item.kind === 'ideation');
+        const intent = evidence.filter(item => item.kind === 'intent');
+        const plans = evidence.filter(item => item.kind === 'plan');
+
+        let crisisLevel = CrisisLevel.NONE;
+        if (intent.length > 0 || ideation.some(idea => plans.some(plan =>
+            Math.abs(plan.start - idea.start) <= PLAN_DISTANCE))) {
+            crisisLevel = CrisisLevel.IMMINENT;
+        } else if (ideation.length > 0) {
+            crisisLevel = CrisisLevel.CONCERN;
+        } else if (discounted.some(item => item.kind !== 'plan' &&
+            (item.assertion.negated || item.assertion.hypothetical) &&
+            item.assertion.temporality !== 'past' && item.assertion.subject !== 'third_party')) {
+            crisisLevel = DISCOUNTED_FLOOR;
+        }
+
+        // Plan markers only matter next to ideation; drop the rest as noise
+        const relevant = evidence.filter(item => item.kind !== 'plan' ||
+            ideation.some(idea => Math.abs(item.start - idea.start) <= PLAN_DISTANCE));
+
+        return {
+            crisis_level: crisisLevel,
+            evidence: relevant.sort((a, b) => a.start - b.start),
+            discounted_evidence: discounted.sort((a, b) => a.start - b.start),
+            assessed_at: new Date().toISOString()
+        };
+    }
+
+    static atLeast(level, threshold) {
+        return LEVEL_ORDER.indexOf(level) >= LEVEL_ORDER.indexOf(threshold);
+    }
+}
+
+// Alert hooks receive crisis alerts through notify(alert), which may return a promise
+
+class CallbackAlertHook {
+    constructor(callback) {
+        this.callback = callback;
+    }
+
+    notify(alert) {
+        return this.callback(alert);
+    }
+}
+
+// Appends alerts as NDJSON to a local file, or keeps them in memory
+class QueueAlertHook {
+    constructor(options = {}) {
+        this.path = options.path || null;
+        this.queue = [];
+    }
+
+    notify(alert) {
+        if (this.path) {
+            fs.appendFileSync(this.path, JSON.stringify(alert) + '\n', { mode: 0o600 });
+        } else {
+            this.queue.push(alert);
+        }
+    }
+
+    drain() {
+        const alerts = this.queue;
+        this.queue = [];
+        return alerts;
+    }
+}
+
+class WebhookAlertHook {
+    constructor(options) {
+        if (!options || !options.url) {
+            throw new Error('WebhookAlertHook requires a url');
+        }
+        this.url = new URL(options.url);
+        this.headers = options.headers || {};
+        this.timeout = options.timeout || 5000;
+    }
+
+    notify(alert) {
+        const body = JSON.stringify(alert);
+        const transport = this.url.protocol === 'https:' ? https : http;
+
+        return new Promise((resolve, reject) => {
+            const request = transport.request(this.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(body),
+                    ...this.headers
+                },
+                timeout: this.timeout
+            }, response => {
+                response.resume();
+                if (response.statusCode >= 200 && response.statusCode < 300) {
+                    resolve();
+                } else {
+                    reject(new Error(`Alert webhook responded with ${response.statusCode}`));
+                }
+            });
+            request.on('timeout', () => request.destroy(new Error('Alert webhook timed out')));
+            request.on('error', reject);
+            request.end(body);
+        });
+    }
+}
+
+module.exports = {
+    CrisisAssessor,
+    CrisisLevel,
+    CallbackAlertHook,
+    QueueAlertHook,
+    WebhookAlertHook
+};
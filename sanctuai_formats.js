@@ -0,0 +1,504 @@
+const path = require('path');
+const { readZip, writeZip } = require('./sanctuai_zip');
+const { extractPdfText, writePdf } = require('./sanctuai_pdf');
+
+/*
+ * Document formats
+ *
+ * Each adapter extracts a document's text as one string made of pieces (text
+ * runs, text nodes, JSON string values) with their offsets, and writes the
+ * document back with every piece replaced by its redacted version:
+ *
+ *   text   plain text
+ *   html   text nodes, attribute values (except structural ones such as
+ *          class or id), script and style contents and comments are
+ *          rewritten in place; the markup itself is kept
+ *   json   string values and object keys selected by JSONPath (`paths`,
+ *          default every string and key)
+ *   docx   text runs in the body, headers, footers, notes and comments are
+ *          rewritten in place, tracked deletions included; authors of
+ *          comments and tracked changes and the author, title, subject,
+ *          keywords and description properties are cleared
+ *   pdf    text is extracted from the page content streams and written to a
+ *          new plain PDF (see sanctuai_pdf.js)
+ *
+ * A redaction that crosses pieces is written into the piece where it starts
+ * and removes the rest of its text from the following pieces.
+ */
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+const HTML_ENTITIES = { ...XML_ENTITIES, nbsp: '\u00a0', copy: '©', reg: '®', ndash: '–', mdash: '—',
+    lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', hellip: '…', eacute: 'é', egrave: 'è', aacute: 'á',
+    iacute: 'í', oacute: 'ó', uacute: 'ú', ntilde: 'ñ', uuml: 'ü', ouml: 'ö', auml: 'ä', ccedil: 'ç' };
+
+function decodeEntities(text, entities) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.substring(2), 16) : parseInt(name.substring(1), 10);
+            return code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+        }
+        return entities[name] !== undefined ? entities[name] : entity;
+    });
+}
+
+function escapeMarkup(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(text) {
+    return escapeMarkup(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// Script, style and comment contents are not entity-decoded, so only a
+// sequence that would end the element early needs breaking up
+function escapeRawText(text) {
+    return text.replace(/<\//g, '<\\/').replace(/-->/g, '--\\>');
+}
+
+// Joins pieces into one text, recording where each one lands. `separator`
+// is the text placed before a piece (e.g. a line break for a new paragraph).
+function joinPieces(pieces) {
+    let text = '';
+    for (const piece of pieces) {
+        text += piece.separator || '';
+        piece.start = text.length;
+        text += piece.text;
+        piece.end = text.length;
+    }
+    return text;
+}
+
+// Each piece's text with the entries applied
+function redactPieces(text, pieces, entries) {
+    const sorted = [...entries].sort((a, b) => a.start_pos - b.start_pos);
+    const placed = new Set();
+
+    return pieces.map(piece => {
+        let result = '';
+        let position = piece.start;
+        for (const entry of sorted) {
+            if (entry.end_pos <= piece.start || entry.start_pos >= piece.end) continue;
+            result += text.substring(position, Math.max(position, entry.start_pos));
+            if (!placed.has(entry)) {
+                result += entry.redacted_text;
+                placed.add(entry);
+            }
+            position = Math.max(position, Math.min(entry.end_pos, piece.end));
+        }
+        return result + text.substring(position, piece.end);
+    });
+}
+
+const textFormat = {
+    name: 'text',
+    extensions: ['.txt', '.md', '.csv', '.log', '.text'],
+    mediaType: 'text/plain; charset=utf-8',
+    extract(input) {
+        const content = Buffer.isBuffer(input) ? input.toString('utf8') : String(input);
+        const pieces = [{ text: content }];
+        return { text: joinPieces(pieces), pieces };
+    },
+    write(document, redacted) {
+        return redacted[0];
+    }
+};
+
+// Elements whose boundaries start a new line of text
+const BLOCK_ELEMENTS = new Set(['address', 'article', 'aside', 'blockquote', 'br', 'dd', 'div', 'dl', 'dt',
+    'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr',
+    'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'title',
+    'tr', 'ul']);
+
+// Attributes that hold markup structure rather than text; every other
+// attribute value (alt, title, value, href, data-*, ...) is redacted
+const STRUCTURAL_ATTRIBUTES = new Set(['align', 'border', 'charset', 'class', 'colspan', 'dir', 'for', 'height',
+    'http-equiv', 'id', 'lang', 'method', 'name', 'rel', 'role', 'rowspan', 'style', 'tabindex', 'target', 'type',
+    'valign', 'width']);
+
+const htmlFormat = {
+    name: 'html',
+    extensions: ['.html', '.htm', '.xhtml'],
+    mediaType: 'text/html; charset=utf-8',
+    extract(input) {
+        const source = Buffer.isBuffer(input) ? input.toString('utf8') : String(input);
+        const tagBody = `(?:[^>"']|"[^"]*"|'[^']*')*`;
+        const markup = new RegExp(`<!--([\\s\\S]*?)-->|(<(script|style)\\b${tagBody}>)([\\s\\S]*?)<\\/\\3\\s*>|<!?\\/?[a-zA-Z]${tagBody}>`, 'gi');
+        const attribute = /([^\s"'<>\/=]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+))/g;
+        const pieces = [];
+        let position = 0;
+        let separator = '';
+        // Attribute values and raw contents stand apart from the running text
+        const addPiece = (piece, standalone) => {
+            if (piece.text.trim() === '') return;
+            pieces.push({ ...piece, separator: standalone && pieces.length > 0 ? '\n' : separator });
+            separator = standalone ? '\n' : '';
+        };
+        const addText = end => {
+            const raw = source.substring(position, end);
+            addPiece({ kind: 'text', text: decodeEntities(raw, HTML_ENTITIES), rawStart: position, rawEnd: end }, false);
+        };
+        const addAttributes = (tag, offset) => {
+            if (/^<[!/]/.test(tag)) return;
+            const name = tag.match(/^<[a-zA-Z][\w-]*/)[0];
+            attribute.lastIndex = name.length;
+            let match;
+            while ((match = attribute.exec(tag)) !== null) {
+                if (STRUCTURAL_ATTRIBUTES.has(match[1].toLowerCase())) continue;
+                const value = [match[2], match[3], match[4]].find(group => group !== undefined);
+                const end = offset + match.index + match[0].length - (match[4] === undefined ? 1 : 0);
+                addPiece({
+                    kind: 'attribute',
+                    text: decodeEntities(value, HTML_ENTITIES),
+                    quoted: match[4] === undefined,
+                    rawStart: end - value.length,
+                    rawEnd: end
+                }, true);
+            }
+        };
+
+        let match;
+        while ((match = markup.exec(source)) !== null) {
+            addText(match.index);
+            const tag = match[0].match(/^<\/?([a-zA-Z][\w-]*)/);
+            if (pieces.length > 0 && tag && BLOCK_ELEMENTS.has(tag[1].toLowerCase())) {
+                separator = '\n';
+            }
+            if (match[1] !== undefined) {
+                const start = match.index + 4;
+                addPiece({ kind: 'raw', text: match[1], rawStart: start, rawEnd: start + match[1].length }, true);
+            } else if (match[2] !== undefined) {
+                addAttributes(match[2], match.index);
+                const start = match.index + match[2].length;
+                addPiece({ kind: 'raw', text: match[4], rawStart: start, rawEnd: start + match[4].length }, true);
+            } else {
+                addAttributes(match[0], match.index);
+            }
+            position = match.index + match[0].length;
+        }
+        addText(source.length);
+        return { source, text: joinPieces(pieces), pieces };
+    },
+    write({ source, pieces }, redacted) {
+        const encode = (piece, text) => {
+            if (piece.kind === 'raw') return escapeRawText(text);
+            if (piece.kind === 'attribute') return piece.quoted ? escapeAttribute(text) : `"${escapeAttribute(text)}"`;
+            return escapeMarkup(text);
+        };
+        let output = '';
+        let position = 0;
+        pieces.forEach((piece, i) => {
+            output += source.substring(position, piece.rawStart);
+            output += redacted[i] === piece.text ? source.substring(piece.rawStart, piece.rawEnd) : encode(piece, redacted[i]);
+            position = piece.rawEnd;
+        });
+        return output + source.substring(position);
+    }
+};
+
+// JSONPath subset: $, .key, ['key'], [n], [*], .*, ..key and ..*
+function parseJSONPath(expression) {
+    const source = String(expression).trim();
+    if (!source.startsWith('$')) {
+        throw new Error(`JSONPath "${expression}" must start with $`);
+    }
+    const steps = [];
+    const step = /^(\.\.|\.)(\*|[^.[\]]+)|^\[\s*(\*|-?\d+|'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")\s*\]/;
+    let rest = source.substring(1);
+    while (rest !== '') {
+        const match = rest.match(step);
+        if (!match) {
+            throw new Error(`Unsupported JSONPath "${expression}" near "${rest}"`);
+        }
+        const recursive = match[1] === '..';
+        let key = match[2] !== undefined ? match[2] : match[3];
+        if (/^['"]/.test(key)) key = key.slice(1, -1).replace(/\\(.)/g, '$1');
+        else if (match[3] !== undefined && key !== '*') key = Number(key);
+        steps.push({ key, recursive });
+        rest = rest.substring(match[0].length);
+    }
+    return steps;
+}
+
+// Paths (arrays of keys) of every node a JSONPath selects
+function selectJSONPath(root, expression) {
+    let nodes = [{ path: [], value: root }];
+    const children = ({ path: at, value }) => value && typeof value === 'object'
+        ? Object.keys(value).map(key => ({ path: [...at, Array.isArray(value) ? Number(key) : key], value: value[key] }))
+        : [];
+    const descendants = node => children(node).flatMap(child => [child, ...descendants(child)]);
+
+    for (const { key, recursive } of parseJSONPath(expression)) {
+        const candidates = recursive ? nodes.flatMap(node => [node, ...descendants(node)]) : nodes;
+        nodes = candidates.flatMap(node => {
+            if (key === '*') return children(node);
+            if (!node.value || typeof node.value !== 'object') return [];
+            const index = typeof key === 'number' && Array.isArray(node.value) && key < 0 ? node.value.length + key : key;
+            return Object.prototype.hasOwnProperty.call(node.value, index)
+                ? [{ path: [...node.path, Array.isArray(node.value) ? Number(index) : index], value: node.value[index] }]
+                : [];
+        });
+    }
+    return nodes;
+}
+
+function stringLeaves(node) {
+    if (typeof node.value === 'string') return [node];
+    if (!node.value || typeof node.value !== 'object') return [];
+    return Object.keys(node.value).flatMap(key => stringLeaves({
+        path: [...node.path, Array.isArray(node.value) ? Number(key) : key],
+        value: node.value[key]
+    }));
+}
+
+// Object keys at and below a node (its own key included), as { path, field }
+// with `path` the path of the object holding the key
+function fieldNames(node) {
+    const names = [];
+    const at = node.path;
+    if (at.length > 0 && typeof at[at.length - 1] === 'string') {
+        names.push({ path: at.slice(0, -1), field: at[at.length - 1] });
+    }
+    if (node.value && typeof node.value === 'object') {
+        for (const key of Object.keys(node.value)) {
+            names.push(...fieldNames({ path: [...at, Array.isArray(node.value) ? Number(key) : key], value: node.value[key] }));
+        }
+    }
+    return names;
+}
+
+// Renames a key in place, keeping the key order. Keys that redact to the same
+// label are numbered so no value is lost.
+function renameField(object, from, to) {
+    let name = to;
+    for (let n = 2; name !== from && Object.prototype.hasOwnProperty.call(object, name); n++) {
+        name = `${to} (${n})`;
+    }
+    const fields = Object.keys(object).map(key => [key, object[key]]);
+    for (const [key] of fields) delete object[key];
+    for (const [key, value] of fields) {
+        Object.defineProperty(object, key === from ? name : key, { value, enumerable: true, writable: true, configurable: true });
+    }
+}
+
+const jsonFormat = {
+    name: 'json',
+    extensions: ['.json'],
+    mediaType: 'application/json; charset=utf-8',
+    extract(input, options = {}) {
+        const source = Buffer.isBuffer(input) ? input.toString('utf8') : String(input);
+        let value;
+        try {
+            value = JSON.parse(source);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+
+        // Selected strings, and every string inside selected objects and arrays;
+        // keys too, since a key can be a name ({"Jane Doe": ...})
+        const seen = new Set();
+        const pieces = [];
+        for (const expression of [].concat(options.paths || '$..*')) {
+            for (const node of selectJSONPath(value, expression)) {
+                for (const leaf of stringLeaves(node)) {
+                    const key = JSON.stringify(leaf.path);
+                    if (seen.has(key) || leaf.value === '') continue;
+                    seen.add(key);
+                    pieces.push({ text: leaf.value, path: leaf.path, separator: pieces.length > 0 ? '\n\n' : '' });
+                }
+                for (const { path: at, field } of fieldNames(node)) {
+                    const key = JSON.stringify(['key', ...at, field]);
+                    if (seen.has(key) || field === '') continue;
+                    seen.add(key);
+                    pieces.push({ text: field, path: at, field, separator: pieces.length > 0 ? '\n\n' : '' });
+                }
+            }
+        }
+
+        const indent = source.match(/^[[{]\s*\n([ \t]+)/);
+        return {
+            value,
+            indent: indent ? indent[1] : 0,
+            trailingNewline: /\n$/.test(source),
+            text: joinPieces(pieces),
+            pieces
+        };
+    },
+    write({ value, indent, trailingNewline, pieces }, redacted) {
+        let result = JSON.parse(JSON.stringify(value));
+        const renames = [];
+        pieces.forEach((piece, i) => {
+            if (piece.field !== undefined) {
+                if (redacted[i] !== piece.text) renames.push({ piece, text: redacted[i] });
+                return;
+            }
+            if (piece.path.length === 0) {
+                result = redacted[i];
+                return;
+            }
+            const parent = piece.path.slice(0, -1).reduce((node, key) => node[key], result);
+            parent[piece.path[piece.path.length - 1]] = redacted[i];
+        });
+        // Deepest keys first, so the paths to the others still hold
+        renames.sort((a, b) => b.piece.path.length - a.piece.path.length);
+        for (const { piece, text } of renames) {
+            renameField(piece.path.reduce((node, key) => node[key], result), piece.field, text);
+        }
+        return JSON.stringify(result, null, indent) + (trailingNewline ? '\n' : '');
+    }
+};
+
+// Word parts that hold document text, body first
+const DOCX_TEXT_PART = /^word\/(document|header\d*|footer\d*|footnotes|endnotes|comments)\.xml$/;
+
+// Attributes naming the people behind comments and tracked changes
+// (w:ins, w:del, ...), in any Word part
+const DOCX_AUTHOR_ATTRIBUTE = /\b(w:author|w:initials|w15:author|w15:userId)="[^"]*"/g;
+
+// Free-text document properties, which often name the client or the author
+const DOCX_PROPERTIES = {
+    'docProps/core.xml': ['dc:creator', 'cp:lastModifiedBy', 'dc:title', 'dc:subject', 'cp:keywords', 'dc:description'],
+    'docProps/app.xml': ['Company', 'Manager']
+};
+
+function clearElements(xml, names) {
+    return names.reduce((result, name) =>
+        result.replace(new RegExp(`(<${name}\\b[^>]*>)[^<]*(</${name}>)`, 'g'), '$1$2'), xml);
+}
+
+const docxFormat = {
+    name: 'docx',
+    extensions: ['.docx'],
+    mediaType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    binary: true,
+    extract(input) {
+        if (!Buffer.isBuffer(input)) {
+            throw new Error('DOCX input must be a Buffer');
+        }
+        const entries = readZip(input);
+        const parts = entries
+            .filter(entry => DOCX_TEXT_PART.test(entry.name))
+            .sort((a, b) => (a.name === 'word/document.xml' ? -1 : b.name === 'word/document.xml' ? 1 : a.name.localeCompare(b.name)));
+        if (!parts.some(part => part.name === 'word/document.xml')) {
+            throw new Error('Not a Word document: word/document.xml is missing');
+        }
+
+        const pieces = [];
+        for (const part of parts) {
+            const xml = part.data.toString('utf8');
+            const runs = /<w:(t|delText)(\s[^>]*)?>([^<]*)<\/w:\1>|<\/w:p>|<w:tab\/>|<w:(?:br|cr)(?:\s[^>]*)?\/>/g;
+            let separator = pieces.length > 0 ? '\n\n' : '';
+            let match;
+            while ((match = runs.exec(xml)) !== null) {
+                if (match[1] === undefined) {
+                    separator += match[0].startsWith('<w:tab') ? '\t' : '\n';
+                    continue;
+                }
+                const contentStart = match.index + match[0].indexOf('>') + 1;
+                pieces.push({
+                    part: part.name,
+                    text: decodeEntities(match[3], XML_ENTITIES),
+                    separator,
+                    tagStart: match.index,
+                    contentStart,
+                    contentEnd: contentStart + match[3].length,
+                    preserve: /xml:space="preserve"/.test(match[2] || '')
+                });
+                separator = '';
+            }
+        }
+        return { entries, text: joinPieces(pieces), pieces };
+    },
+    write({ entries, pieces }, redacted) {
+        const byPart = new Map();
+        pieces.forEach((piece, i) => {
+            if (redacted[i] === piece.text) return;
+            if (!byPart.has(piece.part)) byPart.set(piece.part, []);
+            byPart.get(piece.part).push({ piece, text: redacted[i] });
+        });
+
+        const output = entries.map(entry => {
+            if (byPart.has(entry.name)) {
+                const xml = entry.data.toString('utf8');
+                let result = '';
+                let position = 0;
+                for (const { piece, text } of byPart.get(entry.name)) {
+                    // Keep spaces around replacements from being collapsed
+                    const open = xml.substring(piece.tagStart, piece.contentStart);
+                    result += xml.substring(position, piece.tagStart);
+                    result += piece.preserve ? open : open.replace(/>$/, ' xml:space="preserve">');
+                    result += escapeMarkup(text);
+                    position = piece.contentEnd;
+                }
+                entry = { ...entry, data: Buffer.from(result + xml.substring(position), 'utf8') };
+            }
+            if (/^word\/.*\.xml$/.test(entry.name)) {
+                const xml = entry.data.toString('utf8').replace(DOCX_AUTHOR_ATTRIBUTE, '$1=""');
+                return { ...entry, data: Buffer.from(xml, 'utf8') };
+            }
+            if (DOCX_PROPERTIES[entry.name]) {
+                const xml = clearElements(entry.data.toString('utf8'), DOCX_PROPERTIES[entry.name]);
+                return { ...entry, data: Buffer.from(xml, 'utf8') };
+            }
+            return entry;
+        });
+        return writeZip(output);
+    }
+};
+
+const pdfFormat = {
+    name: 'pdf',
+    extensions: ['.pdf'],
+    mediaType: 'application/pdf',
+    binary: true,
+    extract(input) {
+        if (!Buffer.isBuffer(input)) {
+            throw new Error('PDF input must be a Buffer');
+        }
+        const pieces = [{ text: extractPdfText(input) }];
+        return { text: joinPieces(pieces), pieces };
+    },
+    write(document, redacted) {
+        return writePdf(redacted[0]);
+    }
+};
+
+const FORMATS = { text: textFormat, html: htmlFormat, json: jsonFormat, docx: docxFormat, pdf: pdfFormat };
+
+// Adapter for an explicit format name, or from a file name's extension
+function formatFor({ format = null, filename = null } = {}) {
+    if (format) {
+        const adapter = FORMATS[String(format).toLowerCase()];
+        if (!adapter) {
+            throw new Error(`Unknown format "${format}" (supported: ${Object.keys(FORMATS).join(', ')})`);
+        }
+        return adapter;
+    }
+    if (filename) {
+        const extension = path.extname(filename).toLowerCase();
+        const adapter = Object.values(FORMATS).find(candidate => candidate.extensions.includes(extension));
+        if (!adapter) {
+            throw new Error(`Unsupported file type "${extension || filename}"`);
+        }
+        return adapter;
+    }
+    return textFormat;
+}
+
+// Redacts a document with `engine`. Options: format or filename (to pick the
+// adapter), paths (JSONPath for JSON) and consent (as for redactText).
+function redactFile(engine, input, options = {}) {
+    const adapter = formatFor(options);
+    const document = adapter.extract(input, options);
+    const result = engine.redactText(document.text, options.consent || false);
+    const redacted = redactPieces(document.text, document.pieces, result.redactionEntries);
+
+    return {
+        ...result,
+        format: adapter.name,
+        mediaType: adapter.mediaType,
+        text: document.text,
+        output: adapter.write(document, redacted)
+    };
+}
+
+module.exports = { redactFile, formatFor, redactPieces, selectJSONPath, FORMATS };
@@ -0,0 +1,152 @@
+const { PIIType, parseDate, MONTHS } = require('./sanctuai_pii');
+const { MedicalType, GENERALIZATION_LEVELS: MEDICAL_LEVELS, generalizeMedical } = require('./sanctuai_medical');
+
+/*
+ * Generalization
+ *
+ * Instead of a tag, a span can be replaced with a coarser description that
+ * keeps some of its research value. Policies pick a strategy per category, or
+ * per sub-type for PII and MEDICAL:
+ *
+ *   "categories": {
+ *     "SYMPTOM": { "generalize": "category" },          "panic attack" -> "[anxiety symptom]"
+ *     "RELATION": { "generalize": "role" },             "ex-husband" -> "[former partner]"
+ *     "PII": { "generalize": { "date": "year", "age": "range" } },
+ *     "MEDICAL": { "generalize": { "medication": "class" } }
+ *   }
+ *
+ *   dates (date, date_of_birth, appointment)   month ("[March 2024]"), year ("[2024]"), decade ("[2020s]")
+ *   age                                        range ("[30-39]", "[90+]")
+ *
+ * Medication and diagnosis code levels are described in sanctuai_medical.js.
+ * When a level cannot be applied to a span (a date without a year generalized
+ * by year, say) the span gets the category's usual tag.
+ */
+
+const DATE_LEVELS = ['redact', 'month', 'year', 'decade'];
+
+// Levels per category: a list, or lists per sub-type
+const GENERALIZATION_LEVELS = {
+    SYMPTOM: ['redact', 'category'],
+    RELATION: ['redact', 'role'],
+    PII: {
+        [PIIType.DATE]: DATE_LEVELS,
+        [PIIType.DATE_OF_BIRTH]: DATE_LEVELS,
+        [PIIType.AGE]: ['redact', 'range']
+    },
+    MEDICAL: {
+        ...MEDICAL_LEVELS,
+        [MedicalType.APPOINTMENT]: ['redact', 'month', 'year']
+    }
+};
+
+const ROLE_LABELS = {
+    partner: 'partner',
+    former_partner: 'former partner',
+    parent: 'parent',
+    child: 'child',
+    sibling: 'sibling',
+    family: 'family member',
+    friend: 'friend',
+    work: 'work contact',
+    care_provider: 'care provider',
+    perpetrator: 'person who caused harm'
+};
+
+// Coarse roles for the built-in relationship terms; language packs add their
+// own through `roles`
+const RELATION_ROLES = {
+    'boyfriend': 'partner', 'girlfriend': 'partner', 'husband': 'partner', 'wife': 'partner',
+    'partner': 'partner', 'ex-boyfriend': 'former_partner', 'ex-girlfriend': 'former_partner',
+    'ex-husband': 'former_partner', 'ex-wife': 'former_partner', 'mother': 'parent',
+    'father': 'parent', 'mom': 'parent', 'dad': 'parent', 'parent': 'parent',
+    'stepmother': 'parent', 'stepfather': 'parent', 'child': 'child', 'son': 'child',
+    'daughter': 'child', 'sibling': 'sibling', 'brother': 'sibling', 'sister': 'sibling',
+    'friend': 'friend', 'colleague': 'work', 'coworker': 'work', 'boss': 'work',
+    'therapist': 'care_provider', 'doctor': 'care_provider', 'counselor': 'care_provider',
+    'abuser': 'perpetrator', 'rapist': 'perpetrator'
+};
+
+function levelsFor(categoryKey, subType = null) {
+    const levels = GENERALIZATION_LEVELS[categoryKey];
+    if (!levels || Array.isArray(levels)) return levels || null;
+    return subType ? levels[subType] || null : null;
+}
+
+// "anxiety_disorders" -> "anxiety symptom"
+function symptomLabel(category) {
+    return category.replace(/_(?:disorders|related)$/, '').replace(/_/g, ' ') + ' symptom';
+}
+
+function bucketDate(value, level) {
+    const date = parseDate(value);
+    if (!date || date.year === null) return null;
+    if (level === 'year') return String(date.year);
+    if (level === 'decade') return `${Math.floor(date.year / 10) * 10}s`;
+    if (level === 'month' && date.month !== null) {
+        const month = MONTHS[date.month - 1];
+        return `${month[0].toUpperCase()}${month.substring(1)} ${date.year}`;
+    }
+    return null;
+}
+
+function ageRange(value) {
+    const age = Number(value);
+    if (!Number.isFinite(age)) return null;
+    if (age >= 90) return '90+';
+    const from = Math.floor(age / 10) * 10;
+    return `${from}-${from + 9}`;
+}
+
+// Replacement for a candidate under a generalization level, or null to fall
+// back to the category's tag
+function generalize(categoryKey, candidate, level) {
+    if (!level || level === 'redact') {
+        return null;
+    }
+    const { subType = null, attributes = {}, text } = candidate;
+
+    let description = null;
+    if (categoryKey === 'SYMPTOM' && level === 'category' && attributes.category) {
+        description = symptomLabel(attributes.category);
+    } else if (categoryKey === 'RELATION' && level === 'role') {
+        description = ROLE_LABELS[attributes.role] || 'related person';
+    } else if (DATE_LEVELS.includes(level)) {
+        description = bucketDate(text, level);
+    } else if (subType === PIIType.AGE && level === 'range') {
+        description = ageRange(text);
+    } else if (categoryKey === 'MEDICAL') {
+        return generalizeMedical(subType, attributes, level);
+    }
+    return description === null ? null : `[${description}]`;
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Matches any replacement `engine` can produce by generalizing, so output
+// checks can tell the tool's own descriptions from leaked content
+function generalizationTagPattern(engine) {
+    const symptomCategories = new Set(Object.keys(engine.symptomPatterns));
+    for (const pack of engine.languagePacks.values()) {
+        for (const category of Object.keys(pack.symptoms || {})) symptomCategories.add(category);
+    }
+    const labels = [
+        ...Object.values(ROLE_LABELS),
+        'related person',
+        ...[...symptomCategories].map(symptomLabel),
+        ...engine.medicalEntityDetector.generalizationLabels()
+    ];
+    const month = MONTHS.map(name => name[0].toUpperCase() + name.substring(1)).join('|');
+    const shapes = [
+        `(?:${month}) \\d{4}`,       // month
+        '\\d{4}s?',                  // year, decade
+        '\\d{1,2}0-\\d{1,2}9|90\\+',  // age range
+        '[A-Z]\\d{2}|\\d{3}'         // diagnosis code category
+    ];
+    const alternatives = labels.sort((a, b) => b.length - a.length).map(escapeRegExp);
+    return new RegExp(`\\[(?:${[...alternatives, ...shapes].join('|')})\\]`, 'g');
+}
+
+module.exports = { generalize, levelsFor, generalizationTagPattern, GENERALIZATION_LEVELS, RELATION_ROLES, ROLE_LABELS };
@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+
+/*
+ * Language packs
+ *
+ * A pack adds lexicons for one language. Bundled packs live in ./lexicons and
+ * more can be passed as `options.languagePacks` (objects or .json paths):
+ *
+ *   {
+ *     "language": "es",
+ *     "name": "Spanish",
+ *     "script": "Latin",
+ *     "stopwords": ["que", "de", "no", ...],
+ *     "symptoms": { "anxiety_disorders": ["ansiedad", ...] },
+ *     "emotions": { "triste": 0.5 },
+ *     "relationships": { "esposo": 0.7 },
+ *     "roles": { "esposo": "partner" },
+ *     "medical": ["sertralina"],
+ *     "names": ["Lucía"]
+ *   }
+ *
+ * Symptom categories use the engine's category keys; roles are the coarse
+ * relationship roles used for generalization (see sanctuai_generalize.js). Languages with their own
+ * script (Devanagari, Tamil, ...) are recognised by script; Latin-script
+ * languages by their stopwords.
+ */
+
+const PACK_DIR = path.join(__dirname, 'lexicons');
+const DEFAULT_LANGUAGE = 'en';
+
+// English needs no pack: its lexicons are built into the engine
+const ENGLISH_STOPWORDS = [
+    'the', 'and', 'i', 'you', 'to', 'a', 'of', 'it', 'is', 'that', 'in', 'my', 'me',
+    'was', 'for', 'have', 'but', 'with', 'not', 'this', 'be', 'feel', 'just', 'so',
+    'he', 'she', 'they', 'we', 'what', 'when', 'about', 'been', 'are', 'do', "don't"
+];
+
+// Segment boundaries: sentence punctuation in Latin, Devanagari and Tamil text
+const SEGMENT_BREAK = /[.!?;\n।॥]+/g;
+const WORD = /[\p{L}\p{M}'’]+/gu;
+const LETTER = /\p{L}/gu;
+
+// Segments shorter than this take the language of the whole document
+const MIN_SEGMENT_WORDS = 3;
+
+function loadLanguagePack(source) {
+    const pack = typeof source === 'string'
+        ? JSON.parse(fs.readFileSync(source, 'utf8'))
+        : source;
+
+    if (!pack || typeof pack.language !== 'string' || !/^[a-z]{2,3}$/.test(pack.language)) {
+        throw new Error('Language packs need a two- or three-letter language code');
+    }
+    if (pack.script && pack.script !== 'Latin') {
+        try {
+            new RegExp(`\\p{Script=${pack.script}}`, 'u');
+        } catch (error) {
+            throw new Error(`Unknown script "${pack.script}" in language pack ${pack.language}`);
+        }
+    }
+    return {
+        name: pack.language,
+        script: 'Latin',
+        stopwords: [],
+        symptoms: {},
+        emotions: {},
+        relationships: {},
+        roles: {},
+        medical: [],
+        names: [],
+        ...pack
+    };
+}
+
+function bundledLanguagePacks() {
+    if (!fs.existsSync(PACK_DIR)) return [];
+    return fs.readdirSync(PACK_DIR)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => loadLanguagePack(path.join(PACK_DIR, file)));
+}
+
+// Script and stopword based detection over the languages that have packs
+class LanguageDetector {
+    constructor(packs = [], options = {}) {
+        this.defaultLanguage = options.defaultLanguage || DEFAULT_LANGUAGE;
+        this.scripts = packs
+            .filter(pack => pack.script !== 'Latin')
+            .map(pack => ({ language: pack.language, pattern: new RegExp(`\\p{Script=${pack.script}}`, 'gu') }));
+        this.stopwords = { [DEFAULT_LANGUAGE]: new Set(ENGLISH_STOPWORDS) };
+        for (const pack of packs.filter(pack => pack.script === 'Latin')) {
+            this.stopwords[pack.language] = new Set(pack.stopwords.map(word => word.toLowerCase()));
+        }
+        this.lastText = null;
+        this.segments = [];
+    }
+
+    // { language, confidence } for a piece of text
+    detect(text) {
+        const letters = (text.match(LETTER) || []).length;
+        if (letters === 0) {
+            return { language: this.defaultLanguage, confidence: 0 };
+        }
+
+        // A non-Latin script accounting for most letters decides on its own
+        for (const { language, pattern } of this.scripts) {
+            const share = (text.match(pattern) || []).length / letters;
+            if (share >= 0.5) {
+                return { language, confidence: Math.round(share * 100) / 100 };
+            }
+        }
+
+        const words = (text.toLowerCase().match(WORD) || []).map(word => word.replace(/’/g, "'"));
+        let best = { language: this.defaultLanguage, hits: 0 };
+        let total = 0;
+        for (const [language, stopwords] of Object.entries(this.stopwords)) {
+            const hits = words.filter(word => stopwords.has(word)).length;
+            total += hits;
+            if (hits > best.hits) {
+                best = { language, hits };
+            }
+        }
+
+        return {
+            language: best.language,
+            confidence: total === 0 ? 0 : Math.round((best.hits / total) * 100) / 100
+        };
+    }
+
+    // Sentence-level segments with their language, cached for the latest text
+    segment(text) {
+        if (this.lastText === text) return this.segments;
+
+        const document = this.detect(text);
+        const segments = [];
+        let segmentStart = 0;
+        const breaks = new RegExp(SEGMENT_BREAK.source, SEGMENT_BREAK.flags);
+        const addSegment = end => {
+            const piece = text.substring(segmentStart, end);
+            const wordCount = (piece.match(WORD) || []).length;
+            const { language, confidence } = wordCount >= MIN_SEGMENT_WORDS ? this.detect(piece) : document;
+            segments.push({ start: segmentStart, end, language, confidence });
+        };
+
+        let match;
+        while ((match = breaks.exec(text)) !== null) {
+            const end = match.index + match[0].length;
+            if (end > segmentStart) addSegment(end);
+            segmentStart = end;
+        }
+        if (segmentStart < text.length) addSegment(text.length);
+
+        this.lastText = text;
+        this.document = document;
+        this.segments = segments;
+        return segments;
+    }
+
+    languageAt(text, position) {
+        const segment = this.segment(text).find(s => position >= s.start && position < s.end);
+        return segment ? segment.language : this.document.language;
+    }
+
+    documentLanguage(text) {
+        this.segment(text);
+        return this.document;
+    }
+}
+
+module.exports = { LanguageDetector, loadLanguagePack, bundledLanguagePacks, DEFAULT_LANGUAGE };
@@ -0,0 +1,141 @@
+// Word characters for boundary checks: letters, combining marks (needed for
+// Devanagari and Tamil vowel signs), digits and underscore
+const WORD_CHAR = /[\p{L}\p{M}\p{N}_]/u;
+
+function isWordChar(char) {
+    return char !== undefined && WORD_CHAR.test(char);
+}
+
+// Lower-cases `text` without changing its length, so offsets found in the
+// result apply to `text`. Characters whose lower case is longer ("İ" becomes
+// "i̇") are kept as they are; no character's lower case is shorter.
+function foldCase(text) {
+    const lower = text.toLowerCase();
+    if (lower.length === text.length) return lower;
+
+    let folded = '';
+    for (const char of text) {
+        const lowerChar = char.toLowerCase();
+        folded += lowerChar.length === char.length ? lowerChar : char;
+    }
+    return folded;
+}
+
+// Aho-Corasick automaton over lexicon terms. Scanning a text once reports every
+// occurrence of every term, with the same results as running a case-insensitive
+// global RegExp for each term with Unicode-aware word boundaries
+// (see wordBoundaryPattern).
+class LexiconMatcher {
+    constructor() {
+        this.entries = [];
+        this.nodes = [{ next: new Map(), fail: 0, outputs: [] }];
+        this.compiled = true;
+    }
+
+    // Adds a term and returns its entry index. `payload` is handed back with matches.
+    add(term, payload = null) {
+        const pattern = term.toLowerCase();
+        if (pattern.length === 0) {
+            throw new Error('Lexicon terms must not be empty');
+        }
+
+        const index = this.entries.length;
+        this.entries.push({ term, pattern, payload });
+
+        let node = 0;
+        for (let i = 0; i < pattern.length; i++) {
+            const char = pattern[i];
+            let child = this.nodes[node].next.get(char);
+            if (child === undefined) {
+                child = this.nodes.length;
+                this.nodes.push({ next: new Map(), fail: 0, outputs: [] });
+                this.nodes[node].next.set(char, child);
+            }
+            node = child;
+        }
+        this.nodes[node].outputs.push(index);
+        this.compiled = false;
+
+        return index;
+    }
+
+    compile() {
+        // Breadth-first pass to set failure links and merge inherited outputs
+        const queue = [];
+        for (const child of this.nodes[0].next.values()) {
+            this.nodes[child].fail = 0;
+            queue.push(child);
+        }
+
+        for (let head = 0; head < queue.length; head++) {
+            const current = queue[head];
+            for (const [char, child] of this.nodes[current].next) {
+                let fail = this.nodes[current].fail;
+                while (fail !== 0 && !this.nodes[fail].next.has(char)) {
+                    fail = this.nodes[fail].fail;
+                }
+                const target = this.nodes[fail].next.get(char);
+                this.nodes[child].fail = target !== undefined && target !== child ? target : 0;
+                this.nodes[child].outputs = this.nodes[child].outputs.concat(this.nodes[this.nodes[child].fail].outputs);
+                queue.push(child);
+            }
+        }
+
+        this.compiled = true;
+        return this;
+    }
+
+    // Scans text case-insensitively. Returns matches grouped per entry in entry
+    // order, each entry's matches in position order: [{ start, end, entry }]
+    scan(text) {
+        if (!this.compiled) this.compile();
+
+        const textLower = foldCase(text);
+        const perEntry = this.entries.map(() => []);
+        let node = 0;
+
+        // Code unit offsets, so positions agree with String#substring
+        for (let i = 0; i < textLower.length; i++) {
+            const char = textLower[i];
+            while (node !== 0 && !this.nodes[node].next.has(char)) {
+                node = this.nodes[node].fail;
+            }
+            node = this.nodes[node].next.get(char) || 0;
+
+            for (const index of this.nodes[node].outputs) {
+                const { pattern } = this.entries[index];
+                const end = i + 1;
+                const start = end - pattern.length;
+                if (this.hasBoundaries(textLower, start, end)) {
+                    perEntry[index].push(start);
+                }
+            }
+        }
+
+        const matches = [];
+        perEntry.forEach((starts, index) => {
+            // Like a global RegExp, skip occurrences overlapping the previous one
+            const length = this.entries[index].pattern.length;
+            let lastEnd = -1;
+            for (const start of starts) {
+                if (start < lastEnd) continue;
+                matches.push({ start, end: start + length, entry: this.entries[index] });
+                lastEnd = start + length;
+            }
+        });
+
+        return matches;
+    }
+
+    hasBoundaries(text, start, end) {
+        return !isWordChar(text[start - 1]) && !isWordChar(text[end]);
+    }
+}
+
+// RegExp source matching `escaped` as a whole word under the same boundary
+// rules as the matcher; use with the 'u' flag
+function wordBoundaryPattern(escaped) {
+    return `(?<![\\p{L}\\p{M}\\p{N}_])${escaped}(?![\\p{L}\\p{M}\\p{N}_])`;
+}
+
+module.exports = { LexiconMatcher, wordBoundaryPattern, foldCase };
@@ -0,0 +1,302 @@
+const fs = require('fs');
+const path = require('path');
+const { LexiconMatcher } = require('./sanctuai_matcher');
+
+/*
+ * Medical entities
+ *
+ * Detects medication names (from an offline dictionary of generic and brand
+ * names), dosages with their frequency, ICD-10 and DSM diagnosis codes,
+ * facility names and appointment dates. Each match carries a MedicalType
+ * sub-type and the attributes its generalizations need.
+ *
+ * Policies choose a generalization level per sub-type under the MEDICAL
+ * category; anything not listed is redacted as usual:
+ *
+ *   "MEDICAL": { "generalize": { "medication": "class", "diagnosis_code": "block" } }
+ *
+ *   medication      generic ("Zoloft" -> "[sertraline]"), class ("[SSRI]")
+ *   diagnosis_code  category ("F32.1" -> "[F32]"), block ("[F30-F39 mood (affective) disorders]"),
+ *                   chapter ("[mental and behavioural disorders]"); outside chapter V
+ *                   (F codes) block falls back to the chapter
+ *
+ * The dictionary (dictionaries/medications.json, or `options.medicationDictionary`)
+ * lists drug classes, each with a label and { generic: [brand names] }.
+ */
+
+class MedicalType {
+    static MEDICATION = "medication";
+    static DOSAGE = "dosage";
+    static DIAGNOSIS_CODE = "diagnosis_code";
+    static FACILITY = "facility";
+    static APPOINTMENT = "appointment";
+    static MEDICAL_TERM = "medical_term";
+}
+
+// Generalization levels per sub-type; 'redact' keeps the usual tag
+const GENERALIZATION_LEVELS = {
+    [MedicalType.MEDICATION]: ['redact', 'generic', 'class'],
+    [MedicalType.DIAGNOSIS_CODE]: ['redact', 'category', 'block', 'chapter'],
+    [MedicalType.DOSAGE]: ['redact'],
+    [MedicalType.FACILITY]: ['redact'],
+    [MedicalType.APPOINTMENT]: ['redact'],
+    [MedicalType.MEDICAL_TERM]: ['redact']
+};
+
+const DICTIONARY_PATH = path.join(__dirname, 'dictionaries', 'medications.json');
+
+// ICD-10 chapter V blocks (mental and behavioural disorders)
+const ICD10_MENTAL_BLOCKS = [
+    { from: 0, to: 9, label: 'F00-F09 organic mental disorders' },
+    { from: 10, to: 19, label: 'F10-F19 substance use disorders' },
+    { from: 20, to: 29, label: 'F20-F29 schizophrenia, schizotypal and delusional disorders' },
+    { from: 30, to: 39, label: 'F30-F39 mood (affective) disorders' },
+    { from: 40, to: 48, label: 'F40-F48 neurotic, stress-related and somatoform disorders' },
+    { from: 50, to: 59, label: 'F50-F59 behavioural syndromes with physical factors' },
+    { from: 60, to: 69, label: 'F60-F69 disorders of adult personality and behaviour' },
+    { from: 70, to: 79, label: 'F70-F79 intellectual disabilities' },
+    { from: 80, to: 89, label: 'F80-F89 disorders of psychological development' },
+    { from: 90, to: 98, label: 'F90-F98 childhood and adolescent onset disorders' },
+    { from: 99, to: 99, label: 'F99 unspecified mental disorder' }
+];
+
+// ICD-10 chapters by first letter; D and H are split by category number
+const ICD10_CHAPTERS = {
+    A: 'infectious and parasitic diseases',
+    B: 'infectious and parasitic diseases',
+    C: 'neoplasms',
+    D: number => number < 50 ? 'neoplasms' : 'diseases of the blood and immune system',
+    E: 'endocrine, nutritional and metabolic diseases',
+    F: 'mental and behavioural disorders',
+    G: 'diseases of the nervous system',
+    H: number => number < 60 ? 'diseases of the eye' : 'diseases of the ear',
+    I: 'diseases of the circulatory system',
+    J: 'diseases of the respiratory system',
+    K: 'diseases of the digestive system',
+    L: 'diseases of the skin',
+    M: 'diseases of the musculoskeletal system',
+    N: 'diseases of the genitourinary system',
+    O: 'pregnancy and childbirth',
+    P: 'perinatal conditions',
+    Q: 'congenital conditions',
+    R: 'symptoms and abnormal findings',
+    S: 'injury and poisoning',
+    T: 'injury and poisoning',
+    V: 'external causes',
+    W: 'external causes',
+    X: 'external causes',
+    Y: 'external causes',
+    Z: 'factors influencing health status'
+};
+
+// ICD-9-CM mental disorder ranges, still used for DSM-IV and older DSM-5 codes
+const ICD9_MENTAL_BLOCKS = [
+    { from: 290, to: 294, label: '290-294 organic psychotic conditions' },
+    { from: 295, to: 299, label: '295-299 other psychoses' },
+    { from: 300, to: 316, label: '300-316 neurotic, personality and other nonpsychotic disorders' },
+    { from: 317, to: 319, label: '317-319 intellectual disabilities' }
+];
+
+// Words shortly before a code or date that mark it as clinical
+const CODE_CONTEXT = /\b(?:icd(?:-?1[01])?(?:-cm)?|icd-?9(?:-cm)?|dsm(?:-?(?:5|iv|iv-tr|v))?|dx|diagnos\w*|code[sd]?)\b[^.\n]{0,30}$/i;
+const APPOINTMENT_CONTEXT = /\b(?:appointment|appt|follow[- ]?up|check[- ]?up|review|session|visit|admitted|admission|discharged?|intake|consultation|scheduled|booked|seen)\b[^.\n]{0,30}$/i;
+
+const FREQUENCY = '(?:\\s+(?:(?:once|twice|three times|four times|\\d+\\s*(?:x|times))\\s+(?:a|per)\\s+(?:day|week|night|month)' +
+    '|(?:once|twice)\\s+(?:daily|nightly|weekly)' +
+    '|daily|nightly|weekly|at (?:night|bedtime)|in the (?:morning|evening)|before bed|as needed' +
+    '|prn|bid|b\\.i\\.d\\.|tid|t\\.i\\.d\\.|qid|qd|qhs|bd|tds|every \\d+ hours))';
+const FACILITY_SUFFIXES = 'Hospital|Clinic|Infirmary|Sanatorium|Hospice|Medical Cent(?:er|re)|Health(?:care)? Cent(?:er|re)' +
+    '|Mental Health (?:Unit|Cent(?:er|re)|Service)|Psychiatric (?:Hospital|Unit|Cent(?:er|re))|Behavioral Health(?: Cent(?:er|re))?' +
+    '|(?:Treatment|Rehab(?:ilitation)?|Recovery) Cent(?:er|re)';
+// Capitalized words that start sentences rather than facility names
+const LEADING_WORDS = /^(?:(?:The|At|In|From|To|My|Our|Her|His|Their|Then|When|After|Before|Since|Yesterday|Today|Tomorrow)\s+)+/;
+const FACILITY_ONLY = new RegExp('^(?:' + FACILITY_SUFFIXES + ')$');
+
+class MedicalEntityDetector {
+    constructor(options = {}) {
+        this.dictionary = this.loadDictionary(options.dictionary || DICTIONARY_PATH);
+
+        this.matcher = new LexiconMatcher();
+        for (const [classKey, drugClass] of Object.entries(this.dictionary.classes)) {
+            for (const [generic, brands] of Object.entries(drugClass.drugs)) {
+                const attributes = { generic, drug_class: classKey, class_label: drugClass.label || classKey };
+                this.matcher.add(generic, attributes);
+                for (const brand of brands) {
+                    this.matcher.add(brand, attributes);
+                }
+            }
+        }
+        this.matcher.compile();
+
+        this.patterns = [
+            {
+                subType: MedicalType.DOSAGE,
+                pattern: new RegExp('(?<![\\w.])\\d+(?:\\.\\d+)?\\s?(?:mg|mcg|µg|μg|g|ml|units?|iu|milligrams?|micrograms?)\\b' +
+                    '(?:\\s*(?:\\/|per)\\s*(?:day|kg))?' + FREQUENCY + '?', 'gi'),
+                riskScore: 0.6
+            },
+            {
+                // Chapter V codes with a subdivision (F32.1) need no context
+                subType: MedicalType.DIAGNOSIS_CODE,
+                pattern: /\bF\d{2}\.\d{1,2}[A-Z0-9]?\b/g,
+                riskScore: 0.85
+            },
+            {
+                subType: MedicalType.DIAGNOSIS_CODE,
+                pattern: /\b[A-TV-Z]\d{2}(?:\.\d{1,4})?\b/g,
+                riskScore: 0.85,
+                validate: (start, text) => CODE_CONTEXT.test(text.substring(Math.max(0, start - 40), start))
+            },
+            {
+                subType: MedicalType.DIAGNOSIS_CODE,
+                pattern: /\b(?:29\d|30\d|31\d)\.\d{1,2}\b/g,
+                riskScore: 0.85,
+                validate: (start, text) => CODE_CONTEXT.test(text.substring(Math.max(0, start - 40), start))
+            },
+            {
+                subType: MedicalType.FACILITY,
+                pattern: new RegExp("\\b(?:(?:St\\.?|Saint|Mount|Mt\\.?)\\s+)?(?:[A-Z][A-Za-z'’]+[\\s-]+){1,4}(?:" +
+                    FACILITY_SUFFIXES + ')\\b', 'g'),
+                riskScore: 0.8,
+                normalize: match => {
+                    const name = match.replace(LEADING_WORDS, '');
+                    return FACILITY_ONLY.test(name) ? '' : name;
+                }
+            }
+        ];
+    }
+
+    // Every description medication and diagnosis code generalization can
+    // produce, apart from bare codes
+    generalizationLabels() {
+        const labels = new Set(['mental disorders']);
+        for (const drugClass of Object.values(this.dictionary.classes)) {
+            for (const generic of Object.keys(drugClass.drugs)) labels.add(generic);
+        }
+        for (const [classKey, drugClass] of Object.entries(this.dictionary.classes)) {
+            labels.add(drugClass.label || classKey);
+        }
+        for (const block of [...ICD10_MENTAL_BLOCKS, ...ICD9_MENTAL_BLOCKS]) labels.add(block.label);
+        for (const chapter of Object.values(ICD10_CHAPTERS)) {
+            for (const label of typeof chapter === 'function' ? [chapter(0), chapter(99)] : [chapter]) labels.add(label);
+        }
+        return [...labels];
+    }
+
+    loadDictionary(source) {
+        const dictionary = typeof source === 'string'
+            ? JSON.parse(fs.readFileSync(source, 'utf8'))
+            : source;
+        if (!dictionary || typeof dictionary.classes !== 'object') {
+            throw new Error('Medication dictionaries need a "classes" object');
+        }
+        return dictionary;
+    }
+
+    // `dates` are date spans found elsewhere ({ text, start, end }); those
+    // preceded by appointment wording are reported as appointments
+    detect(text, dates = []) {
+        const found = [];
+
+        for (const { start, end, entry } of this.matcher.scan(text)) {
+            found.push({
+                text: text.substring(start, end),
+                start,
+                end,
+                subType: MedicalType.MEDICATION,
+                riskScore: 0.75,
+                attributes: { ...entry.payload },
+                trace: { match: { type: 'dictionary', term: entry.term }, base_score: 0.75, adjustments: [] }
+            });
+        }
+
+        for (const detector of this.patterns) {
+            const pattern = new RegExp(detector.pattern.source, detector.pattern.flags);
+            let match;
+            while ((match = pattern.exec(text)) !== null) {
+                let value = match[0];
+                let start = match.index;
+                if (detector.normalize) {
+                    value = detector.normalize(value);
+                    if (!value) continue;
+                    start += match[0].length - value.length;
+                }
+                if (detector.validate && !detector.validate(start, text)) continue;
+
+                found.push({
+                    text: value,
+                    start,
+                    end: start + value.length,
+                    subType: detector.subType,
+                    riskScore: detector.riskScore,
+                    attributes: detector.subType === MedicalType.DIAGNOSIS_CODE ? { code: value } : {},
+                    trace: {
+                        match: { type: 'pattern', sub_type: detector.subType, pattern: detector.pattern.source },
+                        base_score: detector.riskScore,
+                        adjustments: []
+                    }
+                });
+            }
+        }
+
+        for (const date of dates) {
+            if (APPOINTMENT_CONTEXT.test(text.substring(Math.max(0, date.start - 40), date.start))) {
+                found.push({
+                    text: date.text,
+                    start: date.start,
+                    end: date.end,
+                    subType: MedicalType.APPOINTMENT,
+                    riskScore: 0.6,
+                    attributes: {},
+                    trace: { match: { type: 'appointment_context' }, base_score: 0.6, adjustments: [] }
+                });
+            }
+        }
+
+        return found;
+    }
+}
+
+// Replacement text for a generalized entity, or null when the level does not
+// apply to it (the caller then falls back to its usual tag)
+function generalizeMedical(subType, attributes, level) {
+    if (!level || level === 'redact') {
+        return null;
+    }
+    if (subType === MedicalType.MEDICATION) {
+        if (level === 'generic' && attributes.generic) return `[${attributes.generic}]`;
+        if (level === 'class' && attributes.class_label) return `[${attributes.class_label}]`;
+        return null;
+    }
+    if (subType === MedicalType.DIAGNOSIS_CODE && attributes.code) {
+        const generalized = generalizeCode(attributes.code, level);
+        return generalized ? `[${generalized}]` : null;
+    }
+    return null;
+}
+
+function generalizeCode(code, level) {
+    const icd9 = code.match(/^(\d{3})\./);
+    if (icd9) {
+        const number = Number(icd9[1]);
+        const block = ICD9_MENTAL_BLOCKS.find(b => number >= b.from && number <= b.to);
+        if (level === 'category') return icd9[1];
+        if (level === 'block') return block ? block.label : null;
+        return 'mental disorders';
+    }
+
+    const letter = code[0];
+    const number = Number(code.substring(1, 3));
+    if (level === 'category') {
+        return code.substring(0, 3);
+    }
+    if (level === 'block' && letter === 'F') {
+        const block = ICD10_MENTAL_BLOCKS.find(b => number >= b.from && number <= b.to);
+        if (block) return block.label;
+    }
+    const chapter = ICD10_CHAPTERS[letter];
+    if (!chapter) return null;
+    return typeof chapter === 'function' ? chapter(number) : chapter;
+}
+
+module.exports = { MedicalEntityDetector, MedicalType, GENERALIZATION_LEVELS, generalizeMedical };
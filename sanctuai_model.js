@@ -0,0 +1,81 @@
+const http = require('http');
+const https = require('https');
+
+/*
+ * Language model clients for the /proxy/chat endpoint
+ *
+ * A client takes chat messages ([{ role, content }]) that were already
+ * pseudonymized and resolves to the reply text. HttpModelClient speaks the
+ * OpenAI-compatible chat completions format that most hosted and local model
+ * servers accept; StubModelClient answers locally for tests and demos.
+ */
+
+class HttpModelClient {
+    constructor(options) {
+        if (!options || !options.url) {
+            throw new Error('HttpModelClient requires a url');
+        }
+        this.url = new URL(options.url);
+        this.model = options.model || null;
+        this.headers = options.headers || {};
+        this.timeout = options.timeout || 60000;
+    }
+
+    complete(messages) {
+        const body = JSON.stringify(this.model ? { model: this.model, messages } : { messages });
+        const transport = this.url.protocol === 'https:' ? https : http;
+
+        return new Promise((resolve, reject) => {
+            const request = transport.request(this.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(body),
+                    ...this.headers
+                },
+                timeout: this.timeout
+            }, response => {
+                const chunks = [];
+                response.on('data', chunk => chunks.push(chunk));
+                response.on('end', () => {
+                    if (response.statusCode < 200 || response.statusCode >= 300) {
+                        return reject(new Error(`Model endpoint responded with ${response.statusCode}`));
+                    }
+                    let reply;
+                    try {
+                        reply = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+                    } catch (error) {
+                        return reject(new Error('Model endpoint returned invalid JSON'));
+                    }
+                    const content = reply && reply.choices && reply.choices[0] &&
+                        reply.choices[0].message && reply.choices[0].message.content;
+                    if (typeof content !== 'string') {
+                        return reject(new Error('Model endpoint returned no message content'));
+                    }
+                    resolve(content);
+                });
+                response.on('error', reject);
+            });
+            request.on('timeout', () => request.destroy(new Error('Model endpoint timed out')));
+            request.on('error', reject);
+            request.end(body);
+        });
+    }
+}
+
+// Echoes the last user message, so tests can check what the model was sent
+// and that surrogates in the reply are restored
+class StubModelClient {
+    constructor(options = {}) {
+        this.respond = options.respond || (messages => {
+            const last = messages.filter(message => message.role === 'user').pop();
+            return `You said: ${last ? last.content : ''}`;
+        });
+    }
+
+    async complete(messages) {
+        return this.respond(messages);
+    }
+}
+
+module.exports = { HttpModelClient, StubModelClient };
@@ -0,0 +1,322 @@
+const zlib = require('zlib');
+
+/*
+ * Text PDFs
+ *
+ * extractPdfText reads the text drawn by the page content streams, in page
+ * order, starting a new line when the text position moves down. Only
+ * unencrypted PDFs whose streams are uncompressed or Flate-compressed and whose
+ * fonts use single-byte encodings are supported; scanned PDFs need OCR first.
+ *
+ * Redacted text is written back as a new, plain PDF (writePdf). Rewriting the
+ * original file in place could leave the originals behind in metadata,
+ * annotations, form fields or earlier revisions, so only the text is kept.
+ */
+
+// Windows-1252 characters that differ from Latin-1
+const WIN_ANSI = {
+    0x80: '€', 0x85: '…', 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x99: '™'
+};
+const WIN_ANSI_CODES = Object.fromEntries(Object.entries(WIN_ANSI).map(([code, char]) => [char, Number(code)]));
+
+function decodeBytes(bytes) {
+    return Array.from(bytes, byte => WIN_ANSI[byte] || String.fromCharCode(byte)).join('');
+}
+
+// Indirect objects by number, with their dictionary text and decoded stream
+function readObjects(source) {
+    const objects = new Map();
+    const pattern = /(\d+)\s+\d+\s+obj\b([\s\S]*?)\bendobj\b/g;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+        const body = match[2];
+        const streamAt = body.search(/\bstream\r?\n/);
+        const dictionary = streamAt === -1 ? body : body.substring(0, streamAt);
+        let stream = null;
+
+        if (streamAt !== -1) {
+            const start = streamAt + body.substring(streamAt).indexOf('\n') + 1;
+            const end = body.lastIndexOf('endstream');
+            const raw = Buffer.from(body.substring(start, end).replace(/\r?\n$/, ''), 'latin1');
+            if (/\/Filter\s*\[?\s*\/FlateDecode\s*\]?/.test(dictionary)) {
+                try {
+                    stream = zlib.inflateSync(raw);
+                } catch (error) {
+                    stream = null;
+                }
+            } else if (!/\/Filter\b/.test(dictionary)) {
+                stream = raw;
+            }
+        }
+        objects.set(Number(match[1]), { dictionary, stream });
+    }
+    return objects;
+}
+
+function references(value) {
+    return Array.from(value.matchAll(/(\d+)\s+\d+\s+R\b/g), match => Number(match[1]));
+}
+
+// Content streams in page order; file order when the page tree cannot be read
+// (e.g. pages stored in compressed object streams)
+function contentStreams(source, objects) {
+    const root = source.match(/\/Root\s+(\d+)\s+\d+\s+R\b/);
+    const catalog = root && objects.get(Number(root[1]));
+    const pagesRef = catalog && catalog.dictionary.match(/\/Pages\s+(\d+)\s+\d+\s+R\b/);
+    const streams = [];
+
+    const visit = (number, seen) => {
+        const node = objects.get(number);
+        if (!node || seen.has(number)) return;
+        seen.add(number);
+        const kids = node.dictionary.match(/\/Kids\s*\[([^\]]*)\]/);
+        if (kids) {
+            for (const kid of references(kids[1])) visit(kid, seen);
+            return;
+        }
+        const contents = node.dictionary.match(/\/Contents\s*(\[[^\]]*\]|\d+\s+\d+\s+R)/);
+        for (const ref of contents ? references(contents[1]) : []) {
+            const content = objects.get(ref);
+            if (content && content.stream) streams.push(content.stream);
+        }
+    };
+    if (pagesRef) visit(Number(pagesRef[1]), new Set());
+
+    if (streams.length > 0) return streams;
+    return Array.from(objects.values())
+        .filter(({ dictionary, stream }) => stream && !/\/(?:Subtype\s*\/Image|Type\s*\/(?:XRef|ObjStm|Metadata))\b|\/Length1\b/.test(dictionary))
+        .map(({ stream }) => stream);
+}
+
+// Operands and operators of a content stream
+function* tokens(content) {
+    const text = content.toString('latin1');
+    let i = 0;
+    while (i < text.length) {
+        const char = text[i];
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '%') {
+            while (i < text.length && text[i] !== '\n' && text[i] !== '\r') i++;
+        } else if (char === '(') {
+            const bytes = [];
+            let depth = 1;
+            i++;
+            while (i < text.length && depth > 0) {
+                let c = text[i++];
+                if (c === '\\') {
+                    c = text[i++];
+                    const escapes = { n: 10, r: 13, t: 9, b: 8, f: 12 };
+                    if (escapes[c] !== undefined) {
+                        bytes.push(escapes[c]);
+                    } else if (/[0-7]/.test(c)) {
+                        let octal = c;
+                        while (octal.length < 3 && /[0-7]/.test(text[i])) octal += text[i++];
+                        bytes.push(parseInt(octal, 8) & 0xff);
+                    } else if (c === '\r' || c === '\n') {
+                        if (c === '\r' && text[i] === '\n') i++;
+                    } else {
+                        bytes.push(c.charCodeAt(0));
+                    }
+                    continue;
+                }
+                if (c === '(') depth++;
+                if (c === ')' && --depth === 0) break;
+                bytes.push(c.charCodeAt(0));
+            }
+            yield { type: 'string', value: Buffer.from(bytes) };
+        } else if (char === '<' && text[i + 1] === '<') {
+            yield { type: 'dict_start' };
+            i += 2;
+        } else if (char === '>' && text[i + 1] === '>') {
+            yield { type: 'dict_end' };
+            i += 2;
+        } else if (char === '<') {
+            const end = text.indexOf('>', i);
+            let hex = text.substring(i + 1, end).replace(/\s/g, '');
+            if (hex.length % 2 === 1) hex += '0';
+            yield { type: 'string', value: Buffer.from(hex, 'hex'), hex: true };
+            i = end + 1;
+        } else if (char === '[' || char === ']') {
+            yield { type: char === '[' ? 'array_start' : 'array_end' };
+            i++;
+        } else if (char === '/') {
+            const match = text.substring(i).match(/^\/[^\s()<>[\]{}/%]*/);
+            yield { type: 'name', value: match[0] };
+            i += match[0].length;
+        } else {
+            const match = text.substring(i).match(/^[^\s()<>[\]{}/%]+/);
+            const word = match ? match[0] : char;
+            i += word.length;
+            if (/^[+-]?(?:\d+\.?\d*|\.\d+)$/.test(word)) {
+                yield { type: 'number', value: Number(word) };
+            } else if (word === 'BI') {
+                // Inline image data is binary; skip to its end marker
+                const end = text.substring(i).search(/\sEI(?=\s|$)/);
+                i = end === -1 ? text.length : i + end + 3;
+            } else {
+                yield { type: 'operator', value: word };
+            }
+        }
+    }
+}
+
+function showString(token) {
+    // Two-byte (CID) font codes show up as strings full of NUL bytes
+    if (token.hex && token.value.length > 1 && token.value.filter(byte => byte === 0).length * 3 >= token.value.length) {
+        throw new Error('PDF text uses composite fonts, which cannot be extracted; convert the file to text first');
+    }
+    return decodeBytes(token.value);
+}
+
+function extractContentText(content) {
+    let text = '';
+    let operands = [];
+    let array = null;
+    let lastY = null;
+    const newLine = () => {
+        if (text !== '' && !text.endsWith('\n')) text += '\n';
+    };
+    const space = () => {
+        if (text !== '' && !/\s$/.test(text)) text += ' ';
+    };
+
+    for (const token of tokens(content)) {
+        if (token.type === 'array_start') {
+            array = [];
+        } else if (token.type === 'array_end') {
+            operands.push({ type: 'array', value: array || [] });
+            array = null;
+        } else if (token.type !== 'operator') {
+            (array || operands).push(token);
+        } else {
+            const op = token.value;
+            const last = operands[operands.length - 1];
+            if (op === 'Tj' && last && last.type === 'string') {
+                text += showString(last);
+            } else if ((op === "'" || op === '"') && last && last.type === 'string') {
+                newLine();
+                text += showString(last);
+            } else if (op === 'TJ' && last && last.type === 'array') {
+                for (const item of last.value) {
+                    if (item.type === 'string') text += showString(item);
+                    else if (item.type === 'number' && item.value < -180) space();
+                }
+            } else if (op === 'Td' || op === 'TD') {
+                const [x, y] = operands.slice(-2).map(operand => operand.value);
+                if (y !== 0) newLine();
+                else if (x > 0) space();
+            } else if (op === 'T*') {
+                newLine();
+            } else if (op === 'Tm') {
+                const y = operands[operands.length - 1] && operands[operands.length - 1].value;
+                if (lastY !== null && y !== lastY) newLine();
+                else space();
+                lastY = y;
+            } else if (op === 'ET') {
+                space();
+            }
+            operands = [];
+        }
+    }
+    return text.replace(/[ \t]+\n/g, '\n').trim();
+}
+
+function extractPdfText(buffer) {
+    const source = buffer.toString('latin1');
+    if (!source.startsWith('%PDF-')) {
+        throw new Error('Not a PDF file');
+    }
+    if (/\/Encrypt\b/.test(source)) {
+        throw new Error('Encrypted PDFs are not supported');
+    }
+
+    const objects = readObjects(source);
+    const pages = contentStreams(source, objects)
+        .map(extractContentText)
+        .filter(text => text !== '');
+    if (pages.length === 0) {
+        throw new Error('No extractable text found in PDF (scanned documents need OCR first)');
+    }
+    return pages.join('\n\n');
+}
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 72;
+const FONT_SIZE = 10;
+const LINE_HEIGHT = 14;
+// Helvetica averages about half an em per character
+const CHARS_PER_LINE = Math.floor((PAGE_WIDTH - 2 * MARGIN) / (FONT_SIZE * 0.5));
+const LINES_PER_PAGE = Math.floor((PAGE_HEIGHT - 2 * MARGIN) / LINE_HEIGHT);
+
+function wrap(line) {
+    const lines = [];
+    let rest = line;
+    while (rest.length > CHARS_PER_LINE) {
+        let cut = rest.lastIndexOf(' ', CHARS_PER_LINE);
+        if (cut <= 0) cut = CHARS_PER_LINE;
+        lines.push(rest.substring(0, cut));
+        rest = rest.substring(cut).replace(/^ /, '');
+    }
+    lines.push(rest);
+    return lines;
+}
+
+// PDF literal string in WinAnsi; characters outside it become "?"
+function literal(text) {
+    return '(' + Array.from(text.replace(/\t/g, '    '), char => {
+        const code = WIN_ANSI_CODES[char] || char.charCodeAt(0);
+        if (code > 0xff || (code < 0x20)) return '?';
+        if (char === '(' || char === ')' || char === '\\') return '\\' + char;
+        return code < 0x7f ? char : '\\' + code.toString(8).padStart(3, '0');
+    }).join('') + ')';
+}
+
+function writePdf(text) {
+    const lines = text.split(/\r?\n/).flatMap(wrap);
+    const pages = [];
+    for (let i = 0; i < lines.length; i += LINES_PER_PAGE) {
+        pages.push(lines.slice(i, i + LINES_PER_PAGE));
+    }
+    if (pages.length === 0) pages.push([]);
+
+    // 1 catalog, 2 page tree, 3 font, then a page and its content per page
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pages.map((page, i) => `${4 + 2 * i} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'
+    ];
+    pages.forEach((page, i) => {
+        const content = zlib.deflateSync(Buffer.from(
+            `BT /F1 ${FONT_SIZE} Tf ${LINE_HEIGHT} TL ${MARGIN} ${PAGE_HEIGHT - MARGIN} Td\n` +
+            page.map(line => `${literal(line)} Tj T*`).join('\n') + '\nET', 'latin1'));
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+            `/Resources << /Font << /F1 3 0 R >> >> /Contents ${5 + 2 * i} 0 R >>`);
+        objects.push(content);
+    });
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    const offsets = [];
+    let length = chunks[0].length;
+    objects.forEach((object, i) => {
+        const body = Buffer.isBuffer(object)
+            ? Buffer.concat([
+                Buffer.from(`${i + 1} 0 obj\n<< /Length ${object.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+                object,
+                Buffer.from('\nendstream\nendobj\n', 'latin1')
+            ])
+            : Buffer.from(`${i + 1} 0 obj\n${object}\nendobj\n`, 'latin1');
+        offsets.push(length);
+        chunks.push(body);
+        length += body.length;
+    });
+
+    const xref = `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+        offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('') +
+        `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${length}\n%%EOF\n`;
+    chunks.push(Buffer.from(xref, 'latin1'));
+    return Buffer.concat(chunks);
+}
+
+module.exports = { extractPdfText, writePdf };
@@ -0,0 +1,275 @@
+const net = require('net');
+
+class PIIType {
+    static PERSON_NAME = "person_name";
+    static EMAIL = "email";
+    static PHONE = "phone_number";
+    static ADDRESS = "street_address";
+    static POSTCODE = "postcode";
+    static DATE = "date";
+    static DATE_OF_BIRTH = "date_of_birth";
+    static SSN = "ssn";
+    static NHS_NUMBER = "nhs_number";
+    static MEDICAL_RECORD = "medical_record_number";
+    static CREDIT_CARD = "credit_card";
+    static URL = "url";
+    static SOCIAL_HANDLE = "social_handle";
+    static IP_ADDRESS = "ip_address";
+    static AGE = "age";
+}
+
+const MONTHS = [
+    'january', 'february', 'march', 'april', 'may', 'june', 'july',
+    'august', 'september', 'october', 'november', 'december'
+];
+const MONTH_PATTERN = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const STREET_SUFFIXES = 'Street|St|Avenue|Ave|Road|Rd|Lane|Ln|Drive|Dr|Boulevard|Blvd|Court|Ct|Way|Place|Pl|Terrace|Close|Crescent|Parkway|Highway|Hwy';
+
+class PIIDetector {
+    constructor() {
+        // Each detector contributes matches of one sub-type. `group` selects the
+        // capture group holding the identifier when the pattern needs a prefix
+        // (the first that matched, when it lists several).
+        this.detectors = [
+            {
+                subType: PIIType.EMAIL,
+                pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g,
+                riskScore: 0.9
+            },
+            {
+                subType: PIIType.URL,
+                pattern: /\b(?:https?:\/\/|www\.)[^\s<>"']+/gi,
+                riskScore: 0.6,
+                normalize: match => match.replace(/[.,;:!?)\]]+$/, '')
+            },
+            {
+                subType: PIIType.SOCIAL_HANDLE,
+                pattern: /(?:^|[^\w@.\/])(@[A-Za-z0-9_](?:[A-Za-z0-9_.]{0,28}[A-Za-z0-9_])?)(?![\w@])/g,
+                group: 1,
+                riskScore: 0.7
+            },
+            {
+                subType: PIIType.SSN,
+                pattern: /\b\d{3}-\d{2}-\d{4}\b/g,
+                riskScore: 1.0,
+                validate: value => this.isValidSSN(value)
+            },
+            {
+                subType: PIIType.NHS_NUMBER,
+                pattern: /\b\d{3}[ -]?\d{3}[ -]?\d{4}\b/g,
+                riskScore: 0.95,
+                validate: (value, start, text) => this.isValidNHSNumber(value) &&
+                    /\bnhs\b/i.test(text.substring(Math.max(0, start - 40), start))
+            },
+            {
+                subType: PIIType.CREDIT_CARD,
+                pattern: /\b\d{4}[ -]?\d{4}[ -]?\d{4}[ -]?\d{1,7}\b/g,
+                riskScore: 0.95,
+                validate: value => this.passesLuhn(value)
+            },
+            {
+                subType: PIIType.PHONE,
+                pattern: /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,5}\)[\s.-]?|\d{2,5}[\s.-]?)\d{3,4}[\s.-]?\d{3,4}\b/g,
+                riskScore: 0.85,
+                validate: value => {
+                    const digits = value.replace(/\D/g, '');
+                    return digits.length >= 10 && digits.length <= 13;
+                }
+            },
+            {
+                subType: PIIType.MEDICAL_RECORD,
+                pattern: /\b(?:MRN|medical record(?: number| no\.?| #)?|patient (?:id|number)|hospital number)\s*(?:is|:|#|no\.?)?\s*([A-Z]{0,3}-?\d[\dA-Z-]{4,14})\b/gi,
+                group: 1,
+                riskScore: 0.95
+            },
+            {
+                subType: PIIType.IP_ADDRESS,
+                pattern: /\b(?:\d{1,3}\.){3}\d{1,3}\b|(?<![\w:])(?:[0-9a-f]{0,4}:){2,7}[0-9a-f]{0,4}(?![\w:])/gi,
+                riskScore: 0.6,
+                validate: value => net.isIP(value) !== 0
+            },
+            {
+                subType: PIIType.ADDRESS,
+                pattern: new RegExp(
+                    '\\b\\d{1,5}[A-Za-z]?\\s+(?:[A-Z][a-z]+\\s+){1,3}(?:' + STREET_SUFFIXES + ')\\b\\.?' +
+                    '(?:,?\\s+(?:Apt|Apartment|Unit|Suite|Flat)\\.?\\s*#?\\w+)?', 'g'
+                ),
+                riskScore: 0.9,
+                normalize: match => match.replace(/\.$/, '')
+            },
+            {
+                subType: PIIType.POSTCODE,
+                pattern: /\b[A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2}\b/g,
+                riskScore: 0.7
+            },
+            {
+                subType: PIIType.DATE,
+                pattern: new RegExp(
+                    '\\b(?:\\d{4}-\\d{2}-\\d{2}' +
+                    '|\\d{1,2}[\\/.-]\\d{1,2}[\\/.-](?:\\d{4}|\\d{2})' +
+                    '|' + MONTH_PATTERN + '\\s+\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s+\\d{4})?' +
+                    '|\\d{1,2}(?:st|nd|rd|th)?\\s+(?:of\\s+)?' + MONTH_PATTERN + '(?:,?\\s+\\d{4})?)\\b', 'gi'
+                ),
+                riskScore: 0.5,
+                validate: value => this.isPlausibleDate(value)
+            },
+            {
+                // Only the number, so "34-year-old" becomes "[...]-year-old"
+                subType: PIIType.AGE,
+                pattern: /\b(\d{1,3})[- ](?:years?|yrs?)[- ]old\b|\b(?:aged?|age:)\s+(\d{1,3})\b|\bturn(?:ed|ing|s)?\s+(\d{1,3})(?=\s*(?:[.,;!?]|$|\s+(?:last|this|next|in|on)\b))/gi,
+                group: [1, 2, 3],
+                riskScore: 0.5,
+                validate: value => Number(value) > 0 && Number(value) <= 120
+            }
+        ];
+
+        // Words right before a date that mark it as a date of birth
+        this.birthIndicators = /\b(?:born|dob|d\.o\.b\.?|date of birth|birthday|birth date)\b[\s:,-]*(?:on\s+|is\s+)?$/i;
+    }
+
+    detect(text) {
+        const found = [];
+
+        for (const detector of this.detectors) {
+            const pattern = new RegExp(detector.pattern.source, detector.pattern.flags);
+            let match;
+            while ((match = pattern.exec(text)) !== null) {
+                if (match[0].length === 0) {
+                    pattern.lastIndex++;
+                    continue;
+                }
+
+                let value = detector.group
+                    ? [].concat(detector.group).map(group => match[group]).find(Boolean)
+                    : match[0];
+                if (!value) continue;
+                const start = detector.group ? match.index + match[0].indexOf(value) : match.index;
+                if (detector.normalize) value = detector.normalize(value);
+                if (detector.validate && !detector.validate(value, start, text)) continue;
+
+                let subType = detector.subType;
+                let riskScore = detector.riskScore;
+                // How the value was found, for explanations
+                const trace = {
+                    match: { type: 'pattern', sub_type: detector.subType, pattern: detector.pattern.source },
+                    base_score: riskScore,
+                    adjustments: []
+                };
+                const birth = subType === PIIType.DATE &&
+                    this.birthIndicators.exec(text.substring(Math.max(0, start - 25), start));
+                if (birth) {
+                    subType = PIIType.DATE_OF_BIRTH;
+                    riskScore = 0.95;
+                    trace.adjustments.push({
+                        rule: 'birth_context',
+                        trigger: birth[0].trim().toLowerCase(),
+                        delta: Math.round((riskScore - trace.base_score) * 100) / 100,
+                        score: riskScore
+                    });
+                }
+
+                found.push({
+                    text: value,
+                    start,
+                    end: start + value.length,
+                    subType,
+                    riskScore,
+                    trace
+                });
+            }
+        }
+
+        return found;
+    }
+
+    isValidSSN(value) {
+        const [area, group, serial] = value.split('-');
+        if (area === '000' || area === '666' || area[0] === '9') return false;
+        return group !== '00' && serial !== '0000';
+    }
+
+    isValidNHSNumber(value) {
+        const digits = value.replace(/\D/g, '');
+        if (digits.length !== 10) return false;
+
+        // Modulus 11 check digit
+        let total = 0;
+        for (let i = 0; i < 9; i++) {
+            total += Number(digits[i]) * (10 - i);
+        }
+        let check = 11 - (total % 11);
+        if (check === 11) check = 0;
+        if (check === 10) return false;
+        return check === Number(digits[9]);
+    }
+
+    passesLuhn(value) {
+        const digits = value.replace(/\D/g, '');
+        if (digits.length < 13 || digits.length > 19) return false;
+
+        let total = 0;
+        for (let i = 0; i < digits.length; i++) {
+            let digit = Number(digits[digits.length - 1 - i]);
+            if (i % 2 === 1) {
+                digit *= 2;
+                if (digit > 9) digit -= 9;
+            }
+            total += digit;
+        }
+        return total % 10 === 0;
+    }
+
+    isPlausibleDate(value) {
+        return parseDate(value) !== null;
+    }
+}
+
+function isValidDay(month, day) {
+    const daysInMonth = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+    return month >= 1 && month <= 12 && day >= 1 && day <= daysInMonth[month - 1];
+}
+
+// Two-digit years are taken as the most recent year that is not in the future
+function fullYear(digits) {
+    const year = Number(digits);
+    if (digits.length === 4) return year;
+    return 2000 + year > new Date().getFullYear() ? 1900 + year : 2000 + year;
+}
+
+// { year, month, day } for a date matched by the date detector, or null when
+// it is not a real date. `month` is null when a numeric date reads validly
+// both day-first and month-first; `year` is null when the date has none.
+function parseDate(value) {
+    const lower = value.toLowerCase();
+
+    // ISO dates (YYYY-MM-DD)
+    let parts = lower.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (parts) {
+        const [year, month, day] = parts.slice(1).map(Number);
+        return isValidDay(month, day) ? { year, month, day } : null;
+    }
+
+    // Numeric dates, either day or month first
+    parts = lower.match(/^(\d{1,2})[\/.-](\d{1,2})[\/.-](\d{2}|\d{4})$/);
+    if (parts) {
+        const first = Number(parts[1]);
+        const second = Number(parts[2]);
+        const monthFirst = isValidDay(first, second);
+        const dayFirst = isValidDay(second, first);
+        if (!monthFirst && !dayFirst) return null;
+        const year = fullYear(parts[3]);
+        if (monthFirst && dayFirst && first !== second) {
+            return { year, month: null, day: null };
+        }
+        return monthFirst ? { year, month: first, day: second } : { year, month: second, day: first };
+    }
+
+    // Textual dates ("March 15th", "15 March 1987")
+    const month = MONTHS.findIndex(name => lower.includes(name.substring(0, 3)));
+    const day = lower.match(/\d{1,2}(?!\d)/);
+    if (month === -1 || day === null || !isValidDay(month + 1, Number(day[0]))) return null;
+    const year = lower.match(/\d{4}/);
+    return { year: year ? Number(year[0]) : null, month: month + 1, day: Number(day[0]) };
+}
+
+module.exports = { PIIDetector, PIIType, parseDate, MONTHS };
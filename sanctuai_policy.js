@@ -0,0 +1,259 @@
+const fs = require('fs');
+const path = require('path');
+const { OVERLAP_MODES } = require('./sanctuai_spans');
+const { GENERALIZATION_LEVELS, levelsFor } = require('./sanctuai_generalize');
+
+/*
+ * Redaction policies
+ *
+ * A policy is a plain object (or a .json/.yaml file holding one) passed to the
+ * SanctuAI constructor as `options.policy`:
+ *
+ *   {
+ *     "name": "research_export",
+ *     "default_action": "redact",
+ *     "thresholds": { "high": 0.8, "medium": 0.5 },
+ *     "categories": {
+ *       "EMOTION": { "enabled": false },
+ *       "SYMPTOM": { "action": "anonymize", "min_risk": 0.6 },
+ *       "PII": { "action": "pseudonymize", "thresholds": { "high": 0.7 } },
+ *       "RELATION": { "generalize": "role" },
+ *       "MEDICAL": { "generalize": { "medication": "class" } }
+ *     },
+ *     "lexicons": {
+ *       "symptoms": { "sleep_disorders": ["insomnia"] },
+ *       "emotions": { "lonely": 0.6 },
+ *       "relationships": { "stepfather": 0.8 },
+ *       "names": ["Priya"],
+ *       "medical": ["lithium"]
+ *     },
+ *     "detectors": ["./detectors/employee-ids.js"],
+ *     "span_resolution": { "overlap": "merge", "priorities": { "PII": 1 } }
+ *   }
+ *
+ * Category keys are the RedactionReason keys (PII, SYMPTOM, EMOTION, TRAUMA,
+ * RELATION, MEDICAL). Actions:
+ *   redact       - risk-tiered tag ([REDACTED_HIGH_RISK:...], [REDACTED:...], [ANONYMIZED:...])
+ *   anonymize    - always [ANONYMIZED:...]
+ *   pseudonymize - stable per-session surrogate stored in the token vault
+ *   keep         - leave the text in place
+ *
+ * `generalize` replaces the tag with a coarser description (symptom category,
+ * relationship role, date or age range, drug class); see sanctuai_generalize.js.
+ * `span_resolution` controls how overlapping detections are combined; see
+ * sanctuai_spans.js.
+ *
+ * Detector modules
+ *
+ * Entries in `detectors` are module paths (resolved against the policy file's
+ * directory) or detector objects. A detector looks like:
+ *
+ *   module.exports = {
+ *     name: 'employee-ids',
+ *     category: 'PII',
+ *     detect(text, engine) {
+ *       // return [{ start, end, riskScore, subType?, context? }, ...]
+ *     }
+ *   };
+ *
+ * `start`/`end` are offsets into the original text. Detectors can also be added
+ * at runtime with `SanctuAI#registerDetector(detector)`.
+ *
+ * Role policies
+ *
+ * Transcript redaction (`SanctuAI#redactTranscript`) accepts per-speaker-role
+ * overrides holding `default_action`, `thresholds` and `categories`, layered
+ * on the engine's policy with `RedactionPolicy#withOverrides`.
+ */
+
+class RedactionAction {
+    static REDACT = "redact";
+    static ANONYMIZE = "anonymize";
+    static PSEUDONYMIZE = "pseudonymize";
+    static KEEP = "keep";
+}
+
+const LEXICON_KEYS = ['symptoms', 'emotions', 'relationships', 'names', 'medical'];
+
+class RedactionPolicy {
+    constructor(definition = {}, baseDir = process.cwd()) {
+        this.name = definition.name || 'default';
+        this.defaultAction = definition.default_action || RedactionAction.REDACT;
+        this.thresholds = { high: 0.8, medium: 0.5, ...(definition.thresholds || {}) };
+        this.replaceDefaultLexicons = definition.replace_default_lexicons === true;
+        this.lexicons = definition.lexicons || {};
+        this.baseDir = baseDir;
+
+        this.categories = {};
+        for (const [key, settings] of Object.entries(definition.categories || {})) {
+            this.categories[key.toUpperCase()] = { ...settings };
+        }
+
+        this.detectors = (definition.detectors || []).map(entry => this.resolveDetector(entry));
+        this.spanResolution = {
+            overlap: 'priority',
+            ...(definition.span_resolution || {}),
+            priorities: {}
+        };
+        for (const [key, priority] of Object.entries((definition.span_resolution || {}).priorities || {})) {
+            this.spanResolution.priorities[key.toUpperCase()] = priority;
+        }
+        if (!OVERLAP_MODES.includes(this.spanResolution.overlap)) {
+            throw new Error(`Invalid span_resolution.overlap "${this.spanResolution.overlap}" in policy ${this.name}`);
+        }
+
+        this.assertAction(this.defaultAction, 'default_action');
+        for (const [key, settings] of Object.entries(this.categories)) {
+            if (settings.action !== undefined) {
+                this.assertAction(settings.action, `categories.${key}.action`);
+            }
+            this.assertGeneralization(key, settings);
+        }
+        for (const key of Object.keys(this.lexicons)) {
+            if (!LEXICON_KEYS.includes(key)) {
+                throw new Error(`Unknown lexicon "${key}" in policy ${this.name}`);
+            }
+        }
+    }
+
+    // A copy of this policy with default action, threshold and category
+    // overrides layered on top. Lexicons and detectors are shared, since they
+    // are compiled into the engine once.
+    withOverrides(overrides = {}) {
+        const policy = Object.assign(Object.create(RedactionPolicy.prototype), this, {
+            name: overrides.name || this.name,
+            defaultAction: overrides.default_action || this.defaultAction,
+            thresholds: { ...this.thresholds, ...(overrides.thresholds || {}) },
+            categories: { ...this.categories }
+        });
+        for (const [key, settings] of Object.entries(overrides.categories || {})) {
+            const categoryKey = key.toUpperCase();
+            policy.categories[categoryKey] = { ...(this.categories[categoryKey] || {}), ...settings };
+            if (settings.action !== undefined) {
+                policy.assertAction(settings.action, `categories.${categoryKey}.action`);
+            }
+            policy.assertGeneralization(categoryKey, settings);
+        }
+        policy.assertAction(policy.defaultAction, 'default_action');
+        return policy;
+    }
+
+    // Checks category keys against the engine's redaction reasons
+    validateCategories(validKeys) {
+        for (const key of Object.keys(this.categories)) {
+            if (!validKeys.includes(key)) {
+                throw new Error(`Unknown redaction category "${key}" in policy ${this.name}`);
+            }
+        }
+        for (const key of Object.keys(this.spanResolution.priorities)) {
+            if (!validKeys.includes(key)) {
+                throw new Error(`Unknown redaction category "${key}" in span_resolution.priorities of policy ${this.name}`);
+            }
+        }
+        for (const detector of this.detectors) {
+            if (!validKeys.includes(String(detector.category).toUpperCase())) {
+                throw new Error(`Detector ${detector.name} uses unknown category "${detector.category}"`);
+            }
+        }
+    }
+
+    isEnabled(categoryKey) {
+        const settings = this.categories[categoryKey];
+        return !settings || settings.enabled !== false;
+    }
+
+    actionFor(categoryKey) {
+        const settings = this.categories[categoryKey];
+        return (settings && settings.action) || this.defaultAction;
+    }
+
+    minRiskFor(categoryKey) {
+        const settings = this.categories[categoryKey];
+        return (settings && settings.min_risk) || 0;
+    }
+
+    thresholdsFor(categoryKey) {
+        const settings = this.categories[categoryKey];
+        return { ...this.thresholds, ...((settings && settings.thresholds) || {}) };
+    }
+
+    // Generalization level for a category (or one of its sub-types), or null
+    // to use the category's action
+    generalizationFor(categoryKey, subType = null) {
+        const settings = this.categories[categoryKey];
+        if (!settings || !settings.generalize) return null;
+        if (typeof settings.generalize === 'string') return settings.generalize;
+        return (subType && settings.generalize[subType]) || null;
+    }
+
+    resolveDetector(entry) {
+        const detector = typeof entry === 'string'
+            ? require(path.resolve(this.baseDir, entry))
+            : entry;
+
+        if (!detector || typeof detector.detect !== 'function' || !detector.name || !detector.category) {
+            throw new Error('Detectors must provide name, category and detect(text, engine)');
+        }
+        return detector;
+    }
+
+    // `generalize` is a level for categories without sub-types and an object
+    // of levels by sub-type for the others
+    assertGeneralization(categoryKey, settings) {
+        if (settings.generalize === undefined) return;
+        const supported = GENERALIZATION_LEVELS[categoryKey];
+        if (!supported) {
+            throw new Error(`Generalization is not supported for ${categoryKey} in policy ${this.name}`);
+        }
+
+        if (Array.isArray(supported)) {
+            if (!supported.includes(settings.generalize)) {
+                throw new Error(`Invalid generalization "${settings.generalize}" for ${categoryKey} in policy ${this.name}`);
+            }
+            return;
+        }
+        if (!settings.generalize || typeof settings.generalize !== 'object') {
+            throw new Error(`categories.${categoryKey}.generalize must map sub-types to levels in policy ${this.name}`);
+        }
+        for (const [subType, level] of Object.entries(settings.generalize)) {
+            const levels = levelsFor(categoryKey, subType);
+            if (!levels) {
+                throw new Error(`Unknown sub-type "${subType}" in categories.${categoryKey}.generalize of policy ${this.name}`);
+            }
+            if (!levels.includes(level)) {
+                throw new Error(`Invalid generalization "${level}" for ${subType} in policy ${this.name}`);
+            }
+        }
+    }
+
+    assertAction(action, field) {
+        if (!Object.values(RedactionAction).includes(action)) {
+            throw new Error(`Invalid action "${action}" for ${field} in policy ${this.name}`);
+        }
+    }
+}
+
+function loadPolicy(source) {
+    if (source instanceof RedactionPolicy) {
+        return source;
+    }
+    if (!source) {
+        return new RedactionPolicy();
+    }
+    if (typeof source !== 'string') {
+        return new RedactionPolicy(source);
+    }
+
+    return new RedactionPolicy(readPolicyFile(source), path.dirname(path.resolve(source)));
+}
+
+function readPolicyFile(file) {
+    const raw = fs.readFileSync(file, 'utf8');
+    if (/\.ya?ml$/i.test(file)) {
+        const yaml = require('js-yaml');
+        return yaml.load(raw);
+    }
+    return JSON.parse(raw);
+}
+
+module.exports = { RedactionPolicy, RedactionAction, loadPolicy, readPolicyFile };
@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const { TokenVault } = require('./sanctuai_vault');
+
+/*
+ * Reviewer decisions
+ *
+ * A reviewer looks at the spans detected in a text and decides on each one:
+ *
+ *   accept         keep the redaction (spans without a decision are accepted)
+ *   reject         leave the text in place, e.g. a false positive like "clean"
+ *   add            redact a span the detectors missed, in a given category
+ *   recategorize   keep the redaction under another category
+ *
+ * Decisions address spans by their start/end offsets in the original text.
+ * Rejections and additions can also be kept in an organization's allow and
+ * deny lists, so later redactions for that organization skip allowed terms and
+ * always redact denied ones.
+ */
+
+class ReviewAction {
+    static ACCEPT = "accept";
+    static REJECT = "reject";
+    static ADD = "add";
+    static RECATEGORIZE = "recategorize";
+}
+
+// Risk score of spans a reviewer marked, and of deny-list matches
+const REVIEWED_RISK = 0.9;
+
+// Applies `decisions` to the resolved spans of `text`. `reasons` maps category
+// keys to RedactionReason values; `createSpan(start, end, reason, subType)`
+// builds the span for an added redaction. Returns the spans to redact, in text
+// order, and each decision with the text and reasons (before and after) it
+// applied to.
+function applyDecisions(spans, decisions, { text, reasons, createSpan }) {
+    if (!Array.isArray(decisions)) {
+        throw new Error('decisions must be an array');
+    }
+
+    let result = spans.map(span => ({ ...span }));
+    const applied = [];
+    const actions = Object.values(ReviewAction);
+    const reasonFor = (category, index) => {
+        const key = String(category || '').toUpperCase();
+        if (!reasons.hasOwnProperty(key)) {
+            throw new Error(`Decision ${index + 1}: unknown category "${category}"`);
+        }
+        return reasons[key];
+    };
+
+    decisions.forEach((decision, index) => {
+        const { action, start, end, category = null, sub_type: subType = null } = decision || {};
+        if (!actions.includes(action)) {
+            throw new Error(`Decision ${index + 1}: unknown action "${action}"`);
+        }
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end > text.length || start >= end) {
+            throw new Error(`Decision ${index + 1}: invalid span ${start}-${end}`);
+        }
+
+        if (action === ReviewAction.ADD) {
+            const reason = reasonFor(category, index);
+            // A manual span replaces whatever was detected inside or across it
+            result = result.filter(span => span.end <= start || span.start >= end);
+            result.push({ ...createSpan(start, end, reason, subType), reviewDecision: action });
+            applied.push({
+                action,
+                start,
+                end,
+                text: text.substring(start, end),
+                reason,
+                sub_type: subType,
+                previous_reason: null
+            });
+            return;
+        }
+
+        const span = result.find(candidate => candidate.start === start && candidate.end === end);
+        if (!span) {
+            throw new Error(`Decision ${index + 1}: no detected span at ${start}-${end}`);
+        }
+        const previousReason = span.reason;
+
+        if (action === ReviewAction.REJECT) {
+            result = result.filter(candidate => candidate !== span);
+        } else if (action === ReviewAction.RECATEGORIZE) {
+            span.reason = reasonFor(category, index);
+            span.subType = subType;
+            span.attributes = {};
+            span.reviewDecision = action;
+        } else {
+            span.reviewDecision = action;
+        }
+
+        applied.push({
+            action,
+            start,
+            end,
+            text: span.text,
+            reason: action === ReviewAction.REJECT ? null : span.reason,
+            sub_type: action === ReviewAction.RECATEGORIZE ? subType : span.subType || null,
+            previous_reason: previousReason
+        });
+    });
+
+    return { spans: result.sort((a, b) => a.start - b.start), applied };
+}
+
+/*
+ * Allow and deny lists per organization. Terms match case-insensitively as
+ * whole words; a term is on at most one of the two lists. Deny-list terms are
+ * mostly names the detectors missed, so the lists are only stored encrypted,
+ * as one AES-256-GCM entry in a TokenVault of their own.
+ */
+class OrganizationLists {
+    constructor(options = {}) {
+        this.categories = options.categories || null;
+        this.organizations = new Map();
+        this.vault = options.vault || new TokenVault({
+            key: options.key,
+            storagePath: options.storagePath
+        });
+
+        const stored = this.vault.load('organizations');
+        if (stored) {
+            for (const [organizationId, lists] of Object.entries(stored)) {
+                this.organizations.set(organizationId, {
+                    allow: new Map((lists.allow || []).map(item => [item.term.toLowerCase(), item])),
+                    deny: new Map((lists.deny || []).map(item => [item.term.toLowerCase(), item]))
+                });
+            }
+        }
+    }
+
+    listsOf(organizationId, create = false) {
+        if (!organizationId) {
+            throw new Error('An organization id is required');
+        }
+        let lists = this.organizations.get(organizationId);
+        if (!lists && create) {
+            lists = { allow: new Map(), deny: new Map() };
+            this.organizations.set(organizationId, lists);
+        }
+        return lists || null;
+    }
+
+    normalize(term) {
+        const normalized = typeof term === 'string' ? term.trim() : '';
+        if (normalized === '') {
+            throw new Error('List terms must be non-empty strings');
+        }
+        return normalized;
+    }
+
+    allow(organizationId, term, addedBy = null) {
+        term = this.normalize(term);
+        const lists = this.listsOf(organizationId, true);
+        const item = { term, added_by: addedBy, added_at: new Date().toISOString() };
+        lists.deny.delete(term.toLowerCase());
+        lists.allow.set(term.toLowerCase(), item);
+        this.persist();
+        return item;
+    }
+
+    deny(organizationId, term, category, { subType = null, addedBy = null } = {}) {
+        term = this.normalize(term);
+        const key = String(category || '').toUpperCase();
+        if (this.categories && !this.categories.includes(key)) {
+            throw new Error(`Unknown data category "${category}"`);
+        }
+        const lists = this.listsOf(organizationId, true);
+        const item = { term, category: key, sub_type: subType, added_by: addedBy, added_at: new Date().toISOString() };
+        lists.allow.delete(term.toLowerCase());
+        lists.deny.set(term.toLowerCase(), item);
+        this.persist();
+        return item;
+    }
+
+    // Removes a term from whichever list holds it
+    remove(organizationId, term) {
+        const lists = this.listsOf(organizationId);
+        const key = this.normalize(term).toLowerCase();
+        const removed = lists !== null && (lists.allow.delete(key) || lists.deny.delete(key));
+        if (removed) this.persist();
+        return removed;
+    }
+
+    isAllowed(organizationId, text) {
+        const lists = organizationId ? this.organizations.get(organizationId) : null;
+        return Boolean(lists && lists.allow.has(text.trim().toLowerCase()));
+    }
+
+    denied(organizationId) {
+        const lists = organizationId ? this.organizations.get(organizationId) : null;
+        return lists ? Array.from(lists.deny.values()) : [];
+    }
+
+    listsFor(organizationId) {
+        const lists = this.listsOf(organizationId);
+        return {
+            organization_id: organizationId,
+            allow: lists ? Array.from(lists.allow.values()) : [],
+            deny: lists ? Array.from(lists.deny.values()) : []
+        };
+    }
+
+    // The lists with each term replaced by a keyed digest, for callers who
+    // may see which terms are listed but not the terms themselves
+    digestsFor(organizationId) {
+        const digest = ({ term, ...item }) => ({
+            ...item,
+            term_digest: crypto.createHmac('sha256', this.vault.key).update(term.toLowerCase()).digest('hex')
+        });
+        const { allow, deny } = this.listsFor(organizationId);
+        return { organization_id: organizationId, allow: allow.map(digest), deny: deny.map(digest) };
+    }
+
+    persist() {
+        const organizations = {};
+        for (const organizationId of this.organizations.keys()) {
+            const { allow, deny } = this.listsFor(organizationId);
+            organizations[organizationId] = { allow, deny };
+        }
+        this.vault.store('organizations', organizations);
+    }
+}
+
+module.exports = { ReviewAction, OrganizationLists, applyDecisions, REVIEWED_RISK };
@@ -0,0 +1,307 @@
+const compromise = require('compromise');
+const { PIIDetector, PIIType } = require('./sanctuai_pii');
+const { MedicalType } = require('./sanctuai_medical');
+const { LexiconMatcher } = require('./sanctuai_matcher');
+
+/*
+ * Residual re-identification risk
+ *
+ * Looks at redacted output rather than at what was removed. Details that are
+ * harmless alone but identifying together (quasi-identifiers: age, location,
+ * occupation, dates, a rare diagnosis) are combined into a k-anonymity style
+ * estimate: how many people in a reference population would share all of them.
+ * Identifiers left in full (an email address, a phone number) mean k = 1, and
+ * capitalized or rare words left in place raise the risk further, since they
+ * are often names or places the detectors missed.
+ *
+ * The selectivities are coarse population shares, good enough to rank
+ * documents and explain why one is riskier than another; they are not a
+ * formal disclosure-control model.
+ */
+
+const DEFAULT_POPULATION = 1000000;
+
+// Share of the population expected to match each quasi-identifier
+const SELECTIVITY = {
+    age: { exact: 1 / 70, range: 1 / 7, top: 1 / 100 },
+    birth_date: { day: 1 / 25000, month: 1 / 840, year: 1 / 70, decade: 1 / 7 },
+    date: { day: 1 / 365, month: 1 / 12, year: 1 / 5, decade: 1 },
+    location: { place: 1 / 100, postcode: 1 / 10000 },
+    occupation: { exact: 1 / 50 },
+    diagnosis: { rare: 1 / 1000, code: 1 / 50, block: 1 / 10 }
+};
+
+// Identifiers that single a person out on their own
+const DIRECT_IDENTIFIERS = [
+    PIIType.EMAIL, PIIType.PHONE, PIIType.ADDRESS, PIIType.SSN, PIIType.NHS_NUMBER,
+    PIIType.MEDICAL_RECORD, PIIType.CREDIT_CARD, PIIType.URL, PIIType.SOCIAL_HANDLE, PIIType.IP_ADDRESS
+];
+
+// Weight of each flagged token in the combined risk
+const TOKEN_WEIGHTS = { capitalized: 0.15, rare: 0.05 };
+
+const OCCUPATIONS = [
+    'nurse', 'doctor', 'physician', 'surgeon', 'paramedic', 'pharmacist', 'dentist', 'midwife',
+    'teacher', 'professor', 'lecturer', 'headteacher', 'principal', 'student', 'librarian',
+    'lawyer', 'solicitor', 'barrister', 'judge', 'police officer', 'detective', 'firefighter',
+    'soldier', 'pilot', 'flight attendant', 'engineer', 'software developer', 'programmer',
+    'architect', 'accountant', 'banker', 'cashier', 'receptionist', 'secretary', 'manager',
+    'chef', 'cook', 'waiter', 'waitress', 'bartender', 'barista', 'cleaner', 'janitor',
+    'electrician', 'plumber', 'carpenter', 'mechanic', 'builder', 'farmer', 'fisherman',
+    'driver', 'bus driver', 'truck driver', 'taxi driver', 'courier', 'postman', 'hairdresser',
+    'journalist', 'reporter', 'photographer', 'artist', 'musician', 'actor', 'actress', 'writer',
+    'social worker', 'care worker', 'carer', 'priest', 'pastor', 'imam', 'rabbi', 'vet',
+    'veterinarian', 'scientist', 'researcher', 'consultant', 'salesman', 'shop assistant',
+    'athlete', 'coach', 'personal trainer', 'councillor', 'politician', 'mayor', 'ceo'
+];
+
+// Conditions rare enough to narrow a population sharply
+const RARE_CONDITIONS = [
+    'dissociative identity disorder', 'multiple personality', 'tourette', "tourette's",
+    'trichotillomania', 'dermatillomania', 'selective mutism', 'pica', 'capgras',
+    'cotard', 'body integrity identity disorder', 'conversion disorder', 'factitious disorder',
+    'munchausen', 'catatonia', 'schizoaffective', 'delusional disorder', 'huntington',
+    "huntington's", 'narcolepsy', 'kleptomania', 'pyromania', 'anorexia nervosa',
+    'avoidant restrictive food intake disorder', 'arfid', 'gender dysphoria', 'fragile x',
+    'prader-willi', 'williams syndrome', 'klinefelter', 'turner syndrome', 'rett syndrome',
+    'foreign accent syndrome', 'alien hand syndrome', 'clozapine-resistant'
+];
+
+// Bracketed replacements (tags, surrogate labels, generalizations)
+const REPLACEMENT_PATTERN = /\[[^\[\]\n]{1,80}\]/g;
+
+const RARE_MIN_LENGTH = 6;
+
+class ResidualRiskAnalyzer {
+    constructor(options = {}) {
+        this.population = options.population || DEFAULT_POPULATION;
+        this.piiDetector = options.piiDetector || new PIIDetector();
+        this.lexicon = compromise.world().model.one.lexicon;
+
+        this.matcher = new LexiconMatcher();
+        for (const occupation of OCCUPATIONS) {
+            this.matcher.add(occupation, { type: 'occupation', specificity: 'exact' });
+        }
+        for (const condition of RARE_CONDITIONS) {
+            this.matcher.add(condition, { type: 'diagnosis', specificity: 'rare' });
+        }
+        this.matcher.compile();
+    }
+
+    // `entries` are the redaction entries behind `text` (with output offsets);
+    // without them any bracketed text is taken to be a replacement
+    analyze(text, entries = []) {
+        const masked = this.maskReplacements(text, entries);
+        const quasiIdentifiers = [
+            ...this.generalizedIdentifiers(entries),
+            ...this.visibleIdentifiers(masked)
+        ];
+        const directIdentifiers = this.piiDetector.detect(masked)
+            .filter(pii => DIRECT_IDENTIFIERS.includes(pii.subType))
+            .map(({ text: value, start, end, subType }) => ({ type: subType, text: value, start, end }));
+        const flaggedTokens = this.flaggedTokens(masked, quasiIdentifiers);
+
+        // Each kind of quasi-identifier counts once, at its most specific
+        const strongest = new Map();
+        for (const qi of quasiIdentifiers) {
+            const current = strongest.get(qi.type);
+            if (!current || qi.selectivity < current.selectivity) strongest.set(qi.type, qi);
+        }
+        const share = Array.from(strongest.values()).reduce((product, qi) => product * qi.selectivity, 1);
+        const kEstimate = directIdentifiers.length > 0 ? 1 : Math.max(1, Math.floor(this.population * share));
+
+        let keep = 1 - 1 / kEstimate;
+        for (const token of flaggedTokens) {
+            keep *= 1 - TOKEN_WEIGHTS[token.kind];
+        }
+        const score = Math.round((1 - keep) * 100);
+
+        return {
+            score,
+            level: score >= 50 ? 'high' : score >= 20 ? 'moderate' : 'low',
+            k_estimate: kEstimate,
+            population: this.population,
+            quasi_identifiers: quasiIdentifiers,
+            direct_identifiers: directIdentifiers,
+            flagged_tokens: flaggedTokens,
+            reasons: this.reasons(kEstimate, Array.from(strongest.values()), directIdentifiers, flaggedTokens)
+        };
+    }
+
+    // The text with every replacement blanked out, offsets unchanged
+    maskReplacements(text, entries) {
+        const ranges = entries
+            .filter(entry => entry.strategy !== 'release' && entry.output_start_pos !== null && entry.output_start_pos !== undefined)
+            .map(entry => [entry.output_start_pos, entry.output_end_pos]);
+        if (entries.length === 0) {
+            let match;
+            const pattern = new RegExp(REPLACEMENT_PATTERN.source, REPLACEMENT_PATTERN.flags);
+            while ((match = pattern.exec(text)) !== null) {
+                ranges.push([match.index, match.index + match[0].length]);
+            }
+        }
+
+        let masked = '';
+        let cursor = 0;
+        for (const [start, end] of ranges.sort((a, b) => a[0] - b[0])) {
+            if (start < cursor) continue;
+            masked += text.substring(cursor, start) + ' '.repeat(end - start);
+            cursor = end;
+        }
+        return masked + text.substring(cursor);
+    }
+
+    // Generalized spans still narrow the population, at their coarser level
+    generalizedIdentifiers(entries) {
+        const found = [];
+        for (const entry of entries) {
+            if (entry.strategy !== 'generalize') continue;
+            const qi = generalizedQuasiIdentifier(entry);
+            if (qi) {
+                found.push({
+                    ...qi,
+                    text: entry.redacted_text,
+                    start: entry.output_start_pos,
+                    end: entry.output_end_pos,
+                    selectivity: SELECTIVITY[qi.type][qi.specificity],
+                    generalized: true
+                });
+            }
+        }
+        return found;
+    }
+
+    visibleIdentifiers(masked) {
+        const found = [];
+        const add = (type, specificity, value, start) => found.push({
+            type,
+            specificity,
+            text: value,
+            start,
+            end: start + value.length,
+            selectivity: SELECTIVITY[type][specificity],
+            generalized: false
+        });
+
+        for (const pii of this.piiDetector.detect(masked)) {
+            if (pii.subType === PIIType.AGE) {
+                add('age', Number(pii.text) >= 90 ? 'top' : 'exact', pii.text, pii.start);
+            } else if (pii.subType === PIIType.DATE_OF_BIRTH) {
+                add('birth_date', 'day', pii.text, pii.start);
+            } else if (pii.subType === PIIType.DATE) {
+                add('date', 'day', pii.text, pii.start);
+            } else if (pii.subType === PIIType.POSTCODE) {
+                add('location', 'postcode', pii.text, pii.start);
+            }
+        }
+
+        for (const { start, end, entry } of this.matcher.scan(masked)) {
+            add(entry.payload.type, entry.payload.specificity, masked.substring(start, end), start);
+        }
+
+        for (const term of this.terms(masked)) {
+            if (term.tags.includes('Place')) {
+                add('location', 'place', term.text, term.start);
+            }
+        }
+        return found;
+    }
+
+    // Capitalized words that are not sentence starts, and words unknown to the
+    // lexicon; both are often names, places or rare details left behind
+    flaggedTokens(masked, quasiIdentifiers) {
+        const covered = (start, end) => quasiIdentifiers.some(qi => start < qi.end && end > qi.start);
+        const flagged = [];
+
+        for (const term of this.terms(masked)) {
+            if (!/^\p{L}[\p{L}'’-]*$/u.test(term.text) || covered(term.start, term.end)) continue;
+
+            const capitalized = /^\p{Lu}/u.test(term.text) && !/^\p{Lu}+$/u.test(term.text);
+            if (capitalized && !term.sentenceStart && !term.tags.some(tag => ['Date', 'Pronoun'].includes(tag))) {
+                flagged.push({ kind: 'capitalized', text: term.text, start: term.start, end: term.end });
+            } else if (!capitalized && term.text.length >= RARE_MIN_LENGTH && !this.isKnownWord(term)) {
+                flagged.push({ kind: 'rare', text: term.text, start: term.start, end: term.end });
+            }
+        }
+        return flagged;
+    }
+
+    // Known to the lexicon, directly or by a simple plural or verb root;
+    // hyphenated words when each part is
+    isKnownWord(term) {
+        const known = word => [word, word.replace(/ies$/, 'y'), word.replace(/e?s$/, '')]
+            .some(form => this.lexicon[form] !== undefined);
+        if (term.root && this.lexicon[term.root] !== undefined) return true;
+        return term.normal.split(/[-‐]/).filter(Boolean).every(known);
+    }
+
+    // Terms with offsets, cached for the latest text
+    terms(masked) {
+        if (this.lastTerms && this.lastTerms.text === masked) return this.lastTerms.terms;
+
+        const document = compromise(masked);
+        document.compute('root');
+        const terms = [];
+        for (const sentence of document.json({ offset: true })) {
+            sentence.terms.forEach((term, i) => {
+                if (!term.offset || term.offset.length === 0) return;
+                terms.push({
+                    text: term.text,
+                    normal: term.normal,
+                    root: term.root || null,
+                    tags: term.tags,
+                    start: term.offset.start,
+                    end: term.offset.start + term.offset.length,
+                    sentenceStart: i === 0
+                });
+            });
+        }
+        this.lastTerms = { text: masked, terms };
+        return terms;
+    }
+
+    reasons(kEstimate, quasiIdentifiers, directIdentifiers, flaggedTokens) {
+        const reasons = [];
+        for (const identifier of directIdentifiers) {
+            reasons.push(`Unredacted ${identifier.type.replace(/_/g, ' ')} "${identifier.text}" identifies the person directly`);
+        }
+        for (const qi of quasiIdentifiers) {
+            const share = Math.round(1 / qi.selectivity);
+            reasons.push(`${qi.generalized ? 'Generalized' : 'Unredacted'} ${qi.type.replace(/_/g, ' ')} "${qi.text}" ` +
+                `is shared by about 1 in ${share.toLocaleString('en-US')} people`);
+        }
+        for (const kind of Object.keys(TOKEN_WEIGHTS)) {
+            const tokens = flaggedTokens.filter(token => token.kind === kind);
+            if (tokens.length > 0) {
+                const words = [...new Set(tokens.map(token => token.text))].join(', ');
+                reasons.push(kind === 'capitalized'
+                    ? `${tokens.length} capitalized word(s) left in place may be names or places: ${words}`
+                    : `${tokens.length} uncommon word(s) left in place may narrow the population: ${words}`);
+            }
+        }
+        if (quasiIdentifiers.length > 0 || directIdentifiers.length > 0) {
+            reasons.push(`About ${kEstimate.toLocaleString('en-US')} of ${this.population.toLocaleString('en-US')} people ` +
+                'would match every remaining identifier');
+        }
+        return reasons;
+    }
+}
+
+function generalizedQuasiIdentifier(entry) {
+    const level = entry.generalization;
+    switch (entry.sub_type) {
+        case PIIType.AGE:
+            return { type: 'age', specificity: entry.redacted_text === '[90+]' ? 'top' : 'range' };
+        case PIIType.DATE_OF_BIRTH:
+            return { type: 'birth_date', specificity: level };
+        case PIIType.DATE:
+        case MedicalType.APPOINTMENT:
+            return { type: 'date', specificity: level };
+        case MedicalType.DIAGNOSIS_CODE:
+            return { type: 'diagnosis', specificity: level === 'category' ? 'code' : 'block' };
+        default:
+            return null;
+    }
+}
+
+module.exports = { ResidualRiskAnalyzer, DEFAULT_POPULATION };
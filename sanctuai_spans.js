@@ -0,0 +1,177 @@
+/*
+ * Span resolution
+ *
+ * Candidates from every detector are resolved into non-overlapping spans
+ * before anything is replaced, and replacements are applied against the
+ * unchanged original text, so every entry can report its offsets in both the
+ * original and the redacted text.
+ *
+ * Policies configure overlaps through `span_resolution`:
+ *
+ *   "span_resolution": {
+ *     "overlap": "priority",
+ *     "priorities": { "PII": 2, "MEDICAL": 1 }
+ *   }
+ *
+ *   priority - keep the highest-ranked span of each overlapping group. Spans
+ *              wholly inside a kept span are nested under it; a span that only
+ *              partly overlaps it widens it to their union, so none of the
+ *              span's text stays visible.
+ *   merge    - replace each overlapping group with one span covering all of
+ *              it, labelled by the group's highest-ranked member.
+ *
+ * Spans rank by category priority (default 0), then risk score, then length,
+ * then position.
+ */
+
+const OVERLAP_MODES = ['priority', 'merge'];
+
+class SpanResolver {
+    constructor(options = {}) {
+        this.overlap = options.overlap || 'priority';
+        this.priorities = options.priorities || {};
+        this.categoryOf = options.categoryOf || (span => span.category);
+
+        if (!OVERLAP_MODES.includes(this.overlap)) {
+            throw new Error(`Unknown overlap mode "${this.overlap}"`);
+        }
+    }
+
+    // Negative when span a outranks span b
+    compare(a, b) {
+        return this.ranking(a, b).order;
+    }
+
+    // The comparison and the criterion that decided it: priority, risk_score,
+    // length or position
+    ranking(a, b) {
+        const priority = (this.priorities[this.categoryOf(b)] || 0) - (this.priorities[this.categoryOf(a)] || 0);
+        if (priority !== 0) return { order: priority, criterion: 'priority' };
+        if (b.riskScore !== a.riskScore) return { order: b.riskScore - a.riskScore, criterion: 'risk_score' };
+        if ((b.end - b.start) !== (a.end - a.start)) {
+            return { order: (b.end - b.start) - (a.end - a.start), criterion: 'length' };
+        }
+        return { order: a.start - b.start, criterion: 'position' };
+    }
+
+    // Groups of spans connected by overlaps, in text order
+    clusters(candidates) {
+        const sorted = [...candidates].sort((a, b) => a.start - b.start || b.end - a.end);
+        const clusters = [];
+        let current = null;
+        let clusterEnd = -1;
+
+        for (const span of sorted) {
+            if (span.end <= span.start) continue;
+            if (current && span.start < clusterEnd) {
+                current.push(span);
+                clusterEnd = Math.max(clusterEnd, span.end);
+            } else {
+                current = [span];
+                clusters.push(current);
+                clusterEnd = span.end;
+            }
+        }
+        return clusters;
+    }
+
+    // Non-overlapping spans in ascending order. Each carries `overlapping`:
+    // the candidates it absorbed, each tagged nested or merged.
+    resolve(candidates, text) {
+        const resolved = [];
+        for (const cluster of this.clusters(candidates)) {
+            const ranked = [...cluster].sort((a, b) => this.compare(a, b));
+            if (ranked.length === 1) {
+                resolved.push({ ...ranked[0], overlapping: [] });
+            } else if (this.overlap === 'merge') {
+                resolved.push(this.merge(ranked, text));
+            } else {
+                resolved.push(...this.pick(ranked, text));
+            }
+        }
+        return resolved.sort((a, b) => a.start - b.start);
+    }
+
+    pick(ranked, text) {
+        let kept = [];
+        for (const span of ranked) {
+            const overlaps = kept.filter(other => span.start < other.end && span.end > other.start);
+            if (overlaps.length === 0) {
+                kept.push({ ...span, overlapping: [] });
+                continue;
+            }
+            const outer = overlaps.find(other => span.start >= other.start && span.end <= other.end);
+            if (outer) {
+                outer.overlapping.push(summarize(span, 'nested', this.ranking(outer, span).criterion));
+                continue;
+            }
+
+            // Kept spans are in rank order, so the first overlap owns the
+            // union; any other kept span it now covers is merged into it
+            const [owner, ...absorbed] = overlaps;
+            owner.start = Math.min(span.start, ...overlaps.map(other => other.start));
+            owner.end = Math.max(span.end, ...overlaps.map(other => other.end));
+            owner.text = text.substring(owner.start, owner.end);
+            owner.riskScore = Math.max(span.riskScore, ...overlaps.map(other => other.riskScore));
+            owner.overlapping.push(summarize(span, 'merged', this.ranking(owner, span).criterion));
+            for (const other of absorbed) {
+                owner.overlapping.push(summarize(other, 'merged', this.ranking(owner, other).criterion), ...other.overlapping);
+            }
+            kept = kept.filter(other => !absorbed.includes(other));
+        }
+        return kept;
+    }
+
+    merge(ranked, text) {
+        const [top, ...rest] = ranked;
+        const start = Math.min(...ranked.map(span => span.start));
+        const end = Math.max(...ranked.map(span => span.end));
+        return {
+            ...top,
+            start,
+            end,
+            text: text.substring(start, end),
+            riskScore: Math.max(...ranked.map(span => span.riskScore)),
+            overlapping: rest.map(span => summarize(span, 'merged', this.ranking(top, span).criterion))
+        };
+    }
+}
+
+// `decidedBy` is the ranking criterion by which the kept span won
+function summarize(span, resolution, decidedBy) {
+    return {
+        text: span.text,
+        start_pos: span.start,
+        end_pos: span.end,
+        reason: span.reason,
+        sub_type: span.subType || null,
+        risk_score: span.riskScore,
+        detector: span.detector || null,
+        resolution,
+        decided_by: decidedBy
+    };
+}
+
+// Builds the output from the original and non-overlapping ascending
+// replacements ({ start, end, replacement }), returning the output offsets
+// of each replacement
+function applyReplacements(original, replacements) {
+    let output = '';
+    let cursor = 0;
+    const offsets = [];
+
+    for (const { start, end, replacement } of replacements) {
+        if (start < cursor) {
+            throw new Error(`Replacement at ${start} overlaps the previous one`);
+        }
+        output += original.substring(cursor, start);
+        offsets.push({ output_start: output.length, output_end: output.length + replacement.length });
+        output += replacement;
+        cursor = end;
+    }
+    output += original.substring(cursor);
+
+    return { text: output, offsets };
+}
+
+module.exports = { SpanResolver, applyReplacements, OVERLAP_MODES };
@@ -0,0 +1,247 @@
+const crypto = require('crypto');
+const { FAKE_FIRST_NAMES, FAKE_LAST_NAMES } = require('./sanctuai_vault');
+
+/*
+ * Synthetic notes with ground-truth annotations
+ *
+ * Documents are built from sentence templates whose slots are filled from the
+ * engine's own lexicons (symptoms, emotions, relationships, medical terms) and
+ * from fake identities, so every sensitive span is known:
+ *
+ *   { id, kind, text, annotations: [{ start, end, text, category }] }
+ *
+ * A category is a list when the term belongs to several lexicons. The output
+ * of corpus() is an evaluation corpus (node evaluation/evaluate.js <file>),
+ * and its documents can be posted to /redact/batch or, one per line, to
+ * /redact/stream as they are.
+ *
+ * Generation is deterministic: document i of a seed is always the same,
+ * whatever the count, as long as the lexicons do not change. Names, e-mail
+ * domains (example.com) and phone numbers (555-01xx) are fictional.
+ */
+
+const DOCUMENT_KINDS = ['therapy_note', 'journal', 'crisis_chat'];
+
+// Slots: {client} and {other} are full names, {client_first} and
+// {other_first} first names; {email}, {phone}, {date}, {appointment} (a date
+// after appointment wording); {symptom}, {emotion}, {relation}, {medical}.
+// The fixed wording avoids lexicon terms so it never needs annotations.
+const TEMPLATES = {
+    therapy_note: {
+        opening: [
+            'Appointment with {client} on {appointment}.',
+            'Notes for {client}, seen {appointment}.'
+        ],
+        body: [
+            'Client reports ongoing {symptom} and feeling {emotion} most days.',
+            '{client_first} described a conflict with their {relation} over the weekend.',
+            'We talked about {medical} and the client agreed to continue.',
+            'Their {relation} has been supportive, although {client_first} still feels {emotion}.',
+            '{client_first} mentioned {symptom} when talking about the office.',
+            'Client said {other} from the neighborhood has noticed the {symptom}.',
+            'The client feels {emotion} after calls with their {relation}.',
+            'Sleep is poor; {client_first} links it to {symptom}.'
+        ],
+        closing: [
+            'Next steps: follow up on the {symptom} and discuss {medical} at the next visit.',
+            'Contact details on file: {phone}, {email}.',
+            'Client can be reached at {phone}.'
+        ]
+    },
+    journal: {
+        opening: [
+            'Journal, {date}.',
+            'Written on {date}.',
+            'Another long day.'
+        ],
+        body: [
+            'I felt {emotion} all morning and could not focus.',
+            'My {relation} called and all I could think about was the {symptom}.',
+            '{other_first} says I should talk to someone about the {symptom}.',
+            'I keep feeling {emotion} around my {relation}.',
+            'Maybe {medical} is helping, maybe not.',
+            'I texted {other} at {phone} but got no answer.',
+            'The {symptom} came back on the bus home.',
+            'Wrote to {other_first} about the week from {email}.'
+        ],
+        closing: [
+            'Tomorrow I will try again.',
+            'Going to bed early.',
+            'I hope next week is better.'
+        ]
+    },
+    crisis_chat: {
+        opening: [
+            'Client: I feel so {emotion} tonight and I do not know what to do.',
+            'Client: Hi, is anyone there? I am {emotion}.'
+        ],
+        body: [
+            'Responder: I am here with you. Can you tell me more about the {symptom}?',
+            'Client: My {relation} walked out and {other_first} will not answer.',
+            'Client: The {symptom} is back and it keeps getting worse.',
+            'Responder: Is your {relation} nearby, or someone you trust?',
+            'Client: I have not kept up with {medical} since last month.',
+            'Client: My name is {client}, you can call me at {phone}.',
+            'Responder: That sounds really hard. When did the {symptom} start?',
+            'Client: I just feel {emotion} all the time.'
+        ],
+        closing: [
+            'Responder: Thank you for reaching out. Can we make a plan together for tonight?',
+            'Client: Okay. I will stay on the line.'
+        ]
+    }
+};
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August',
+    'September', 'October', 'November', 'December'];
+const AREA_CODES = ['202', '312', '415', '617', '718', '206'];
+
+// Deterministic 32-bit generator (mulberry32) seeded from any string
+function randomSource(seed) {
+    let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function capitalize(word) {
+    return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+class SyntheticGenerator {
+    // `engine` is a SanctuAI instance whose lexicons fill the slots
+    constructor(engine, options = {}) {
+        this.seed = options.seed === undefined ? 1 : String(options.seed);
+
+        const symptoms = Object.values(engine.symptomPatterns).flat();
+        const lexicons = {
+            SYMPTOM: symptoms,
+            EMOTION: Object.keys(engine.emotionPatterns),
+            RELATION: Object.keys(engine.relationshipPatterns),
+            MEDICAL: engine.medicalTerms
+        };
+        // Term -> every category whose lexicon holds it
+        this.categories = new Map();
+        for (const [category, terms] of Object.entries(lexicons)) {
+            for (const term of terms) {
+                const key = term.toLowerCase();
+                this.categories.set(key, [...(this.categories.get(key) || []), category]);
+            }
+        }
+        this.terms = {
+            symptom: [...new Set(symptoms)],
+            emotion: lexicons.EMOTION,
+            relation: lexicons.RELATION,
+            medical: lexicons.MEDICAL
+        };
+        for (const [lexicon, terms] of Object.entries(this.terms)) {
+            if (terms.length === 0) {
+                throw new Error(`SyntheticGenerator needs a non-empty ${lexicon} lexicon`);
+            }
+        }
+        this.firstNames = [...new Set([...Array.from(engine.commonNames).filter(name => /^[a-z]+$/.test(name)).map(capitalize), ...FAKE_FIRST_NAMES])];
+    }
+
+    identity(pick) {
+        const first = pick(this.firstNames);
+        const last = pick(FAKE_LAST_NAMES);
+        return { first, full: `${first} ${last}`, last };
+    }
+
+    date(random, pick) {
+        const day = 1 + Math.floor(random() * 28);
+        const year = 2020 + Math.floor(random() * 6);
+        return random() < 0.5
+            ? `${pick(MONTHS)} ${day}, ${year}`
+            : `${String(1 + Math.floor(random() * 12)).padStart(2, '0')}/${String(day).padStart(2, '0')}/${year}`;
+    }
+
+    // Document `index` (from 0) of the given kind
+    document(kind, index) {
+        if (!DOCUMENT_KINDS.includes(kind)) {
+            throw new Error(`Unknown document kind "${kind}"; expected one of ${DOCUMENT_KINDS.join(', ')}`);
+        }
+        const random = randomSource(`${this.seed}:${kind}:${index}`);
+        const pick = list => list[Math.floor(random() * list.length)];
+
+        const client = this.identity(pick);
+        const other = this.identity(pick);
+        const email = `${client.first}.${client.last}${Math.floor(random() * 90) + 10}@example.com`.toLowerCase();
+        const phone = `${pick(AREA_CODES)}-555-01${String(Math.floor(random() * 100)).padStart(2, '0')}`;
+
+        const templates = TEMPLATES[kind];
+        const bodyCount = 3 + Math.floor(random() * 3);
+        const body = [...templates.body].sort(() => random() - 0.5).slice(0, bodyCount);
+        const sentences = [pick(templates.opening), ...body, pick(templates.closing)];
+        const separator = kind === 'crisis_chat' ? '\n' : ' ';
+
+        let text = '';
+        const annotations = [];
+        const fill = (value, category) => {
+            annotations.push({ start: text.length, end: text.length + value.length, text: value, category });
+            text += value;
+        };
+        const slots = {
+            client: () => fill(client.full, 'PII'),
+            client_first: () => fill(client.first, 'PII'),
+            other: () => fill(other.full, 'PII'),
+            other_first: () => fill(other.first, 'PII'),
+            email: () => fill(email, 'PII'),
+            phone: () => fill(phone, 'PII'),
+            date: () => fill(this.date(random, pick), 'PII'),
+            appointment: () => fill(this.date(random, pick), ['PII', 'MEDICAL'])
+        };
+        for (const lexicon of Object.keys(this.terms)) {
+            slots[lexicon] = () => {
+                const term = pick(this.terms[lexicon]);
+                const categories = this.categories.get(term.toLowerCase());
+                fill(term, categories.length === 1 ? categories[0] : categories);
+            };
+        }
+
+        sentences.forEach((sentence, i) => {
+            if (i > 0) text += separator;
+            for (const part of sentence.split(/(\{[a-z_]+\})/)) {
+                const slot = part.match(/^\{([a-z_]+)\}$/);
+                if (slot) {
+                    slots[slot[1]]();
+                } else {
+                    text += part;
+                }
+            }
+        });
+
+        return { id: `${kind}-${index + 1}`, kind, text, annotations };
+    }
+
+    // `count` documents cycling through `kinds`, as an evaluation corpus
+    corpus(options = {}) {
+        const count = options.count === undefined ? 10 : options.count;
+        const kinds = options.kinds || DOCUMENT_KINDS;
+        if (!Number.isInteger(count) || count < 1) {
+            throw new Error('count must be a positive integer');
+        }
+        for (const kind of kinds) {
+            if (!DOCUMENT_KINDS.includes(kind)) {
+                throw new Error(`Unknown document kind "${kind}"; expected one of ${DOCUMENT_KINDS.join(', ')}`);
+            }
+        }
+
+        const documents = [];
+        for (let i = 0; i < count; i++) {
+            documents.push(this.document(kinds[i % kinds.length], Math.floor(i / kinds.length)));
+        }
+        return {
+            name: options.name || `synthetic-${this.seed}`,
+            description: `Synthetic ${kinds.join(', ')} documents, seed ${this.seed}`,
+            seed: this.seed,
+            documents
+        };
+    }
+}
+
+module.exports = { SyntheticGenerator, DOCUMENT_KINDS };
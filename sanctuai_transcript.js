@@ -0,0 +1,307 @@
+const { readPolicyFile } = require('./sanctuai_policy');
+const { CrisisAssessor, CrisisLevel } = require('./sanctuai_crisis');
+
+// Speaker labels mapped to roles; other labels are a person's name when name
+// detection finds one ("Sarah:"), and otherwise headings such as "Plan:"
+const DEFAULT_ROLES = {
+    therapist: ['therapist', 'counselor', 'counsellor', 'clinician', 'psychologist', 'psychiatrist',
+        'doctor', 'dr', 'provider', 'interviewer', 'nurse', 'social worker', 'facilitator'],
+    client: ['client', 'patient', 'user', 'member', 'participant', 'caller', 'service user']
+};
+
+// "Therapist: ...", "Client [10:32]: ...", "Sarah (14:05): ..."
+const TURN_PREFIX = /^[ \t]*([A-Za-z][\w .'-]{0,40}?)[ \t]*(?:[[(]([\d:]{4,8}(?:\s?[AP]M)?)[\])])?[ \t]*:[ \t]?/i;
+
+const SPEAKER_FIELDS = ['speaker', 'role', 'author', 'from', 'sender', 'name'];
+const TEXT_FIELDS = ['text', 'message', 'content', 'body', 'utterance'];
+const TIMESTAMP_FIELDS = ['timestamp', 'time', 'created_at', 'sent_at', 'date'];
+
+// A transcript that cannot be parsed (a client error, unlike a failing detector)
+class TranscriptError extends Error {}
+
+class TranscriptRedactor {
+    constructor(engine, options = {}) {
+        this.engine = engine;
+        // Boolean flag or { subjectId, purpose }, as for SanctuAI#redactText
+        this.consent = options.consent !== undefined ? options.consent : options.consentGiven === true;
+        this.fields = options.fields || {};
+
+        this.roles = {};
+        for (const [role, labels] of Object.entries({ ...DEFAULT_ROLES, ...(options.roles || {}) })) {
+            for (const label of labels) {
+                this.roles[label.toLowerCase()] = role;
+            }
+        }
+
+        // Role policies override the engine policy's actions, thresholds and
+        // categories for one speaker role, e.g. keeping a therapist's clinical
+        // vocabulary while redacting everything the client says
+        this.rolePolicies = {};
+        for (const [role, overrides] of Object.entries(options.rolePolicies || {})) {
+            const definition = typeof overrides === 'string' ? readPolicyFile(overrides) : overrides;
+            this.rolePolicies[role] = engine.policy.withOverrides({ name: `${engine.policy.name}:${role}`, ...definition });
+            this.rolePolicies[role].validateCategories(engine.policyCategories());
+        }
+    }
+
+    // Accepts a speaker-turn string, an array of chat messages or { messages: [...] }
+    redact(input) {
+        const structured = typeof input !== 'string';
+        const turns = structured ? this.parseChat(input) : this.parseText(input);
+
+        // First pass: every name in any turn (or used as a speaker label) is
+        // redacted in every turn, even where name detection misses it
+        const knownNames = new Set();
+        for (const turn of turns) {
+            const names = turn.role === 'named' && turn.speaker ? [turn.speaker.trim()] : [];
+            for (const { text } of this.engine.detectNamesWithContext(turn.text)) {
+                names.push(text.replace(/[^\p{L}\p{M}\p{N}'-]+$/u, ''));
+            }
+            // An empty name would match everywhere with zero width
+            for (const name of names) {
+                if (name !== '') knownNames.add(name);
+            }
+        }
+
+        this.engine.registerDetector({
+            name: 'transcript_entities',
+            category: 'PII',
+            detect: text => this.findKnownNames(text, knownNames)
+        });
+
+        const redactionEntries = [];
+        let crisisLevel = CrisisLevel.NONE;
+        try {
+            for (const turn of turns) {
+                const { redactedText, entries, crisis } = this.redactTurn(turn);
+                turn.redactedText = redactedText;
+                turn.entries = entries;
+                turn.crisis = crisis;
+                turn.redactedSpeaker = this.redactSpeaker(turn);
+                redactionEntries.push(...turn.entries);
+                if (CrisisAssessor.atLeast(crisis.crisis_level, crisisLevel)) {
+                    crisisLevel = crisis.crisis_level;
+                }
+            }
+        } finally {
+            this.engine.unregisterDetector('transcript_entities');
+        }
+
+        return {
+            redacted: structured ? this.rebuildChat(input, turns) : this.rebuildText(input, turns),
+            residual_risk: this.assessResidualRisk(turns),
+            turns: turns.map(turn => ({
+                turn_index: turn.index,
+                speaker: turn.redactedSpeaker,
+                role: turn.role,
+                timestamp: turn.timestamp,
+                redacted_text: turn.redactedText,
+                crisis_level: turn.crisis.crisis_level,
+                redaction_entries: turn.entries
+            })),
+            redactionEntries,
+            crisis_level: crisisLevel
+        };
+    }
+
+    redactTurn(turn) {
+        const rolePolicy = this.rolePolicies[turn.role];
+        const enginePolicy = this.engine.policy;
+        if (rolePolicy) this.engine.policy = rolePolicy;
+
+        try {
+            const { redactedText, redactionEntries, crisis } = this.engine.redactText(turn.text, this.consent, {
+                turn_index: turn.index,
+                speaker_role: turn.role
+            });
+            return { redactedText, entries: redactionEntries, crisis };
+        } finally {
+            this.engine.policy = enginePolicy;
+        }
+    }
+
+    // Identifiers can add up across turns, so the transcript is assessed as a
+    // whole: every turn's text, with entry offsets moved to match
+    assessResidualRisk(turns) {
+        let combined = '';
+        const entries = [];
+        for (const turn of turns) {
+            for (const entry of turn.entries) {
+                if (entry.context === 'speaker_label') continue;
+                entries.push({
+                    ...entry,
+                    output_start_pos: entry.output_start_pos + combined.length,
+                    output_end_pos: entry.output_end_pos + combined.length
+                });
+            }
+            combined += turn.redactedText + '\n';
+        }
+        return this.engine.assessResidualRisk(combined, entries);
+    }
+
+    // Speaker labels that are personal names are replaced like any other name
+    redactSpeaker(turn) {
+        if (turn.role !== 'named') return turn.speaker;
+        const name = turn.speaker.trim();
+        const { redactedText, redactionEntries } = this.engine.redactText(name, this.consent, {
+            turn_index: turn.index,
+            speaker_role: turn.role,
+            context: 'speaker_label'
+        });
+        turn.entries.push(...redactionEntries);
+        return redactedText === name ? turn.speaker : turn.speaker.replace(name, redactedText);
+    }
+
+    findKnownNames(text, knownNames) {
+        const found = [];
+        for (const name of knownNames) {
+            const pattern = this.engine.wordPattern(name);
+            let match;
+            while ((match = pattern.exec(text)) !== null) {
+                if (match[0] === '') {
+                    pattern.lastIndex++;
+                    continue;
+                }
+                const context = text.substring(
+                    Math.max(0, match.index - 50),
+                    Math.min(text.length, match.index + match[0].length + 50)
+                );
+                found.push({
+                    start: match.index,
+                    end: match.index + match[0].length,
+                    subType: 'person_name',
+                    riskScore: this.engine.calculateNameRisk(name, context),
+                    context
+                });
+            }
+        }
+        return found;
+    }
+
+    roleOf(speaker) {
+        if (!speaker) return 'unknown';
+        const label = speaker.trim().toLowerCase().replace(/\.$/, '');
+        if (this.roles[label]) return this.roles[label];
+        const firstWord = label.split(/\s+/)[0].replace(/\.$/, '');
+        if (this.roles[firstWord]) return this.roles[firstWord];
+        return this.isPersonName(speaker.trim()) ? 'named' : 'other';
+    }
+
+    // Whether name detection finds the whole label to be a person's name
+    isPersonName(label) {
+        if (!/^[A-Z][a-z'-]+(?: [A-Z][a-z'-]+)?$/.test(label)) return false;
+        return this.engine.detectNamesWithContext(label).some(name => name.start === 0 && name.end === label.length);
+    }
+
+    // Turns with the offsets of their text in the original string, so the
+    // rebuilt transcript keeps every prefix, timestamp and line break
+    parseText(text) {
+        const turns = [];
+        let offset = 0;
+        let current = null;
+
+        for (const line of text.split('\n')) {
+            const prefix = line.match(TURN_PREFIX);
+            if (prefix && !/^https?$/i.test(prefix[1])) {
+                current = {
+                    index: turns.length,
+                    speaker: prefix[1],
+                    speakerStart: offset + prefix[0].indexOf(prefix[1]),
+                    role: this.roleOf(prefix[1]),
+                    timestamp: prefix[2] || null,
+                    textStart: offset + prefix[0].length,
+                    textEnd: offset + line.length
+                };
+                turns.push(current);
+            } else if (current) {
+                // Continuation line of the previous turn
+                current.textEnd = offset + line.length;
+            } else if (line.trim() !== '') {
+                current = {
+                    index: turns.length,
+                    speaker: null,
+                    role: 'unknown',
+                    timestamp: null,
+                    textStart: offset,
+                    textEnd: offset + line.length
+                };
+                turns.push(current);
+            }
+            offset += line.length + 1;
+        }
+
+        for (const turn of turns) {
+            turn.text = text.substring(turn.textStart, turn.textEnd);
+        }
+        return turns;
+    }
+
+    rebuildText(text, turns) {
+        let output = text;
+        for (const turn of [...turns].reverse()) {
+            output = output.substring(0, turn.textStart) + turn.redactedText + output.substring(turn.textEnd);
+            if (turn.redactedSpeaker !== turn.speaker) {
+                output = output.substring(0, turn.speakerStart) + turn.redactedSpeaker +
+                    output.substring(turn.speakerStart + turn.speaker.length);
+            }
+        }
+        return output;
+    }
+
+    messagesOf(input) {
+        if (Array.isArray(input)) return input;
+        if (input && Array.isArray(input.messages)) return input.messages;
+        throw new TranscriptError('Chat transcripts must be an array of messages or { messages: [...] }');
+    }
+
+    // The configured field, else the first candidate holding a string (or,
+    // with `anyValue`, any value, so a malformed one is reported, not skipped)
+    fieldOf(message, configured, candidates, anyValue = false) {
+        if (configured) return configured;
+        return candidates.find(field => anyValue
+            ? message[field] !== undefined && message[field] !== null
+            : typeof message[field] === 'string') || null;
+    }
+
+    parseChat(input) {
+        return this.messagesOf(input).map((message, index) => {
+            if (!message || typeof message !== 'object') {
+                throw new TranscriptError(`Message ${index} is not an object`);
+            }
+            const textField = this.fieldOf(message, this.fields.text, TEXT_FIELDS);
+            const speakerField = this.fieldOf(message, this.fields.speaker, SPEAKER_FIELDS, true);
+            const timestampField = this.fieldOf(message, this.fields.timestamp, TIMESTAMP_FIELDS);
+            if (!textField || typeof message[textField] !== 'string') {
+                throw new TranscriptError(`Message ${index} has no text field`);
+            }
+
+            const speaker = speakerField ? message[speakerField] : null;
+            if (speaker !== null && speaker !== undefined && typeof speaker !== 'string') {
+                throw new TranscriptError(`Message ${index} has a speaker that is not a string`);
+            }
+            return {
+                index,
+                speaker,
+                speakerField,
+                textField,
+                role: this.roleOf(speaker),
+                timestamp: timestampField ? message[timestampField] : null,
+                text: message[textField]
+            };
+        });
+    }
+
+    rebuildChat(input, turns) {
+        const messages = this.messagesOf(input).map((message, index) => {
+            const turn = turns[index];
+            const copy = { ...message, [turn.textField]: turn.redactedText };
+            if (turn.speakerField && turn.redactedSpeaker !== turn.speaker) {
+                copy[turn.speakerField] = turn.redactedSpeaker;
+            }
+            return copy;
+        });
+        return Array.isArray(input) ? messages : { ...input, messages };
+    }
+}
+
+module.exports = { TranscriptRedactor, TranscriptError };
@@ -0,0 +1,184 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Fake identities used for realistic surrogates. None of these appear in the
+// engine's common name list, so surrogates are not re-detected as names.
+const FAKE_FIRST_NAMES = [
+    'Avery', 'Rowan', 'Quinn', 'Harper', 'Emerson', 'Finley', 'Sage', 'Reese',
+    'Marlowe', 'Ellis', 'Linden', 'Arden', 'Blair', 'Caden', 'Darcy', 'Hollis',
+    'Jules', 'Keaton', 'Lennox', 'Morgan', 'Oakley', 'Peyton', 'Remy', 'Sloane'
+];
+const FAKE_LAST_NAMES = [
+    'Ashdown', 'Brightwater', 'Calloway', 'Dunmore', 'Everly', 'Fairbanks',
+    'Greywood', 'Hartwell', 'Ingram', 'Kingsley', 'Larkin', 'Merriweather'
+];
+
+class Pseudonymizer {
+    constructor(style = 'label') {
+        this.style = style;
+        this.entities = new Map();   // entity key -> surrogate
+        this.originals = new Map();  // surrogate -> original text
+        this.counters = {};
+    }
+
+    // Returns the stable surrogate for an entity, creating one on first sight
+    surrogateFor(original, label) {
+        const key = label + ':' + original.toLowerCase().replace(/\s+/g, ' ').trim();
+        if (this.entities.has(key)) {
+            return this.entities.get(key);
+        }
+
+        // A surrogate already standing for another original would make restore
+        // ambiguous, so skip any that is taken
+        let surrogate = null;
+        do {
+            this.counters[label] = (this.counters[label] || 0) + 1;
+            const index = this.counters[label];
+            surrogate = (this.style === 'realistic' && this.realisticSurrogate(label, index)) || `[${label}_${index}]`;
+        } while (this.originals.has(surrogate));
+
+        this.entities.set(key, surrogate);
+        this.originals.set(surrogate, original);
+        return surrogate;
+    }
+
+    realisticSurrogate(label, index) {
+        const i = index - 1;
+        switch (label) {
+            case 'PERSON': {
+                const first = FAKE_FIRST_NAMES[i % FAKE_FIRST_NAMES.length];
+                const round = Math.floor(i / FAKE_FIRST_NAMES.length);
+                if (round === 0) return first;
+                if (round > FAKE_LAST_NAMES.length) return null;
+                return `${first} ${FAKE_LAST_NAMES[round - 1]}`;
+            }
+            case 'EMAIL':
+                return `contact${index}@example.org`;
+            case 'PHONE_NUMBER': {
+                // 555-0100 to 555-0199 are reserved for fiction; later rounds
+                // prefix an area code
+                const line = `555-01${String(i % 100).padStart(2, '0')}`;
+                const round = Math.floor(i / 100);
+                if (round === 0) return line;
+                if (round > 800) return null;
+                return `${199 + round}-${line}`;
+            }
+            default:
+                return null;
+        }
+    }
+
+    toJSON() {
+        return {
+            style: this.style,
+            entities: Array.from(this.entities.entries()),
+            originals: Array.from(this.originals.entries()),
+            counters: this.counters
+        };
+    }
+
+    static fromJSON(data) {
+        const pseudonymizer = new Pseudonymizer(data.style);
+        pseudonymizer.entities = new Map(data.entities);
+        pseudonymizer.originals = new Map(data.originals);
+        pseudonymizer.counters = { ...data.counters };
+        return pseudonymizer;
+    }
+}
+
+class TokenVault {
+    constructor(options = {}) {
+        this.storagePath = options.storagePath || null;
+        // A random key would leave the stored entries unreadable after a restart
+        if (this.storagePath && !options.key) {
+            throw new Error(`A key is required to store the vault at ${this.storagePath}`);
+        }
+        this.salt = crypto.randomBytes(16).toString('hex');
+        this.sessions = {};
+
+        if (this.storagePath && fs.existsSync(this.storagePath)) {
+            const stored = JSON.parse(fs.readFileSync(this.storagePath, 'utf8'));
+            this.salt = stored.salt;
+            this.sessions = stored.sessions || {};
+        }
+
+        this.key = this.deriveKey(options.key || crypto.randomBytes(32));
+    }
+
+    // Accepts a 32-byte Buffer, a 64-character hex string or a passphrase
+    deriveKey(key) {
+        if (Buffer.isBuffer(key)) {
+            if (key.length !== 32) {
+                throw new Error('Vault key buffers must be 32 bytes');
+            }
+            return key;
+        }
+        if (typeof key === 'string' && /^[0-9a-f]{64}$/i.test(key)) {
+            return Buffer.from(key, 'hex');
+        }
+        if (typeof key === 'string' && key.length > 0) {
+            return crypto.scryptSync(key, Buffer.from(this.salt, 'hex'), 32);
+        }
+        throw new Error('A vault key is required');
+    }
+
+    exportKey() {
+        return this.key.toString('hex');
+    }
+
+    store(sessionId, mapping) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+        cipher.setAAD(Buffer.from(sessionId));
+        const data = Buffer.concat([cipher.update(JSON.stringify(mapping), 'utf8'), cipher.final()]);
+
+        this.sessions[sessionId] = {
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64'),
+            updated_at: new Date().toISOString()
+        };
+        this.persist();
+    }
+
+    load(sessionId, key = null) {
+        const record = this.sessions[sessionId];
+        if (!record) {
+            return null;
+        }
+
+        const decipher = crypto.createDecipheriv(
+            'aes-256-gcm',
+            key === null ? this.key : this.deriveKey(key),
+            Buffer.from(record.iv, 'base64')
+        );
+        decipher.setAAD(Buffer.from(sessionId));
+        decipher.setAuthTag(Buffer.from(record.tag, 'base64'));
+
+        try {
+            const plain = Buffer.concat([
+                decipher.update(Buffer.from(record.data, 'base64')),
+                decipher.final()
+            ]);
+            return JSON.parse(plain.toString('utf8'));
+        } catch (error) {
+            throw new Error(`Unable to open vault entry for session ${sessionId}: invalid key`);
+        }
+    }
+
+    delete(sessionId) {
+        delete this.sessions[sessionId];
+        this.persist();
+    }
+
+    persist() {
+        if (!this.storagePath) return;
+        fs.writeFileSync(this.storagePath, JSON.stringify({
+            version: 1,
+            salt: this.salt,
+            sessions: this.sessions
+        }, null, 2), { mode: 0o600 });
+    }
+}
+
+module.exports = { TokenVault, Pseudonymizer, FAKE_FIRST_NAMES, FAKE_LAST_NAMES };
@@ -0,0 +1,156 @@
+const zlib = require('zlib');
+
+/*
+ * Minimal ZIP container support for DOCX files
+ *
+ * Reads stored and deflated entries and writes an archive back with the same
+ * entry order, names, timestamps and compression methods. ZIP64, encryption
+ * and multi-disk archives are not supported. The total uncompressed size is
+ * capped, so a small archive cannot inflate until memory runs out.
+ */
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+const STORED = 0;
+const DEFLATED = 8;
+
+// General-purpose flag bits
+const ENCRYPTED = 0x0001;
+const UTF8_NAMES = 0x0800;
+
+// Default cap on the uncompressed size of all entries together
+const MAX_INFLATED_BYTES = 100 * 1024 * 1024;
+
+function findEndOfCentralDirectory(buffer) {
+    // The record is 22 bytes plus a comment of up to 65535 bytes
+    const lowest = Math.max(0, buffer.length - 22 - 0xffff);
+    for (let offset = buffer.length - 22; offset >= lowest; offset--) {
+        if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+            return offset;
+        }
+    }
+    throw new Error('Not a ZIP archive');
+}
+
+// Entries as { name, method, flags, time, date, data }, data uncompressed.
+// `options.maxInflatedBytes` caps the uncompressed size of all entries.
+function readZip(buffer, options = {}) {
+    const maxInflatedBytes = options.maxInflatedBytes || MAX_INFLATED_BYTES;
+    const tooLarge = () => new Error(`ZIP archive inflates to more than ${maxInflatedBytes} bytes`);
+    let inflatedBytes = 0;
+
+    const end = findEndOfCentralDirectory(buffer);
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    if (count === 0xffff || offset === 0xffffffff) {
+        throw new Error('ZIP64 archives are not supported');
+    }
+
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        if (buffer.readUInt32LE(offset) !== CENTRAL_HEADER) {
+            throw new Error('Corrupt ZIP central directory');
+        }
+        const flags = buffer.readUInt16LE(offset + 8);
+        const method = buffer.readUInt16LE(offset + 10);
+        const time = buffer.readUInt16LE(offset + 12);
+        const date = buffer.readUInt16LE(offset + 14);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const size = buffer.readUInt32LE(offset + 24);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString(flags & UTF8_NAMES ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (flags & ENCRYPTED) {
+            throw new Error(`ZIP entry ${name} is encrypted`);
+        }
+        if (buffer.readUInt32LE(localOffset) !== LOCAL_HEADER) {
+            throw new Error(`Corrupt ZIP entry ${name}`);
+        }
+        const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+        const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+        // The declared size is only a first check; inflation is capped as well
+        if (inflatedBytes + size > maxInflatedBytes) {
+            throw tooLarge();
+        }
+
+        let data;
+        if (method === STORED) {
+            data = Buffer.from(raw);
+        } else if (method === DEFLATED) {
+            try {
+                data = zlib.inflateRawSync(raw, { maxOutputLength: Math.max(1, maxInflatedBytes - inflatedBytes) });
+            } catch (error) {
+                if (error.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge();
+                throw error;
+            }
+        } else {
+            throw new Error(`ZIP entry ${name} uses unsupported compression method ${method}`);
+        }
+        inflatedBytes += data.length;
+        if (inflatedBytes > maxInflatedBytes) {
+            throw tooLarge();
+        }
+        entries.push({ name, method, flags: flags & UTF8_NAMES, time, date, data });
+    }
+    return entries;
+}
+
+function writeZip(entries) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = Buffer.from(entry.name, entry.flags & UTF8_NAMES ? 'utf8' : 'latin1');
+        const method = entry.method === STORED ? STORED : DEFLATED;
+        const data = method === STORED ? entry.data : zlib.deflateRawSync(entry.data);
+        const crc = zlib.crc32(entry.data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(LOCAL_HEADER, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(entry.flags || 0, 6);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt16LE(entry.time || 0, 10);
+        local.writeUInt16LE(entry.date || 0x21, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(entry.data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(CENTRAL_HEADER, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        local.copy(central, 8, 6, 30);
+        central.writeUInt16LE(0, 30);
+        central.writeUInt16LE(0, 32);
+        central.writeUInt16LE(0, 34);
+        central.writeUInt16LE(0, 36);
+        central.writeUInt32LE(0, 38);
+        central.writeUInt32LE(offset, 42);
+
+        locals.push(local, name, data);
+        centrals.push(central, name);
+        offset += local.length + name.length + data.length;
+    }
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, directory, end]);
+}
+
+module.exports = { readZip, writeZip, MAX_INFLATED_BYTES };
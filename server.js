@@ -1,28 +1,809 @@
 const express = require('express');
-const { SanctuAI } = require('./sanctuai-backend'); // Make sure this matches your file name
+const crypto = require('crypto');
+const path = require('path');
+const readline = require('readline');
+const { SanctuAI, RedactionReason } = require('./sanctuai_backend');
+const { TokenVault } = require('./sanctuai_vault');
+const { WebhookAlertHook, QueueAlertHook, CrisisAssessor, CrisisLevel } = require('./sanctuai_crisis');
+const { AuditStore } = require('./sanctuai_audit');
+const { ConsentRegistry } = require('./sanctuai_consent');
+const { OrganizationLists } = require('./sanctuai_review');
+const { HttpModelClient, StubModelClient } = require('./sanctuai_model');
+const { CaseStore } = require('./sanctuai_cases');
+const { TranscriptError } = require('./sanctuai_transcript');
+const { SyntheticGenerator, DOCUMENT_KINDS } = require('./sanctuai_synthetic');
+const { AuthError, Authenticator, RateLimiter, AccessLog, Role, isAuthorized, restrictResponse, seesOriginalText, loadApiKeys } = require('./sanctuai_auth');
+
+// API keys (SANCTUAI_API_KEYS, a key file) and/or HS256 JWTs
+// (SANCTUAI_JWT_SECRET); see sanctuai_auth.js. Running without either needs
+// SANCTUAI_AUTH_DISABLED=true, which treats every caller as an admin.
+const authDisabled = process.env.SANCTUAI_AUTH_DISABLED === 'true';
+const authenticator = new Authenticator({
+    apiKeys: process.env.SANCTUAI_API_KEYS ? loadApiKeys(process.env.SANCTUAI_API_KEYS) : [],
+    jwtSecret: process.env.SANCTUAI_JWT_SECRET,
+    jwtIssuer: process.env.SANCTUAI_JWT_ISSUER,
+    jwtAudience: process.env.SANCTUAI_JWT_AUDIENCE
+});
+if (!authenticator.enabled && !authDisabled) {
+    console.error('No API keys or JWT secret configured; set SANCTUAI_API_KEYS or SANCTUAI_JWT_SECRET, or SANCTUAI_AUTH_DISABLED=true for local use');
+    process.exit(1);
+}
+if (authDisabled) {
+    console.warn('Authentication is disabled; every caller has the admin role');
+}
+
+// Requests per minute per caller, unless the key or token sets its own
+const rateLimiter = new RateLimiter({ max: Number(process.env.SANCTUAI_RATE_LIMIT) || 60 });
+const MAX_BODY_BYTES = Number(process.env.SANCTUAI_MAX_BODY_BYTES) || 25 * 1024 * 1024;
+
+// Failed authentications per client address and minute; past the limit the
+// address is refused until the window resets, so keys cannot be guessed
+const authFailures = new RateLimiter({ max: Number(process.env.SANCTUAI_AUTH_FAILURE_LIMIT) || 10 });
+
+const accessLog = new AccessLog({ path: process.env.SANCTUAI_ACCESS_LOG });
 
 const app = express();
-app.use(express.json());
 
-app.post('/redact', (req, res) => {
-    const { text, consent_given = false } = req.body;
-    const redactor = new SanctuAI();
-    
+// Logs the route pattern rather than the URL: paths and queries can carry
+// subject ids or file names
+app.use((req, res, next) => {
+    const started = Date.now();
+    res.on('finish', () => {
+        accessLog.record({
+            principal: req.principal ? req.principal.id : null,
+            auth_method: req.principal ? req.principal.method : null,
+            method: req.method,
+            route: req.route ? req.baseUrl + req.route.path : null,
+            status: res.statusCode,
+            duration_ms: Date.now() - started,
+            bytes_in: Number(req.headers['content-length']) || 0,
+            bytes_out: Number(res.getHeader('content-length')) || 0
+        });
+    });
+    next();
+});
+
+// The web UI, which calls the endpoints below on the same origin; it asks for
+// an API key or token itself
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'sanctuai_frontend.html'));
+});
+
+app.use((req, res, next) => {
+    const failures = authFailures.peek(req.ip);
+    if (!authDisabled && !failures.allowed) {
+        res.setHeader('Retry-After', Math.ceil((failures.resetAt - Date.now()) / 1000));
+        return res.status(429).json({ error: 'Too many failed authentications' });
+    }
+
+    try {
+        req.principal = authDisabled
+            ? { id: 'anonymous', roles: [Role.ADMIN], method: 'none', rateLimit: null, maxBodyBytes: null }
+            : authenticator.authenticate(req.headers);
+    } catch (error) {
+        if (!(error instanceof AuthError)) throw error;
+        authFailures.take(req.ip);
+        if (error.status === 401) res.setHeader('WWW-Authenticate', 'Bearer');
+        return res.status(error.status).json({ error: error.message });
+    }
+
+    const limit = rateLimiter.take(req.principal.id, req.principal.rateLimit);
+    res.setHeader('X-RateLimit-Limit', limit.limit);
+    res.setHeader('X-RateLimit-Remaining', limit.remaining);
+    res.setHeader('X-RateLimit-Reset', Math.ceil(limit.resetAt / 1000));
+    if (!limit.allowed) {
+        res.setHeader('Retry-After', Math.ceil((limit.resetAt - Date.now()) / 1000));
+        return res.status(429).json({ error: 'Rate limit exceeded' });
+    }
+
+    // Checked against content-length before any body is read, and again by
+    // the body parsers on the bytes actually read (chunked or understated)
+    req.maxBodyBytes = req.principal.maxBodyBytes || MAX_BODY_BYTES;
+    if (Number(req.headers['content-length']) > req.maxBodyBytes) {
+        return res.status(413).json({ error: `Request bodies are limited to ${req.maxBodyBytes} bytes` });
+    }
+
+    // Only reviewers and admins get original text back
+    const json = res.json.bind(res);
+    res.json = body => json(restrictResponse(body, req.principal));
+    next();
+});
+
+function permit(permission) {
+    return (req, res, next) => {
+        if (!isAuthorized(req.principal, permission)) {
+            return res.status(403).json({ error: `The ${req.principal.roles.join(', ')} role may not do this` });
+        }
+        next();
+    };
+}
+
+// Body parsers by byte limit, each capped at the caller's max_body_bytes
+const JSON_LIMIT = byteSize(process.env.SANCTUAI_JSON_LIMIT || '10mb');
+const FILE_LIMIT = byteSize(process.env.SANCTUAI_FILE_LIMIT || '25mb');
+const bodyParsers = new Map();
+
+// '10mb'-style sizes, as the body parsers take them
+function byteSize(value) {
+    const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(String(value).trim());
+    if (!match) {
+        throw new Error(`Invalid size "${value}"`);
+    }
+    return Math.floor(Number(match[1]) * 1024 ** ['b', 'kb', 'mb', 'gb'].indexOf((match[2] || 'b').toLowerCase()));
+}
+
+function bodyParser(type, limit) {
+    return (req, res, next) => {
+        const bytes = Math.min(limit, req.maxBodyBytes);
+        const key = `${type}:${bytes}`;
+        if (!bodyParsers.has(key)) {
+            bodyParsers.set(key, type === 'json'
+                ? express.json({
+                    limit: bytes,
+                    // /redact/file reads its own body, which may itself be a JSON file
+                    type: req => req.path !== '/redact/file' && Boolean(req.is('application/json'))
+                })
+                : express.raw({ type: () => true, limit: bytes }));
+        }
+        bodyParsers.get(key)(req, res, next);
+    };
+}
+
+app.use(bodyParser('json', JSON_LIMIT));
+
+const MAX_BATCH_DOCUMENTS = 1000;
+const SESSION_IDLE_MS = 30 * 60 * 1000;
+
+// Crisis alert hooks for the on-call clinician
+const alertHooks = [];
+if (process.env.SANCTUAI_ALERT_WEBHOOK) {
+    alertHooks.push(new WebhookAlertHook({ url: process.env.SANCTUAI_ALERT_WEBHOOK }));
+}
+if (process.env.SANCTUAI_ALERT_QUEUE) {
+    alertHooks.push(new QueueAlertHook({ path: process.env.SANCTUAI_ALERT_QUEUE }));
+}
+
+// Keyed stores written to disk must stay usable after a restart, so a
+// storage path without its key is a configuration error, not a random key
+for (const [pathVariable, keyVariable] of [
+    ['SANCTUAI_VAULT_PATH', 'SANCTUAI_VAULT_KEY'],
+    ['SANCTUAI_CASE_PATH', 'SANCTUAI_CASE_KEY'],
+    ['SANCTUAI_AUDIT_PATH', 'SANCTUAI_AUDIT_KEY'],
+    ['SANCTUAI_LISTS_PATH', 'SANCTUAI_LISTS_KEY']
+]) {
+    if (process.env[pathVariable] && !process.env[keyVariable]) {
+        console.error(`${pathVariable} is set but ${keyVariable} is not; set the key to keep these records on disk`);
+        process.exit(1);
+    }
+}
+
+// Shared token vault so pseudonyms survive across requests and restarts
+const vault = new TokenVault({
+    key: process.env.SANCTUAI_VAULT_KEY,
+    storagePath: process.env.SANCTUAI_VAULT_PATH
+});
+
+// Hash-chained audit trail shared by every redactor; file-backed when
+// SANCTUAI_AUDIT_PATH is set so it outlives the process
+const auditStore = new AuditStore({
+    key: process.env.SANCTUAI_AUDIT_KEY,
+    path: process.env.SANCTUAI_AUDIT_PATH,
+    encryptOriginals: process.env.SANCTUAI_AUDIT_ENCRYPT === 'true'
+});
+
+// Consent records, persisted when SANCTUAI_CONSENT_PATH is set
+const consentRegistry = new ConsentRegistry({
+    storagePath: process.env.SANCTUAI_CONSENT_PATH,
+    categories: Object.keys(RedactionReason)
+});
+
+// Reviewer allow/deny lists per organization, encrypted at rest; persisted
+// when SANCTUAI_LISTS_PATH is set
+const organizationLists = new OrganizationLists({
+    key: process.env.SANCTUAI_LISTS_KEY,
+    storagePath: process.env.SANCTUAI_LISTS_PATH,
+    categories: Object.keys(RedactionReason)
+});
+
+// Client/case records (learned names, per-note counts), encrypted at rest;
+// persisted when SANCTUAI_CASE_PATH is set
+const caseStore = new CaseStore({
+    key: process.env.SANCTUAI_CASE_KEY,
+    storagePath: process.env.SANCTUAI_CASE_PATH
+});
+
+// Model behind /proxy/chat: an OpenAI-compatible chat completions URL, or
+// "stub" for a local client that echoes the last user message
+let modelClient = null;
+if (process.env.SANCTUAI_MODEL_URL === 'stub') {
+    modelClient = new StubModelClient();
+} else if (process.env.SANCTUAI_MODEL_URL) {
+    modelClient = new HttpModelClient({
+        url: process.env.SANCTUAI_MODEL_URL,
+        model: process.env.SANCTUAI_MODEL_NAME,
+        headers: process.env.SANCTUAI_MODEL_API_KEY
+            ? { Authorization: `Bearer ${process.env.SANCTUAI_MODEL_API_KEY}` }
+            : {},
+        timeout: Number(process.env.SANCTUAI_MODEL_TIMEOUT_MS) || undefined
+    });
+}
+
+// Redactors for sessions that span several requests, dropped when idle
+const sessions = new Map();
+
+// A `caseId` selects the case's own session, shared by everyone working on
+// the case; any other session belongs to the caller that started it
+function getRedactor(principal, sessionId, mode, organizationId = null, caseId = null) {
+    const options = { alertHooks, vault, auditStore, consentRegistry, organizationLists, organizationId, mode, caseStore, caseId };
+    if (caseId) {
+        sessionId = caseStore.sessionIdFor(caseId);
+    }
+    if (!sessionId) {
+        return new SanctuAI(options);
+    }
+
+    let session = sessions.get(sessionId);
+    if (!session) {
+        session = { redactor: new SanctuAI({ ...options, sessionId }), owner: caseId ? null : principal.id };
+        sessions.set(sessionId, session);
+    } else if (session.owner !== (caseId ? null : principal.id)) {
+        throw new AuthError(`Session ${sessionId} belongs to another caller`, 403);
+    } else if (mode && mode !== session.redactor.policy.defaultAction) {
+        // Switching would mix labels and pseudonyms within one session
+        throw new Error(`Session ${sessionId} uses ${session.redactor.policy.defaultAction} mode; start a new session for ${mode}`);
+    }
+    session.redactor.organizationId = organizationId;
+    session.lastUsed = Date.now();
+    return session.redactor;
+}
+
+setInterval(() => {
+    const cutoff = Date.now() - SESSION_IDLE_MS;
+    for (const [sessionId, session] of sessions) {
+        if (session.lastUsed < cutoff) sessions.delete(sessionId);
+    }
+}, 60 * 1000).unref();
+
+// `consent: { subject_id, purpose }` releases consented categories; the legacy
+// `consent_given` flag is only recorded
+function consentFrom({ consent, consent_given = false }) {
+    if (consent && typeof consent === 'object') {
+        return { subjectId: consent.subject_id, purpose: consent.purpose };
+    }
+    return consent_given === true || consent_given === 'true';
+}
+
+function redactDocument(redactor, document, consent) {
+    const { id = null, text } = document || {};
+    if (typeof text !== 'string') {
+        return { id, error: 'Each document needs a text string' };
+    }
+
     try {
-        const { redactedText, redactionEntries } = redactor.redactText(text, consent_given);
+        const { redactedText, redactionEntries, consentReleases, crisis, residualRisk } = redactor.redactText(text, consent);
+        return {
+            id,
+            crisis_level: crisis.crisis_level,
+            crisis,
+            redacted_text: redactedText,
+            residual_risk: residualRisk,
+            redaction_entries: redactionEntries,
+            consent_releases: consentReleases
+        };
+    } catch (error) {
+        return { id, error: error.message };
+    }
+}
+
+app.post('/redact', permit('redact'), (req, res) => {
+    const { text, session_id, mode, organization_id } = req.body;
+    if (typeof text !== 'string') {
+        return res.status(400).json({ error: 'text must be a string' });
+    }
+
+    let redactor;
+    let consent;
+    try {
+        redactor = getRedactor(req.principal, session_id, mode, organization_id);
+        consent = consentFrom(req.body);
+        redactor.consentScope(consent);
+    } catch (error) {
+        return res.status(error instanceof AuthError ? error.status : 400).json({ error: error.message });
+    }
+
+    try {
+        const { redactedText, redactionEntries, consentReleases, crisis, residualRisk } =
+            redactor.redactText(text, consent);
         const auditLog = redactor.generateAuditLog();
-        
+
         res.json({
+            session_id: redactor.sessionId,
+            crisis_level: crisis.crisis_level,
+            crisis,
             redacted_text: redactedText,
+            residual_risk: residualRisk,
             audit_log: auditLog,
-            redaction_entries: redactionEntries
+            redaction_entries: redactionEntries,
+            consent_releases: consentReleases
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/redact/batch', permit('redact'), (req, res) => {
+    const { documents, session_id, mode, organization_id } = req.body;
+
+    if (!Array.isArray(documents) || documents.length === 0) {
+        return res.status(400).json({ error: 'documents must be a non-empty array' });
+    }
+    if (documents.length > MAX_BATCH_DOCUMENTS) {
+        return res.status(413).json({ error: `A batch may hold at most ${MAX_BATCH_DOCUMENTS} documents` });
+    }
+
+    // One redactor for the whole batch keeps pseudonyms and statistics consistent
+    let redactor;
+    let consent;
+    try {
+        redactor = getRedactor(req.principal, session_id, mode, organization_id);
+        consent = consentFrom(req.body);
+        redactor.consentScope(consent);
+    } catch (error) {
+        return res.status(error instanceof AuthError ? error.status : 400).json({ error: error.message });
+    }
+
+    try {
+        const results = documents.map(document => redactDocument(redactor, document, consent));
+
+        res.json({
+            session_id: redactor.sessionId,
+            results,
+            audit_log: redactor.generateAuditLog()
         });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-    console.log(`SanctuAI server running on port ${PORT}`);
-});
\ No newline at end of file
+// A DOCX, PDF, HTML, JSON or text file as the raw request body. Query:
+// format or filename (picks the adapter), paths (JSONPath, repeatable, for
+// JSON), session_id, mode, organization_id, consent_given; download=true
+// returns the redacted file itself instead of JSON with the file in base64.
+app.post('/redact/file', permit('redact'), bodyParser('raw', FILE_LIMIT), (req, res) => {
+    const { format, filename, paths, session_id, mode, organization_id, download } = req.query;
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: 'The request body must be the file to redact' });
+    }
+
+    let redactor;
+    let result;
+    try {
+        redactor = getRedactor(req.principal, session_id, mode, organization_id);
+        result = redactor.redactFile(req.body, {
+            format,
+            filename,
+            paths: paths === undefined ? undefined : [].concat(paths),
+            consent: consentFrom(req.query)
+        });
+    } catch (error) {
+        return res.status(error instanceof AuthError ? error.status : 400).json({ error: error.message });
+    }
+
+    const output = Buffer.isBuffer(result.output) ? result.output : Buffer.from(result.output, 'utf8');
+    const outputName = filename ? filename.replace(/(\.[^.]*)?$/, '.redacted$1') : `redacted.${result.format}`;
+    if (download === 'true') {
+        res.setHeader('Content-Type', result.mediaType);
+        res.setHeader('Content-Disposition', `attachment; filename="${outputName.replace(/["\\\r\n]/g, '_')}"`);
+        return res.send(output);
+    }
+
+    res.json({
+        session_id: redactor.sessionId,
+        format: result.format,
+        crisis_level: result.crisis.crisis_level,
+        crisis: result.crisis,
+        text: result.text,
+        redacted_text: result.redactedText,
+        residual_risk: result.residualRisk,
+        audit_log: redactor.generateAuditLog(),
+        redaction_entries: result.redactionEntries,
+        consent_releases: result.consentReleases,
+        file: {
+            filename: outputName,
+            media_type: result.mediaType,
+            content_base64: output.toString('base64')
+        }
+    });
+});
+
+// `transcript` is "Speaker: ..." text or an array of { speaker, text, timestamp }
+// messages; the redacted transcript keeps the same shape
+app.post('/redact/transcript', permit('redact'), (req, res) => {
+    const { transcript, session_id, mode, organization_id, role_policies, roles, fields } = req.body;
+
+    if (typeof transcript !== 'string' && !Array.isArray(transcript) &&
+        !(transcript && Array.isArray(transcript.messages))) {
+        return res.status(400).json({ error: 'transcript must be text or an array of messages' });
+    }
+    // Role policies arrive inline; never resolve them as server-side file paths
+    if (role_policies && Object.values(role_policies).some(policy => !policy || typeof policy !== 'object')) {
+        return res.status(400).json({ error: 'role_policies must map roles to policy objects' });
+    }
+
+    let redactor;
+    let consent;
+    try {
+        redactor = getRedactor(req.principal, session_id, mode, organization_id);
+        consent = consentFrom(req.body);
+        redactor.consentScope(consent);
+    } catch (error) {
+        return res.status(error instanceof AuthError ? error.status : 400).json({ error: error.message });
+    }
+
+    try {
+        const result = redactor.redactTranscript(transcript, {
+            consent,
+            rolePolicies: role_policies,
+            roles,
+            fields
+        });
+
+        res.json({
+            session_id: redactor.sessionId,
+            crisis_level: result.crisis_level,
+            redacted_transcript: result.redacted,
+            residual_risk: result.residual_risk,
+            turns: result.turns,
+            audit_log: redactor.generateAuditLog()
+        });
+    } catch (error) {
+        res.status(error instanceof TranscriptError ? 400 : 500).json({ error: error.message });
+    }
+});
+
+// NDJSON in, NDJSON out: one {id, text} document per line, one result per line,
+// then a final summary line holding the aggregated audit log
+app.post('/redact/stream', permit('redact'), async (req, res) => {
+    const { session_id, mode, organization_id, subject_id, purpose } = req.query;
+    const consent = consentFrom(subject_id ? { consent: { subject_id, purpose } } : req.query);
+
+    let redactor;
+    try {
+        redactor = getRedactor(req.principal, session_id, mode, organization_id);
+    } catch (error) {
+        return res.status(error instanceof AuthError ? error.status : 400).json({ error: error.message });
+    }
+
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    const lines = readline.createInterface({ input: req, crlfDelay: Infinity });
+    let lineNumber = 0;
+    let processed = 0;
+    let bytesRead = 0;
+
+    try {
+        for await (const line of lines) {
+            lineNumber++;
+            bytesRead += Buffer.byteLength(line) + 1;
+            if (bytesRead > req.maxBodyBytes) {
+                lines.close();
+                res.end(JSON.stringify({ type: 'error', error: `Request bodies are limited to ${req.maxBodyBytes} bytes` }) + '\n',
+                    () => req.destroy());
+                return;
+            }
+            if (line.trim() === '') continue;
+
+            let document;
+            try {
+                document = JSON.parse(line);
+            } catch (error) {
+                res.write(JSON.stringify({ line: lineNumber, error: 'Invalid JSON' }) + '\n');
+                continue;
+            }
+
+            res.write(JSON.stringify(restrictResponse(redactDocument(redactor, document, consent), req.principal)) + '\n');
+            processed++;
+        }
+
+        res.end(JSON.stringify(restrictResponse({
+            type: 'summary',
+            session_id: redactor.sessionId,
+            documents: processed,
+            audit_log: redactor.generateAuditLog()
+        }, req.principal)) + '\n');
+    } catch (error) {
+        res.end(JSON.stringify({ type: 'error', error: error.message }) + '\n');
+    }
+});
+
+// Re-identification risk of text that was redacted elsewhere; bracketed
+// replacements are ignored
+app.post('/risk', permit('redact'), (req, res) => {
+    const { text, population } = req.body || {};
+    if (typeof text !== 'string') {
+        return res.status(400).json({ error: 'text must be a string' });
+    }
+    if (population !== undefined && !(Number.isInteger(population) && population > 0)) {
+        return res.status(400).json({ error: 'population must be a positive integer' });
+    }
+
+    try {
+        const redactor = new SanctuAI({ vault, auditStore, consentRegistry, referencePopulation: population });
+        res.json(redactor.assessResidualRisk(text));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Synthetic documents with ground-truth annotations, for demos, load tests
+// and accuracy checks. Query: kind (comma-separated, default all), count,
+// seed (random when omitted; the same seed gives the same documents) and
+// format: `corpus` (default) for evaluation/evaluate.js and /redact/batch, or
+// `ndjson` with one document per line for /redact/stream.
+app.get('/samples', permit('samples'), (req, res) => {
+    const { kind, format = 'corpus' } = req.query;
+    const count = req.query.count === undefined ? 10 : Number(req.query.count);
+    const seed = req.query.seed === undefined ? crypto.randomBytes(4).readUInt32BE(0).toString() : String(req.query.seed);
+
+    if (!Number.isInteger(count) || count < 1 || count > MAX_BATCH_DOCUMENTS) {
+        return res.status(400).json({ error: `count must be an integer from 1 to ${MAX_BATCH_DOCUMENTS}` });
+    }
+    if (!['corpus', 'ndjson'].includes(format)) {
+        return res.status(400).json({ error: 'format must be corpus or ndjson' });
+    }
+
+    let corpus;
+    try {
+        const generator = new SyntheticGenerator(new SanctuAI(), { seed });
+        corpus = generator.corpus({ count, kinds: kind ? String(kind).split(',') : DOCUMENT_KINDS });
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    if (format === 'ndjson') {
+        res.setHeader('Content-Type', 'application/x-ndjson');
+        res.setHeader('X-Sample-Seed', seed);
+        return res.send(corpus.documents.map(document => JSON.stringify(document)).join('\n') + '\n');
+    }
+    res.json(corpus);
+});
+
+// Redacts the next note of a client's case. Names from the case's earlier
+// notes are redacted too and pseudonyms stay the same across notes; the
+// response includes the case's trends. Body: text, recorded_at, mode,
+// organization_id and consent as for /redact.
+app.post('/cases/:caseId/notes', permit('redact'), (req, res) => {
+    const { text, recorded_at, mode, organization_id } = req.body || {};
+    if (typeof text !== 'string') {
+        return res.status(400).json({ error: 'text must be a string' });
+    }
+
+    let redactor;
+    let result;
+    try {
+        redactor = getRedactor(req.principal, null, mode, organization_id, req.params.caseId);
+        result = redactor.redactNote(text, { consent: consentFrom(req.body), recordedAt: recorded_at });
+    } catch (error) {
+        return res.status(error instanceof AuthError ? error.status : 400).json({ error: error.message });
+    }
+
+    res.json({
+        session_id: redactor.sessionId,
+        note: result.note,
+        crisis_level: result.crisis.crisis_level,
+        crisis: result.crisis,
+        redacted_text: result.redactedText,
+        residual_risk: result.residualRisk,
+        redaction_entries: result.redactionEntries,
+        consent_releases: result.consentReleases,
+        trends: result.trends
+    });
+});
+
+// Per-category and per-symptom-group trends across a case's notes
+app.get('/cases/:caseId/summary', permit('case_read'), (req, res) => {
+    let trends;
+    try {
+        trends = getRedactor(req.principal, null, null, null, req.params.caseId).caseSummary();
+    } catch (error) {
+        return res.status(error instanceof AuthError ? error.status : 400).json({ error: error.message });
+    }
+    if (trends.notes === 0) {
+        return res.status(404).json({ error: 'No notes recorded for this case' });
+    }
+    res.json({ case_id: req.params.caseId, trends });
+});
+
+// Wrapped messages of a chat session, wrapping only those not seen before:
+// earlier turns are not audited or assessed for crisis again. The history
+// is matched by role and a digest of each message, so an edited message is
+// wrapped again with everything after it.
+function wrapChat(redactor, session, messages, consent) {
+    const history = session.chat || [];
+    const digests = messages.map(item => crypto.createHash('sha256').update(`${item.role}\n${item.content}`).digest('hex'));
+    let reused = 0;
+    while (reused < history.length && reused < messages.length && history[reused].digest === digests[reused]) {
+        reused++;
+    }
+
+    const wrapped = history.slice(0, reused);
+    for (let i = reused; i < messages.length; i++) {
+        wrapped.push({ role: messages[i].role, digest: digests[i], ...redactor.wrapForModel(messages[i].content, consent) });
+    }
+    session.chat = wrapped;
+    return wrapped;
+}
+
+// Sends a conversation to the model with every message pseudonymized and
+// returns the reply with the surrogates mapped back. `messages` is
+// [{ role, content }] (or a single `message` string). Omit `session_id` to
+// start a conversation; its pseudonyms are kept for follow-up requests, which
+// only the caller that started it may make.
+app.post('/proxy/chat', permit('model_proxy'), async (req, res) => {
+    const { message, session_id, organization_id } = req.body || {};
+    const messages = typeof message === 'string' ? [{ role: 'user', content: message }] : req.body && req.body.messages;
+
+    if (!modelClient) {
+        return res.status(503).json({ error: 'No model endpoint configured (SANCTUAI_MODEL_URL)' });
+    }
+    if (!Array.isArray(messages) || messages.length === 0 ||
+        messages.some(item => !item || typeof item.role !== 'string' || typeof item.content !== 'string')) {
+        return res.status(400).json({ error: 'messages must be a non-empty array of { role, content }' });
+    }
+    if (session_id) {
+        const session = sessions.get(session_id);
+        if (!session || session.owner !== req.principal.id) {
+            return res.status(404).json({ error: 'Unknown chat session' });
+        }
+    }
+
+    let redactor;
+    let wrapped;
+    try {
+        redactor = getRedactor(req.principal, session_id || crypto.randomUUID(), null, organization_id);
+        const session = sessions.get(redactor.sessionId);
+        const consent = consentFrom(req.body);
+        // A single message is a turn of its own; a history is wrapped incrementally
+        wrapped = typeof message === 'string'
+            ? [{ role: 'user', ...redactor.wrapForModel(message, consent) }]
+            : wrapChat(redactor, session, messages, consent);
+    } catch (error) {
+        return res.status(error instanceof AuthError ? error.status : 400).json({ error: error.message });
+    }
+
+    let reply;
+    try {
+        reply = await modelClient.complete(wrapped.map(item => ({ role: item.role, content: item.prompt })));
+    } catch (error) {
+        return res.status(502).json({ error: error.message });
+    }
+
+    const crisisLevel = wrapped.reduce((highest, item) =>
+        CrisisAssessor.atLeast(item.crisis.crisis_level, highest) ? item.crisis.crisis_level : highest, CrisisLevel.NONE);
+    res.json({
+        session_id: redactor.sessionId,
+        crisis_level: crisisLevel,
+        reply: { role: 'assistant', content: redactor.rehydrate(reply, wrapped[0].handle) },
+        model_reply: reply,
+        sent_messages: wrapped.map(item => ({ role: item.role, content: item.prompt })),
+        redaction_entries: wrapped.flatMap((item, index) =>
+            item.redactionEntries.map(entry => ({ ...entry, message_index: index }))),
+        audit_log: redactor.generateAuditLog()
+    });
+});
+
+// Re-renders a text after a reviewer accepted, rejected, added or
+// recategorized spans (see sanctuai_review.js). The authenticated caller is
+// recorded as the reviewer in the audit trail, with `reviewer.name` if given
+// (`reviewer.id` is only used when authentication is disabled);
+// `update_lists` feeds rejections and additions into the allow/deny lists of
+// `organization_id`.
+app.post('/review', permit('review'), (req, res) => {
+    const { text, decisions, reviewer, session_id, mode, organization_id, update_lists = false } = req.body || {};
+
+    let redactor;
+    try {
+        redactor = getRedactor(req.principal, session_id, mode, organization_id);
+    } catch (error) {
+        return res.status(error instanceof AuthError ? error.status : 400).json({ error: error.message });
+    }
+
+    let review;
+    try {
+        review = redactor.reviewText(text, decisions, {
+            reviewer: req.principal.method === 'none'
+                ? reviewer
+                : { id: req.principal.id, name: (reviewer && reviewer.name) || null },
+            consent: consentFrom(req.body),
+            updateLists: update_lists === true
+        });
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    res.json({
+        session_id: redactor.sessionId,
+        redacted_text: review.redactedText,
+        residual_risk: review.residualRisk,
+        decisions: review.decisions,
+        audit_log: redactor.generateAuditLog(),
+        redaction_entries: review.redactionEntries,
+        consent_releases: review.consentReleases
+    });
+});
+
+// Terms are mostly names, so auditors get digests of them
+app.get('/organizations/:id/lists', permit('lists_read'), (req, res) => {
+    res.json(seesOriginalText(req.principal)
+        ? organizationLists.listsFor(req.params.id)
+        : organizationLists.digestsFor(req.params.id));
+});
+
+app.delete('/organizations/:id/lists/:term', permit('lists_write'), (req, res) => {
+    if (!organizationLists.remove(req.params.id, req.params.term)) {
+        return res.status(404).json({ error: `"${req.params.term}" is on neither list` });
+    }
+    res.json(organizationLists.listsFor(req.params.id));
+});
+
+// The record names the authenticated caller as the one who granted it
+app.post('/consent', permit('consent_write'), (req, res) => {
+    const body = req.body || {};
+    if (body.granted_by !== undefined) {
+        return res.status(400).json({ error: 'granted_by is taken from the authenticated caller' });
+    }
+    try {
+        res.status(201).json(consentRegistry.grant({ ...body, granted_by: req.principal.id }));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.get('/consent/:subjectId', permit('consent_read'), (req, res) => {
+    res.json({
+        subject_id: req.params.subjectId,
+        records: consentRegistry.recordsFor(req.params.subjectId)
+    });
+});
+
+app.post('/consent/:id/revoke', permit('consent_write'), (req, res) => {
+    try {
+        res.json(consentRegistry.revoke(req.params.id, (req.body && req.body.reason) || null));
+    } catch (error) {
+        res.status(404).json({ error: error.message });
+    }
+});
+
+// Audit records for a session plus a check of the whole chain. Originals are
+// only present as keyed digests (and ciphertext when encryption is enabled).
+app.get('/audit/:sessionId', permit('audit'), (req, res) => {
+    const records = auditStore.recordsFor(req.params.sessionId);
+    if (records.length === 0) {
+        return res.status(404).json({ error: 'No audit records for this session' });
+    }
+
+    res.json({
+        session_id: req.params.sessionId,
+        records,
+        verification: auditStore.verify()
+    });
+});
+
+// Body parser failures (oversized or malformed bodies) as JSON errors
+app.use((error, req, res, next) => {
+    if (res.headersSent || !(error.status >= 400 && error.status < 500)) {
+        return next(error);
+    }
+    const message = error.type === 'entity.too.large'
+        ? `Request bodies are limited to ${error.limit} bytes`
+        : error.message;
+    res.status(error.status).json({ error: message });
+});
+
+if (require.main === module) {
+    const PORT = process.env.PORT || 3000;
+    app.listen(PORT, () => {
+        console.log(`SanctuAI server running on port ${PORT}`);
+    });
+}
+
+module.exports = { app };
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SanctuAI } = require('../sanctuai_backend');
+const { AuditStore, verifyAuditFile } = require('../sanctuai_audit');
+const { ConsentRegistry } = require('../sanctuai_consent');
+const { CrisisLevel } = require('../sanctuai_crisis');
+
+test('consent releases keep no plaintext in the audit store', () => {
+    const auditStore = new AuditStore();
+    const consentRegistry = new ConsentRegistry();
+    consentRegistry.grant({ subject_id: 'client-1', purposes: ['research'], categories: ['SYMPTOM'] });
+    const engine = new SanctuAI({ auditStore, consentRegistry });
+
+    const { consentReleases } = engine.redactText('I had a panic attack and my depression is worse.',
+        { subjectId: 'client-1', purpose: 'research' });
+    assert.ok(consentReleases.length > 0);
+
+    const stored = JSON.stringify(auditStore.records);
+    for (const release of consentReleases) {
+        assert.ok(!stored.includes(release.original_text), `"${release.original_text}" is stored in plaintext`);
+    }
+});
+
+test('the audit log summarizes sessions that only released spans', () => {
+    const consentRegistry = new ConsentRegistry();
+    consentRegistry.grant({ subject_id: 'client-1', purposes: ['research'], categories: ['SYMPTOM'] });
+    const engine = new SanctuAI({ consentRegistry });
+
+    engine.redactText('Still dealing with depression.', { subjectId: 'client-1', purpose: 'research' });
+    const log = engine.generateAuditLog();
+    assert.strictEqual(log.total_redactions, 0);
+    assert.strictEqual(log.consent_status.released_under_consent, 1);
+});
+
+test('the audit chain cannot be recomputed without the key', () => {
+    const storePath = path.join(os.tmpdir(), `sanctuai-audit-${process.pid}.jsonl`);
+    const key = crypto.randomBytes(32).toString('hex');
+    try {
+        const store = new AuditStore({ key, path: storePath });
+        store.recordCrisis('session-1', { crisis_level: CrisisLevel.NONE, evidence: [], discounted_evidence: [] });
+        store.recordCrisis('session-1', { crisis_level: CrisisLevel.IMMINENT, evidence: [{}], discounted_evidence: [] });
+        assert.strictEqual(verifyAuditFile(storePath, key).valid, true);
+        assert.strictEqual(verifyAuditFile(storePath, crypto.randomBytes(32)).valid, false);
+
+        // Rewrite the last record and re-chain it with a plain sha256
+        const lines = fs.readFileSync(storePath, 'utf8').trim().split('\n');
+        const { hash, ...body } = JSON.parse(lines[2]);
+        body.crisis_level = CrisisLevel.NONE;
+        const forged = crypto.createHash('sha256').update(body.prev_hash + '\n' + JSON.stringify(body)).digest('hex');
+        lines[2] = JSON.stringify({ ...body, hash: forged });
+        fs.writeFileSync(storePath, lines.join('\n') + '\n');
+        assert.strictEqual(verifyAuditFile(storePath, key).valid, false);
+
+        assert.throws(() => new AuditStore({ key: crypto.randomBytes(32), path: storePath }), /another key/);
+    } finally {
+        fs.rmSync(storePath, { force: true });
+    }
+});
+
+test('a file-backed audit store refuses to start without a key', () => {
+    const storePath = path.join(os.tmpdir(), `sanctuai-audit-nokey-${process.pid}.jsonl`);
+    assert.throws(() => new AuditStore({ path: storePath }), /key is required/);
+    assert.ok(!fs.existsSync(storePath));
+});
@@ -0,0 +1,14 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RateLimiter } = require('../sanctuai_auth');
+
+test('peek reports a caller over its limit without counting a request', () => {
+    const failures = new RateLimiter({ max: 2 });
+    assert.strictEqual(failures.peek('10.0.0.1').allowed, true);
+    failures.take('10.0.0.1');
+    assert.strictEqual(failures.peek('10.0.0.1').allowed, true);
+    failures.take('10.0.0.1');
+    assert.strictEqual(failures.peek('10.0.0.1').allowed, false);
+    assert.strictEqual(failures.peek('10.0.0.1').remaining, 0);
+    assert.strictEqual(failures.peek('10.0.0.2').allowed, true);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { run } = require('../sanctuai_cli');
+
+function silentIO() {
+    const io = { out: '', stdout: { write: text => { io.out += text; } }, stderr: { write: () => {} } };
+    return io;
+}
+
+function tempDirectory(files) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sanctuai-cli-'));
+    for (const [name, content] of Object.entries(files)) {
+        fs.writeFileSync(path.join(directory, name), content);
+    }
+    return directory;
+}
+
+for (const format of ['same', 'json']) {
+    test(`inputs differing only in extension get their own outputs (--format ${format})`, () => {
+        const directory = tempDirectory({ 'notes.txt': 'Sarah has depression.', 'notes.md': 'John has anxiety.' });
+        try {
+            assert.strictEqual(run(['--format', format, directory], silentIO()), 0);
+            const written = fs.readdirSync(directory);
+            assert.ok(written.includes('notes.txt.audit.json'));
+            assert.ok(written.includes('notes.md.audit.json'));
+            assert.strictEqual(written.filter(name => /\.redacted\./.test(name)).length, 2);
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+}
+
+test('--check does not flag generalization tags', () => {
+    const directory = tempDirectory({
+        'note.redacted.txt': 'My [former partner] abused me and hit me. I take [SSRI] since [March 2024].'
+    });
+    try {
+        const io = silentIO();
+        assert.strictEqual(run(['--check', '--policy', 'policies/research_generalized.json', directory], io), 0, io.out);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('--check applies per-category thresholds', () => {
+    const directory = tempDirectory({
+        'note.txt': 'I felt sad.',
+        'policy.json': JSON.stringify({ name: 'strict_emotions', categories: { EMOTION: { thresholds: { high: 0.1 } } } })
+    });
+    try {
+        const io = silentIO();
+        assert.strictEqual(run(['--check', '--policy', path.join(directory, 'policy.json'), path.join(directory, 'note.txt')], io), 1);
+        assert.match(io.out, /Emotional Reference/);
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});
+
+test('generate writes the same seeded corpus every time', () => {
+    const first = silentIO();
+    const second = silentIO();
+    assert.strictEqual(run(['generate', '--seed', 'fixture', '--count', '3'], first), 0);
+    assert.strictEqual(run(['generate', '--seed', 'fixture', '--count', '3'], second), 0);
+    assert.strictEqual(first.out, second.out);
+    assert.strictEqual(JSON.parse(first.out).documents.length, 3);
+
+    const ndjson = silentIO();
+    assert.strictEqual(run(['generate', '--seed', 'fixture', '--count', '3', '--format', 'ndjson'], ndjson), 0);
+    assert.deepStrictEqual(ndjson.out.trim().split('\n').map(line => JSON.parse(line)), JSON.parse(first.out).documents);
+
+    assert.throws(() => run(['generate', '--kind', 'diary'], silentIO()), /Unknown document kind diary/);
+});
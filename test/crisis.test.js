@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SanctuAI, CrisisLevel } = require('../sanctuai_backend');
+
+function crisisLevel(text) {
+    return new SanctuAI().redactText(text).crisis.crisis_level;
+}
+
+// Negation and conditional cues must not carry past a comma, a new subject
+// or into a condition's consequent
+for (const text of [
+    "I don't want to live, I want to die.",
+    'I am not okay and I want to die.',
+    'If I lose this job I will kill myself.'
+]) {
+    test(`"${text}" is assessed as a crisis`, () => {
+        assert.notStrictEqual(crisisLevel(text), CrisisLevel.NONE);
+    });
+}
+
+test('denied or hypothetical ideation keeps at least concern', () => {
+    assert.strictEqual(crisisLevel('I would never kill myself.'), CrisisLevel.CONCERN);
+    assert.strictEqual(crisisLevel("I don't want to die."), CrisisLevel.CONCERN);
+});
+
+test('third-party and past mentions do not count', () => {
+    assert.strictEqual(crisisLevel('Years ago my cousin talked about suicide.'), CrisisLevel.NONE);
+});
+
+test('plans next to ideation are imminent', () => {
+    assert.strictEqual(crisisLevel('I want to die and I have the pills ready tonight.'), CrisisLevel.IMMINENT);
+});
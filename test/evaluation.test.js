@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SanctuAI } = require('../sanctuai_backend');
+const { loadCorpus, evaluate, regressions, renderHTML } = require('../evaluation/evaluate');
+
+function writeCorpus(documents) {
+    const file = path.join(os.tmpdir(), `sanctuai-corpus-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify({ name: 'fixture', documents }));
+    return file;
+}
+
+test('annotations resolve to every whole-word occurrence or the one asked for', () => {
+    const file = writeCorpus([{
+        id: 'doc',
+        text: 'My sister and my sister-in-law. My sister again.',
+        annotations: [
+            { text: 'sister', category: 'relation' },
+            { text: 'My', occurrence: 2, category: ['RELATION', 'PII'] },
+            { start: 0, end: 2, category: 'PII' }
+        ]
+    }]);
+    try {
+        const [document] = loadCorpus(file, new SanctuAI());
+        assert.deepStrictEqual(document.gold.map(({ start, end, categories }) => [start, end, categories]), [
+            [3, 9, ['RELATION']],
+            [17, 23, ['RELATION']],
+            [35, 41, ['RELATION']],
+            [32, 34, ['RELATION', 'PII']],
+            [0, 2, ['PII']]
+        ]);
+    } finally {
+        fs.rmSync(file, { force: true });
+    }
+});
+
+test('corpus errors name the document', () => {
+    const file = writeCorpus([{ id: 'doc', text: 'Hello there', annotations: [{ text: 'absent', category: 'PII' }] }]);
+    try {
+        assert.throws(() => loadCorpus(file, new SanctuAI()), /fixture\/doc: annotation "absent" not found/);
+        fs.writeFileSync(file, JSON.stringify({ name: 'fixture', documents: [
+            { id: 'doc', text: 'Hello there', annotations: [{ text: 'Hello', category: 'GREETING' }] }
+        ] }));
+        assert.throws(() => loadCorpus(file, new SanctuAI()), /fixture\/doc: unknown category "GREETING"/);
+    } finally {
+        fs.rmSync(file, { force: true });
+    }
+});
+
+test('missed spans count against recall and are reported as leaks', () => {
+    const report = evaluate([{
+        corpus: 'fixture',
+        id: 'doc',
+        text: 'I have depression and I love gardening.',
+        gold: [
+            { start: 7, end: 17, categories: ['SYMPTOM'], text: 'depression' },
+            { start: 30, end: 39, categories: ['SYMPTOM'], text: 'gardening' }
+        ]
+    }]);
+    assert.strictEqual(report.categories.SYMPTOM.gold, 2);
+    assert.strictEqual(report.categories.SYMPTOM.found, 1);
+    assert.strictEqual(report.categories.SYMPTOM.recall, 0.5);
+    assert.deepStrictEqual(report.leaks, [
+        { corpus: 'fixture', document: 'doc', category: 'SYMPTOM', text: 'gardening', kind: 'leaked' }
+    ]);
+});
+
+test('recall below the baseline tolerance is a regression', () => {
+    const report = { categories: { PII: { recall: 0.85 }, SYMPTOM: { recall: 0.79 }, EMOTION: { recall: null } } };
+    const baseline = { tolerance: 0.02, recall: { PII: 0.9, SYMPTOM: 0.8, EMOTION: 0.5, MEDICAL: 0.9 } };
+    assert.deepStrictEqual(regressions(report, baseline), [{ category: 'PII', baseline: 0.9, recall: 0.85 }]);
+});
+
+test('the HTML report escapes corpus text', () => {
+    const html = renderHTML({
+        generated_at: 'now',
+        documents: 1,
+        corpora: ['fixture'],
+        overall: { gold: 1, predicted: 0, precision: null, recall: 0, f1: null, leaked: 1, partial: 0, leakage_rate: 1 },
+        categories: {},
+        leaks: [{ corpus: 'fixture', document: 'doc', category: 'PII', text: '<script>alert(1)</script>', kind: 'leaked' }]
+    });
+    assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt;'));
+    assert.ok(!html.includes('<script>'));
+});
+
+test('the shipped corpus meets the recall baseline', () => {
+    const corpusDir = path.join(__dirname, '..', 'evaluation', 'corpus');
+    const engine = new SanctuAI();
+    const documents = fs.readdirSync(corpusDir)
+        .filter(file => file.endsWith('.json'))
+        .flatMap(file => loadCorpus(path.join(corpusDir, file), engine));
+    const baseline = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'evaluation', 'baseline.json'), 'utf8'));
+    assert.deepStrictEqual(regressions(evaluate(documents), baseline), []);
+});
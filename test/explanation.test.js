@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SanctuAI } = require('../sanctuai_backend');
+
+function explanations(text) {
+    return Object.fromEntries(new SanctuAI().redactText(text).redactionEntries
+        .map(entry => [entry.original_text, entry.explanation]));
+}
+
+test('lexicon matches name the detector, term and base score', () => {
+    const { depression } = explanations('I have severe depression.');
+    assert.deepStrictEqual(depression, {
+        detector: 'symptoms',
+        match: { type: 'lexicon', term: 'depression', group: 'symptom', language: 'en' },
+        base_score: 0.9,
+        adjustments: [],
+        final_score: 0.9,
+        suppressed: []
+    });
+});
+
+test('context adjustments record the rule and trigger word', () => {
+    const { Sarah } = explanations('My therapist Sarah said I was doing well.');
+    assert.strictEqual(Sarah.detector, 'names');
+    assert.deepStrictEqual(Sarah.adjustments, [{ rule: 'professional_title', trigger: 'therapist', delta: -0.2, score: 0.3 }]);
+    assert.strictEqual(Sarah.final_score, 0.3);
+
+    const birth = explanations('Born on 15 March 1987.')['15 March 1987'];
+    assert.strictEqual(birth.match.sub_type, 'date');
+    assert.deepStrictEqual(birth.adjustments, [{ rule: 'birth_context', trigger: 'born on', delta: 0.45, score: 0.95 }]);
+});
+
+test('assertion scaling is part of the trace', () => {
+    const { depressed } = explanations('I am not depressed.');
+    assert.deepStrictEqual(depressed.adjustments, [{ rule: 'assertion', trigger: 'negated', factor: 0.5, score: 0.45 }]);
+    assert.strictEqual(depressed.final_score, 0.45);
+});
+
+test('overlapping candidates that lost are listed without their text', () => {
+    const appointment = explanations('Follow-up appointment on 12 March.')['12 March'];
+    assert.strictEqual(appointment.detector, 'medical_entities');
+    assert.deepStrictEqual(appointment.suppressed, [{
+        start_pos: 25,
+        end_pos: 33,
+        reason: 'Personal Identifiable Information',
+        sub_type: 'date',
+        risk_score: 0.5,
+        detector: 'structured_pii',
+        resolution: 'nested',
+        decided_by: 'risk_score'
+    }]);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SanctuAI } = require('../sanctuai_backend');
+const { readZip, writeZip } = require('../sanctuai_zip');
+
+test('html attribute values, scripts, styles and comments are redacted', () => {
+    const html = '<html><head><style>/* Sarah Johnson */</style>' +
+        '<script src="app.js">var patient = "Sarah Johnson";</script></head>' +
+        '<body><!-- seen by Sarah Johnson --><p class="note" title="Sarah Johnson">Visit notes.</p>' +
+        '<img alt="Photo of Sarah Johnson" data-email=sarah.j@gmail.com>' +
+        '<input value=\'Sarah Johnson\'></body></html>';
+    const output = String(new SanctuAI().redactFile(Buffer.from(html), { format: 'html' }).output);
+
+    assert.ok(!output.includes('Sarah'), output);
+    assert.ok(!output.includes('sarah.j@gmail.com'), output);
+    // Markup and structural attributes are kept; unquoted values are quoted once replaced
+    assert.ok(output.includes('<script src="app.js">var patient = "['), output);
+    assert.ok(output.includes('<p class="note" title="['), output);
+    assert.match(output, /data-email="\[[^"]+\]"/);
+});
+
+test('json object keys are redacted, keeping values and key order', () => {
+    const json = JSON.stringify({ clients: { 'Jane Doe': { note: 'Doing better' }, 'John Smith': { note: 'Jane Doe called' } }, total: 2 });
+    const output = JSON.parse(String(new SanctuAI().redactFile(Buffer.from(json), { format: 'json' }).output));
+
+    const keys = Object.keys(output.clients);
+    assert.strictEqual(keys.length, 2);
+    assert.ok(keys.every(key => !/Jane|John/.test(key)), keys.join(', '));
+    assert.deepStrictEqual(Object.keys(output), ['clients', 'total']);
+    assert.strictEqual(output.clients[keys[0]].note, 'Doing better');
+    assert.ok(!output.clients[keys[1]].note.includes('Jane'));
+});
+
+test('docx authors of comments and tracked changes and free-text properties are cleared', () => {
+    const document = '<w:document><w:body><w:p><w:ins w:id="1" w:author="Sarah Johnson" w:date="2024-01-01T00:00:00Z">' +
+        '<w:r><w:t>Visit notes.</w:t></w:r></w:ins></w:p></w:body></w:document>';
+    const comments = '<w:comments><w:comment w:id="0" w:author="Sarah Johnson" w:initials="SJ"><w:p><w:r><w:t>Check</w:t></w:r></w:p></w:comment></w:comments>';
+    const core = '<cp:coreProperties><dc:title>Notes for Sarah Johnson</dc:title><dc:subject>Sarah Johnson</dc:subject>' +
+        '<cp:keywords>Johnson</cp:keywords><dc:creator>Sarah Johnson</dc:creator></cp:coreProperties>';
+    const input = writeZip([
+        { name: 'word/document.xml', method: 8, data: Buffer.from(document) },
+        { name: 'word/comments.xml', method: 8, data: Buffer.from(comments) },
+        { name: 'docProps/core.xml', method: 8, data: Buffer.from(core) }
+    ]);
+
+    const output = readZip(new SanctuAI().redactFile(input, { format: 'docx' }).output);
+    const text = output.map(entry => entry.data.toString('utf8')).join('\n');
+    assert.ok(!/Sarah|Johnson|"SJ"/.test(text), text);
+    assert.ok(text.includes('<w:t>Visit notes.</w:t>'), text);
+});
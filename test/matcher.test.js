@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { LexiconMatcher, foldCase } = require('../sanctuai_matcher');
+const { SanctuAI } = require('../sanctuai_backend');
+
+test('foldCase keeps offsets when lower-casing changes length', () => {
+    const text = 'İİ Depression';
+    assert.strictEqual(foldCase(text).length, text.length);
+    assert.strictEqual(foldCase(text).slice(3), 'depression');
+});
+
+test('matches in text with length-changing case are reported at original offsets', () => {
+    const matcher = new LexiconMatcher();
+    matcher.add('depression');
+    const text = 'İİİİ I have Depression';
+    const [match] = matcher.scan(text);
+    assert.strictEqual(text.substring(match.start, match.end), 'Depression');
+});
+
+test('redaction covers lexicon terms after length-changing characters', () => {
+    const text = 'İİİİ I have depression and my father hit me.';
+    const { redactedText, redactionEntries } = new SanctuAI().redactText(text);
+    assert.ok(!/depr|ession|father/.test(redactedText), redactedText);
+    for (const entry of redactionEntries) {
+        assert.strictEqual(text.substring(entry.start_pos, entry.end_pos), entry.original_text);
+    }
+});
+
+test('context triggers are checked for negation at original offsets', () => {
+    const riskOf = prefix => {
+        const { redactionEntries } = new SanctuAI().redactText(`${prefix} Never any thoughts of suicide. Today I feel hopeless`, true);
+        return redactionEntries.find(entry => entry.original_text === 'suicide').risk_score;
+    };
+    assert.strictEqual(riskOf('İİİİİİİİİİ'), riskOf('IIIIIIIIII'));
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MedicalEntityDetector, MedicalType, generalizeMedical } = require('../sanctuai_medical');
+const { SanctuAI, RedactionReason } = require('../sanctuai_backend');
+
+function detected(text, dates) {
+    return new MedicalEntityDetector().detect(text, dates).map(({ text: value, subType }) => [subType, value]);
+}
+
+test('medications are found by generic and brand name', () => {
+    const [zoloft, lithium] = new MedicalEntityDetector().detect('Started Zoloft, then lithium.');
+    assert.strictEqual(zoloft.subType, MedicalType.MEDICATION);
+    assert.strictEqual(zoloft.text, 'Zoloft');
+    assert.strictEqual(zoloft.attributes.generic, 'sertraline');
+    assert.strictEqual(zoloft.attributes.class_label, 'SSRI');
+    assert.strictEqual(lithium.attributes.class_label, 'mood stabilizer');
+});
+
+test('dosages include their frequency', () => {
+    assert.deepStrictEqual(detected('Take 50mg twice daily and 0.5 mg at night.'), [
+        [MedicalType.DOSAGE, '50mg twice daily'],
+        [MedicalType.DOSAGE, '0.5 mg at night']
+    ]);
+});
+
+test('diagnosis codes outside chapter V subdivisions need clinical context', () => {
+    assert.deepStrictEqual(detected('Assessed as F32.1 today.'), [[MedicalType.DIAGNOSIS_CODE, 'F32.1']]);
+    assert.deepStrictEqual(detected('Diagnosis code F41 recorded.'), [[MedicalType.DIAGNOSIS_CODE, 'F41']]);
+    assert.deepStrictEqual(detected('DSM-IV 296.32 on file.'), [[MedicalType.DIAGNOSIS_CODE, '296.32']]);
+    assert.deepStrictEqual(detected('Room F41 is upstairs, seat 296.32.'), []);
+});
+
+test('facility names drop the words that start the sentence', () => {
+    assert.deepStrictEqual(detected('Then Riverside Psychiatric Unit discharged her.'),
+        [[MedicalType.FACILITY, 'Riverside Psychiatric Unit']]);
+    assert.deepStrictEqual(detected('The Hospital was busy.'), []);
+});
+
+test('dates after appointment wording are appointments', () => {
+    const text = 'Follow-up booked for 12 March. Her birthday is 3 June.';
+    const dates = [
+        { text: '12 March', start: 21, end: 29 },
+        { text: '3 June', start: 47, end: 53 }
+    ];
+    assert.deepStrictEqual(detected(text, dates), [[MedicalType.APPOINTMENT, '12 March']]);
+});
+
+test('generalization levels describe medications and codes more coarsely', () => {
+    const attributes = { generic: 'sertraline', drug_class: 'ssri', class_label: 'SSRI' };
+    assert.strictEqual(generalizeMedical(MedicalType.MEDICATION, attributes, 'generic'), '[sertraline]');
+    assert.strictEqual(generalizeMedical(MedicalType.MEDICATION, attributes, 'class'), '[SSRI]');
+    assert.strictEqual(generalizeMedical(MedicalType.MEDICATION, attributes, 'redact'), null);
+
+    const code = { code: 'F32.1' };
+    assert.strictEqual(generalizeMedical(MedicalType.DIAGNOSIS_CODE, code, 'category'), '[F32]');
+    assert.strictEqual(generalizeMedical(MedicalType.DIAGNOSIS_CODE, code, 'block'), '[F30-F39 mood (affective) disorders]');
+    assert.strictEqual(generalizeMedical(MedicalType.DIAGNOSIS_CODE, code, 'chapter'), '[mental and behavioural disorders]');
+    assert.strictEqual(generalizeMedical(MedicalType.DIAGNOSIS_CODE, { code: 'G43.1' }, 'block'), '[diseases of the nervous system]');
+});
+
+test('medical entities are redacted under MEDICAL with the policy generalization', () => {
+    const engine = new SanctuAI({ policy: { categories: { MEDICAL: { generalize: { medication: 'class' } } } } });
+    const { redactedText, redactionEntries } = engine.redactText('She takes Zoloft 50mg daily.');
+    assert.ok(redactedText.includes('[SSRI]'), redactedText);
+    assert.ok(!redactedText.includes('50mg'), redactedText);
+    const medical = redactionEntries.filter(entry => entry.reason === RedactionReason.MEDICAL);
+    assert.deepStrictEqual(medical.map(entry => entry.sub_type), [MedicalType.MEDICATION, MedicalType.DOSAGE]);
+});
+
+test('invalid medical generalizations are rejected', () => {
+    assert.throws(() => new SanctuAI({ policy: { categories: { MEDICAL: { generalize: { medication: 'brand' } } } } }),
+        /Invalid generalization "brand" for medication/);
+    assert.throws(() => new MedicalEntityDetector({ dictionary: { drugs: [] } }), /need a "classes" object/);
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SanctuAI } = require('../sanctuai_backend');
+const { StubModelClient } = require('../sanctuai_model');
+
+test('prompts are pseudonymized and replies map back to the originals', async () => {
+    const engine = new SanctuAI();
+    const wrapped = engine.wrapForModel('Call me on 555-123-4567 or write to jo@example.com.');
+    assert.ok(!wrapped.prompt.includes('555-123-4567'), wrapped.prompt);
+    assert.ok(!wrapped.prompt.includes('jo@example.com'), wrapped.prompt);
+    assert.deepStrictEqual(wrapped.handle, { session_id: engine.sessionId });
+
+    const reply = await new StubModelClient().complete([{ role: 'user', content: wrapped.prompt }]);
+    assert.strictEqual(engine.rehydrate(reply, wrapped.handle),
+        'You said: Call me on 555-123-4567 or write to jo@example.com.');
+});
+
+test('surrogates from earlier messages in the session are restored', () => {
+    const engine = new SanctuAI();
+    const first = engine.wrapForModel('Write to jo@example.com.');
+    const second = engine.wrapForModel('Or call 555-123-4567.');
+    const surrogate = first.prompt.replace(/^Write to (.*)\.$/, '$1');
+    assert.strictEqual(engine.rehydrate(`Writing to ${surrogate} now.`, second.handle), 'Writing to jo@example.com now.');
+});
+
+test('rehydrate needs a handle and text', () => {
+    const engine = new SanctuAI();
+    assert.strictEqual(engine.rehydrate('Nothing to restore.', { session_id: engine.sessionId }), 'Nothing to restore.');
+    assert.throws(() => engine.rehydrate('Hi', null), /handle from wrapForModel is required/);
+    assert.throws(() => engine.rehydrate({ content: 'Hi' }, { session_id: engine.sessionId }), /must be a string/);
+});
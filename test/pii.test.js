@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PIIDetector, PIIType, parseDate } = require('../sanctuai_pii');
+const { SanctuAI, RedactionReason } = require('../sanctuai_backend');
+
+function detected(text) {
+    return new PIIDetector().detect(text).map(({ text: value, subType }) => [subType, value]);
+}
+
+test('emails, phone numbers, URLs and handles are detected with their sub-type', () => {
+    const found = detected('Email me at jo.smith@mail.example.com or call (212) 555-7890, see www.example.org/me and @jo_smith.');
+    assert.deepStrictEqual(found, [
+        [PIIType.EMAIL, 'jo.smith@mail.example.com'],
+        [PIIType.URL, 'www.example.org/me'],
+        [PIIType.SOCIAL_HANDLE, '@jo_smith'],
+        [PIIType.PHONE, '(212) 555-7890']
+    ]);
+});
+
+test('identifier numbers must pass their checks', () => {
+    assert.deepStrictEqual(detected('SSN 123-45-6789'), [[PIIType.SSN, '123-45-6789']]);
+    assert.deepStrictEqual(detected('SSN 666-45-6789').filter(([subType]) => subType === PIIType.SSN), []);
+
+    assert.deepStrictEqual(detected('Card 4111 1111 1111 1111').filter(([subType]) => subType === PIIType.CREDIT_CARD),
+        [[PIIType.CREDIT_CARD, '4111 1111 1111 1111']]);
+    assert.deepStrictEqual(detected('Card 4111 1111 1111 1112').filter(([subType]) => subType === PIIType.CREDIT_CARD), []);
+
+    // NHS numbers need both the check digit and the word NHS nearby
+    assert.deepStrictEqual(detected('NHS number 943 476 5919').filter(([subType]) => subType === PIIType.NHS_NUMBER),
+        [[PIIType.NHS_NUMBER, '943 476 5919']]);
+    assert.deepStrictEqual(detected('NHS number 943 476 5918').filter(([subType]) => subType === PIIType.NHS_NUMBER), []);
+    assert.deepStrictEqual(detected('Reference 943 476 5919').filter(([subType]) => subType === PIIType.NHS_NUMBER), []);
+});
+
+test('addresses, record numbers and IP addresses are detected', () => {
+    assert.deepStrictEqual(detected('She lives at 42 Maple Street, Apt 3.'), [[PIIType.ADDRESS, '42 Maple Street, Apt 3']]);
+    assert.deepStrictEqual(detected('MRN: AB-123456'), [[PIIType.MEDICAL_RECORD, 'AB-123456']]);
+    assert.deepStrictEqual(detected('Logged in from 192.168.10.4'), [[PIIType.IP_ADDRESS, '192.168.10.4']]);
+    assert.deepStrictEqual(detected('Version 999.1.1.1'), []);
+});
+
+test('dates after a birth indicator become dates of birth', () => {
+    const [birth] = new PIIDetector().detect('Born on 15 March 1987.');
+    assert.strictEqual(birth.subType, PIIType.DATE_OF_BIRTH);
+    assert.strictEqual(birth.text, '15 March 1987');
+    assert.strictEqual(birth.riskScore, 0.95);
+
+    const [date] = new PIIDetector().detect('Seen on 15 March 1987.');
+    assert.strictEqual(date.subType, PIIType.DATE);
+    assert.deepStrictEqual(detected('On 31/02/2020 nothing happened'), []);
+});
+
+test('ambiguous numeric dates leave the month unknown', () => {
+    assert.deepStrictEqual(parseDate('03/04/2020'), { year: 2020, month: null, day: null });
+    assert.deepStrictEqual(parseDate('25/12/2020'), { year: 2020, month: 12, day: 25 });
+    assert.deepStrictEqual(parseDate('1987-03-15'), { year: 1987, month: 3, day: 15 });
+    assert.strictEqual(parseDate('2020-13-01'), null);
+});
+
+test('structured identifiers are redacted as PII with their sub-type', () => {
+    const { redactedText, redactionEntries } = new SanctuAI().redactText('Write to jo.smith@example.com about SSN 123-45-6789.');
+    assert.ok(!redactedText.includes('jo.smith@example.com'));
+    assert.ok(!redactedText.includes('123-45-6789'));
+    const pii = redactionEntries.filter(entry => entry.reason === RedactionReason.PII);
+    assert.deepStrictEqual(pii.map(entry => entry.sub_type).sort(), [PIIType.EMAIL, PIIType.SSN]);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { SanctuAI, RedactionReason } = require('../sanctuai_backend');
+const { RedactionPolicy, loadPolicy } = require('../sanctuai_policy');
+
+const NOTE = 'I feel anxious about my depression.';
+
+test('disabled categories and keep actions leave their text in place', () => {
+    const { redactedText } = new SanctuAI({
+        policy: { categories: { EMOTION: { enabled: false }, SYMPTOM: { action: 'keep' } } }
+    }).redactText(NOTE);
+    assert.strictEqual(redactedText, NOTE);
+});
+
+test('category actions and thresholds choose the tag', () => {
+    const anonymized = new SanctuAI({ policy: { categories: { SYMPTOM: { action: 'anonymize' } } } }).redactText(NOTE);
+    assert.ok(anonymized.redactedText.includes(`[ANONYMIZED:${RedactionReason.SYMPTOM}]`));
+
+    const lowered = new SanctuAI({ policy: { thresholds: { high: 0, medium: 0 } } }).redactText(NOTE);
+    for (const entry of lowered.redactionEntries) {
+        assert.ok(entry.redacted_text.startsWith('[REDACTED_HIGH_RISK:'), entry.redacted_text);
+    }
+});
+
+test('custom lexicon terms are detected', () => {
+    const text = 'My stepfather called about the lithium.';
+    assert.strictEqual(new SanctuAI().redactText(text).redactedText.includes('stepfather'), true);
+
+    const { redactedText, redactionEntries } = new SanctuAI({
+        policy: { lexicons: { relationships: { stepfather: 0.9 }, medical: ['lithium'] } }
+    }).redactText(text);
+    assert.ok(!redactedText.includes('stepfather'));
+    assert.ok(!redactedText.includes('lithium'));
+    assert.ok(redactionEntries.some(entry => entry.reason === RedactionReason.RELATION));
+});
+
+test('registered detectors feed the candidate pipeline', () => {
+    const detector = {
+        name: 'employee-ids',
+        category: 'PII',
+        detect: text => Array.from(text.matchAll(/\bEMP-\d{4}\b/g), match => ({
+            start: match.index,
+            end: match.index + match[0].length,
+            riskScore: 0.9,
+            subType: 'employee_id'
+        }))
+    };
+
+    const engine = new SanctuAI({ policy: { detectors: [detector] } });
+    const { redactedText, redactionEntries } = engine.redactText('Badge EMP-1234 was used.');
+    assert.strictEqual(redactedText, `Badge [REDACTED_HIGH_RISK:${RedactionReason.PII}] was used.`);
+    assert.strictEqual(redactionEntries[0].sub_type, 'employee_id');
+
+    assert.throws(() => engine.registerDetector(detector), /already registered/);
+    assert.throws(() => engine.registerDetector({ name: 'other', category: 'NOPE', detect: () => [] }), /unknown category/);
+    engine.unregisterDetector('employee-ids');
+    assert.strictEqual(engine.redactText('Badge EMP-1234 was used.').redactedText, 'Badge EMP-1234 was used.');
+});
+
+test('invalid policies are rejected', () => {
+    assert.throws(() => new RedactionPolicy({ default_action: 'shred' }), /Invalid action "shred"/);
+    assert.throws(() => new RedactionPolicy({ lexicons: { colours: [] } }), /Unknown lexicon "colours"/);
+    assert.throws(() => new RedactionPolicy({ detectors: [{ name: 'broken' }] }), /Detectors must provide/);
+    assert.throws(() => new SanctuAI({ policy: { categories: { HOBBY: { action: 'keep' } } } }), /Unknown redaction category "HOBBY"/);
+});
+
+test('the shipped policy files load', () => {
+    for (const name of ['patient_summary', 'research_export', 'supervisor_review', 'research_generalized']) {
+        const policy = loadPolicy(path.join(__dirname, '..', 'policies', `${name}.json`));
+        assert.strictEqual(policy.name, name);
+        new SanctuAI({ policy });
+    }
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { OrganizationLists } = require('../sanctuai_review');
+
+test('organization lists are stored encrypted and reload with their key', () => {
+    const storagePath = path.join(os.tmpdir(), `sanctuai-lists-${process.pid}.json`);
+    const key = crypto.randomBytes(32).toString('hex');
+    try {
+        const lists = new OrganizationLists({ key, storagePath });
+        lists.deny('clinic-1', 'Zephyrine Okafor', 'PII', { addedBy: 'reviewer-1' });
+        lists.allow('clinic-1', 'clean');
+        assert.ok(!fs.readFileSync(storagePath, 'utf8').includes('Zephyrine'));
+
+        const reloaded = new OrganizationLists({ key, storagePath });
+        assert.deepStrictEqual(reloaded.denied('clinic-1').map(item => item.term), ['Zephyrine Okafor']);
+        assert.strictEqual(reloaded.isAllowed('clinic-1', 'Clean'), true);
+
+        assert.throws(() => new OrganizationLists({ key: crypto.randomBytes(32), storagePath }), /invalid key/);
+        assert.throws(() => new OrganizationLists({ storagePath }), /key is required/);
+    } finally {
+        fs.rmSync(storagePath, { force: true });
+    }
+});
+
+test('list digests leave the terms out', () => {
+    const lists = new OrganizationLists();
+    lists.deny('clinic-1', 'Zephyrine Okafor', 'PII');
+    const digests = lists.digestsFor('clinic-1');
+
+    assert.ok(!JSON.stringify(digests).includes('Zephyrine'));
+    assert.strictEqual(digests.deny[0].category, 'PII');
+    assert.match(digests.deny[0].term_digest, /^[0-9a-f]{64}$/);
+});
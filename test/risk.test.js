@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ResidualRiskAnalyzer } = require('../sanctuai_risk');
+const { SanctuAI } = require('../sanctuai_backend');
+
+const analyzer = new ResidualRiskAnalyzer();
+
+test('plain text with nothing identifying is low risk', () => {
+    const risk = analyzer.analyze('I felt better this week.');
+    assert.strictEqual(risk.score, 0);
+    assert.strictEqual(risk.level, 'low');
+    assert.strictEqual(risk.k_estimate, risk.population);
+    assert.deepStrictEqual(risk.reasons, []);
+});
+
+test('quasi-identifiers combine into a k estimate', () => {
+    const age = analyzer.analyze('I had a 34-year-old friend.');
+    assert.deepStrictEqual(age.quasi_identifiers.map(qi => qi.type), ['age']);
+    assert.strictEqual(age.k_estimate, Math.floor(1000000 / 70));
+
+    const combined = analyzer.analyze('A 34-year-old nurse with trichotillomania.');
+    assert.deepStrictEqual(combined.quasi_identifiers.map(qi => `${qi.type}:${qi.specificity}`),
+        ['age:exact', 'occupation:exact', 'diagnosis:rare']);
+    assert.strictEqual(combined.k_estimate, 1);
+    assert.strictEqual(combined.level, 'high');
+    assert.ok(combined.reasons.includes('Unredacted diagnosis "trichotillomania" is shared by about 1 in 1,000 people'));
+});
+
+test('a direct identifier left in place means k = 1', () => {
+    const risk = analyzer.analyze('Email me at jo@example.com.');
+    assert.strictEqual(risk.k_estimate, 1);
+    assert.strictEqual(risk.score, 100);
+    assert.deepStrictEqual(risk.direct_identifiers.map(identifier => identifier.type), ['email']);
+    assert.match(risk.reasons[0], /^Unredacted email "jo@example.com" identifies the person directly/);
+});
+
+test('capitalized words after a replacement are flagged, the replacement is not', () => {
+    const risk = analyzer.analyze('I met [REDACTED:Personal Identifiable Information] near Brockwell yesterday.');
+    assert.deepStrictEqual(risk.flagged_tokens.map(token => `${token.kind}:${token.text}`), ['capitalized:Brockwell']);
+    assert.strictEqual(risk.score, 15);
+});
+
+test('redactText reports the risk of its own output', () => {
+    const { redactedText, residualRisk } = new SanctuAI().redactText('Sarah is a 34-year-old nurse.');
+    assert.ok(!redactedText.includes('34'));
+    assert.deepStrictEqual(residualRisk.quasi_identifiers.map(qi => qi.text), ['nurse']);
+    assert.strictEqual(residualRisk.k_estimate, 20000);
+});
+
+test('generalized ages still count at their coarser level', () => {
+    const engine = new SanctuAI({ policy: { categories: { PII: { generalize: { age: 'range' } } } } });
+    const { residualRisk } = engine.redactText('He is a 34-year-old man.');
+    const [age] = residualRisk.quasi_identifiers;
+    assert.strictEqual(age.type, 'age');
+    assert.strictEqual(age.specificity, 'range');
+    assert.strictEqual(age.generalized, true);
+});
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Two submitters and an admin, configured before the server module loads
+const KEYS = { alice: 'alice-key', bob: 'bob-key', admin: 'admin-key' };
+const keysPath = path.join(os.tmpdir(), `sanctuai-keys-${process.pid}.json`);
+fs.writeFileSync(keysPath, JSON.stringify({
+    keys: Object.entries(KEYS).map(([id, key]) => ({
+        id,
+        key_sha256: crypto.createHash('sha256').update(key).digest('hex'),
+        roles: [id === 'admin' ? 'admin' : 'submitter']
+    }))
+}));
+process.env.SANCTUAI_API_KEYS = keysPath;
+process.env.SANCTUAI_ACCESS_LOG = os.devNull;
+process.env.SANCTUAI_MODEL_URL = 'stub';
+const { app } = require('../server');
+
+let server;
+let base;
+
+test.before(() => new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', () => {
+        base = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+    });
+}));
+
+test.after(() => {
+    server.close();
+    fs.rmSync(keysPath, { force: true });
+});
+
+async function post(caller, route, body) {
+    const response = await fetch(base + route, {
+        method: 'POST',
+        headers: {
+            'content-type': typeof body === 'string' ? 'application/x-ndjson' : 'application/json',
+            'x-api-key': KEYS[caller]
+        },
+        body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.text() };
+}
+
+test('sessions only accept requests from the caller that started them', async () => {
+    assert.strictEqual((await post('alice', '/redact', { text: 'Sarah is sad', session_id: 'owned-1' })).status, 200);
+    assert.strictEqual((await post('alice', '/redact', { text: 'Again', session_id: 'owned-1' })).status, 200);
+
+    for (const [route, body] of [
+        ['/redact', { text: 'Hi', session_id: 'owned-1' }],
+        ['/redact/batch', { documents: [{ text: 'Hi' }], session_id: 'owned-1' }],
+        ['/redact/transcript', { transcript: 'Client: Hi', session_id: 'owned-1' }],
+        ['/redact/stream?session_id=owned-1', '{"text":"Hi"}\n'],
+        ['/redact/file?format=text&session_id=owned-1', 'Hi']
+    ]) {
+        const { status, body: text } = await post('bob', route, body);
+        assert.strictEqual(status, 403, `${route}: ${text}`);
+    }
+});
+
+test('the stream summary carries no original text', async () => {
+    const { status, body } = await post('alice', '/redact/stream', '{"text":"Sarah is sad"}\n');
+    assert.strictEqual(status, 200);
+    const summary = JSON.parse(body.trim().split('\n').pop());
+    assert.strictEqual(summary.type, 'summary');
+    assert.ok(!body.includes('Sarah'), body);
+});
+
+test('consent records name the authenticated caller as grantor', async () => {
+    const consent = { subject_id: 'client-1', purposes: ['research'], categories: ['SYMPTOM'] };
+    const granted = await post('admin', '/consent', consent);
+    assert.strictEqual(granted.status, 201);
+    assert.strictEqual(JSON.parse(granted.body).granted_by, 'admin');
+
+    const claimed = await post('admin', '/consent', { ...consent, granted_by: 'dr-someone-else' });
+    assert.strictEqual(claimed.status, 400);
+});
+
+test('invalid modes and mode changes within a session are rejected', async () => {
+    const invalid = await post('alice', '/redact', { text: 'Sarah is sad', mode: 'bogus' });
+    assert.strictEqual(invalid.status, 400);
+    assert.match(JSON.parse(invalid.body).error, /Invalid action "bogus"/);
+
+    assert.strictEqual((await post('alice', '/redact', { text: 'Sarah is sad', session_id: 'moded-1', mode: 'pseudonymize' })).status, 200);
+    for (const [route, body] of [
+        ['/redact', { text: 'Hi', session_id: 'moded-1', mode: 'redact' }],
+        ['/redact/batch', { documents: [{ text: 'Hi' }], session_id: 'moded-1', mode: 'redact' }],
+        ['/redact/stream?session_id=moded-1&mode=redact', '{"text":"Hi"}\n']
+    ]) {
+        const { status, body: text } = await post('alice', route, body);
+        assert.strictEqual(status, 400, `${route}: ${text}`);
+        assert.match(JSON.parse(text).error, /start a new session/);
+    }
+});
+
+test('requests without text are rejected', async () => {
+    assert.strictEqual((await post('alice', '/redact', {})).status, 400);
+    assert.strictEqual((await post('alice', '/redact', { text: 42 })).status, 400);
+    assert.strictEqual((await post('alice', '/redact/batch', { documents: 'Hi' })).status, 400);
+});
+
+test('redaction responses carry the residual risk and its reasons', async () => {
+    const { status, body } = await post('alice', '/redact', { text: 'Email me at jo@example.com, I am a nurse.' });
+    assert.strictEqual(status, 200);
+    const { residual_risk: risk } = JSON.parse(body);
+    assert.strictEqual(typeof risk.score, 'number');
+    assert.ok(Array.isArray(risk.reasons) && risk.reasons.length > 0, body);
+});
+
+test('the chat proxy sends pseudonyms to the model and returns the reply restored', async () => {
+    const started = await post('alice', '/proxy/chat', { message: 'Write to jo@example.com.' });
+    assert.strictEqual(started.status, 200);
+    const chat = JSON.parse(started.body);
+    assert.ok(!chat.sent_messages[0].content.includes('jo@example.com'), started.body);
+    assert.ok(!chat.model_reply.includes('jo@example.com'), started.body);
+    assert.strictEqual(chat.reply.content, 'You said: Write to jo@example.com.');
+
+    const followed = await post('alice', '/proxy/chat', { message: 'And jo@example.com again.', session_id: chat.session_id });
+    assert.strictEqual(followed.status, 200);
+    assert.strictEqual(JSON.parse(followed.body).sent_messages[0].content, chat.sent_messages[0].content.replace(/^Write to (.*)\.$/, 'And $1 again.'));
+
+    assert.strictEqual((await post('bob', '/proxy/chat', { message: 'Hi', session_id: chat.session_id })).status, 404);
+    assert.strictEqual((await post('alice', '/proxy/chat', { messages: [{ role: 'user' }] })).status, 400);
+});
+
+test('samples are reproducible from their seed', async () => {
+    const fetchSamples = async query => {
+        const response = await fetch(`${base}/samples?${query}`, { headers: { 'x-api-key': KEYS.bob } });
+        return { status: response.status, body: await response.text() };
+    };
+    const first = await fetchSamples('seed=fixture&count=4');
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual((await fetchSamples('seed=fixture&count=4')).body, first.body);
+    assert.strictEqual(JSON.parse(first.body).documents.length, 4);
+    assert.strictEqual((await fetchSamples('count=0')).status, 400);
+    assert.strictEqual((await fetchSamples('kind=diary')).status, 400);
+});
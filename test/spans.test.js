@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SpanResolver, applyReplacements, OVERLAP_MODES } = require('../sanctuai_spans');
+const { SanctuAI } = require('../sanctuai_backend');
+const { SyntheticGenerator } = require('../sanctuai_synthetic');
+
+/*
+ * Property-based checks that offsets survive span resolution and replacement:
+ * random candidates over random text, resolved in every overlap mode, must
+ * come out ordered, disjoint and covering exactly the candidates' characters,
+ * and replacements must map back to the original text.
+ */
+
+const RUNS = 300;
+const CATEGORIES = ['PII', 'SYMPTOM', 'MEDICAL', 'RELATION'];
+
+// Seeded generator (mulberry32), so a failing run can be replayed
+function randomSource(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function integer(random, min, max) {
+    return min + Math.floor(random() * (max - min + 1));
+}
+
+function randomText(random) {
+    const alphabet = 'abcdefgh ijkl mnop,. é😀';
+    return Array.from({ length: integer(random, 1, 80) }, () => alphabet[integer(random, 0, alphabet.length - 1)]).join('');
+}
+
+function randomCandidates(random, text) {
+    return Array.from({ length: integer(random, 0, 10) }, () => {
+        const start = integer(random, 0, text.length);
+        const end = integer(random, start, Math.min(text.length, start + 20));
+        return {
+            start,
+            end,
+            text: text.substring(start, end),
+            category: CATEGORIES[integer(random, 0, CATEGORIES.length - 1)],
+            riskScore: [0.4, 0.6, 0.8, 0.95][integer(random, 0, 3)]
+        };
+    });
+}
+
+function covered(spans) {
+    const positions = new Set();
+    for (const { start, end } of spans) {
+        for (let i = start; i < end; i++) positions.add(i);
+    }
+    return positions;
+}
+
+for (const overlap of OVERLAP_MODES) {
+    test(`${overlap} resolution yields ordered, disjoint spans covering every candidate`, () => {
+        for (let run = 0; run < RUNS; run++) {
+            const random = randomSource(run);
+            const text = randomText(random);
+            const candidates = randomCandidates(random, text);
+            const resolver = new SpanResolver({ overlap, priorities: { PII: integer(random, 0, 2) } });
+            const resolved = resolver.resolve(candidates, text);
+            const context = `seed ${run}`;
+
+            for (let i = 0; i < resolved.length; i++) {
+                const span = resolved[i];
+                assert.ok(span.start < span.end, context);
+                assert.strictEqual(span.text, text.substring(span.start, span.end), context);
+                if (i > 0) assert.ok(resolved[i - 1].end <= span.start, context);
+            }
+            assert.deepStrictEqual([...covered(resolved)].sort((a, b) => a - b),
+                [...covered(candidates)].sort((a, b) => a - b), context);
+
+            const accounted = resolved.reduce((sum, span) => sum + 1 + span.overlapping.length, 0);
+            assert.strictEqual(accounted, candidates.filter(span => span.end > span.start).length, context);
+        }
+    });
+}
+
+test('priority resolution widens a winner over a partly overlapping span', () => {
+    const text = 'having suicidal thoughts again';
+    const [span] = new SpanResolver().resolve([
+        { start: 7, end: 15, text: 'suicidal', category: 'EMOTION', riskScore: 0.95 },
+        { start: 7, end: 24, text: 'suicidal thoughts', category: 'SYMPTOM', riskScore: 0.9 },
+        { start: 16, end: 30, text: 'thoughts again', category: 'SYMPTOM', riskScore: 0.5 }
+    ], text);
+
+    assert.strictEqual(span.text, 'suicidal thoughts again');
+    assert.strictEqual(span.category, 'EMOTION');
+    assert.deepStrictEqual(span.overlapping.map(other => other.resolution), ['merged', 'merged']);
+});
+
+test('replacement offsets round-trip to the original text', () => {
+    for (let run = 0; run < RUNS; run++) {
+        const random = randomSource(run);
+        const text = randomText(random);
+        const resolved = new SpanResolver().resolve(randomCandidates(random, text), text);
+        const replacements = resolved.map(span => ({
+            start: span.start,
+            end: span.end,
+            replacement: '#'.repeat(integer(random, 0, 12))
+        }));
+        const { text: output, offsets } = applyReplacements(text, replacements);
+        const context = `seed ${run}`;
+
+        let restored = output;
+        for (let i = replacements.length - 1; i >= 0; i--) {
+            assert.strictEqual(output.substring(offsets[i].output_start, offsets[i].output_end), replacements[i].replacement, context);
+            restored = restored.substring(0, offsets[i].output_start) +
+                text.substring(replacements[i].start, replacements[i].end) +
+                restored.substring(offsets[i].output_end);
+        }
+        assert.strictEqual(restored, text, context);
+    }
+});
+
+test('applyReplacements rejects overlapping replacements', () => {
+    assert.throws(() => applyReplacements('abcdef', [
+        { start: 0, end: 3, replacement: 'x' },
+        { start: 2, end: 4, replacement: 'y' }
+    ]), /overlaps/);
+});
+
+// The same properties end to end, on synthetic notes with every strategy
+for (const mode of ['redact', 'pseudonymize']) {
+    test(`redactText entry offsets round-trip in ${mode} mode`, () => {
+        const engine = new SanctuAI({ mode });
+        const corpus = new SyntheticGenerator(engine, { seed: 'spans' }).corpus({ count: 12 });
+
+        for (const { id, text } of corpus.documents) {
+            const { redactedText, redactionEntries } = engine.redactText(text, true);
+            const entries = [...redactionEntries].sort((a, b) => a.start_pos - b.start_pos);
+
+            let restored = '';
+            let cursor = 0;
+            let outputCursor = 0;
+            for (const entry of entries) {
+                assert.strictEqual(text.substring(entry.start_pos, entry.end_pos), entry.original_text, id);
+                assert.strictEqual(redactedText.substring(entry.output_start_pos, entry.output_end_pos), entry.redacted_text, id);
+                assert.ok(entry.start_pos >= cursor, id);
+                // Text between entries is copied unchanged
+                assert.strictEqual(redactedText.substring(outputCursor, entry.output_start_pos), text.substring(cursor, entry.start_pos), id);
+                restored += text.substring(cursor, entry.start_pos) + entry.original_text;
+                cursor = entry.end_pos;
+                outputCursor = entry.output_end_pos;
+            }
+            restored += redactedText.substring(outputCursor);
+            assert.strictEqual(restored, text, id);
+        }
+    });
+}
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SyntheticGenerator, DOCUMENT_KINDS } = require('../sanctuai_synthetic');
+const { SanctuAI } = require('../sanctuai_backend');
+
+const engine = new SanctuAI();
+
+test('the same seed gives the same documents', () => {
+    const first = new SyntheticGenerator(engine, { seed: 'fixture' }).corpus({ count: 6 });
+    const second = new SyntheticGenerator(engine, { seed: 'fixture' }).corpus({ count: 6 });
+    assert.deepStrictEqual(first, second);
+
+    const other = new SyntheticGenerator(engine, { seed: 'other' }).corpus({ count: 6 });
+    assert.notDeepStrictEqual(other.documents, first.documents);
+});
+
+test('documents cycle through the requested kinds', () => {
+    const { documents } = new SyntheticGenerator(engine, { seed: 1 }).corpus({ count: DOCUMENT_KINDS.length + 1 });
+    assert.deepStrictEqual(documents.map(document => document.kind), [...DOCUMENT_KINDS, DOCUMENT_KINDS[0]]);
+    assert.strictEqual(documents[DOCUMENT_KINDS.length].id, `${DOCUMENT_KINDS[0]}-2`);
+});
+
+test('annotations point at the text they describe', () => {
+    const { documents } = new SyntheticGenerator(engine, { seed: 7 }).corpus({ count: 30 });
+    for (const document of documents) {
+        assert.ok(document.annotations.length > 0, document.id);
+        for (const annotation of document.annotations) {
+            assert.strictEqual(document.text.substring(annotation.start, annotation.end), annotation.text, document.id);
+            for (const category of [].concat(annotation.category)) {
+                assert.ok(['PII', 'SYMPTOM', 'EMOTION', 'RELATION', 'MEDICAL'].includes(category), category);
+            }
+        }
+    }
+});
+
+test('invalid kinds and counts are rejected', () => {
+    const generator = new SyntheticGenerator(engine);
+    assert.throws(() => generator.corpus({ kinds: ['diary'] }), /Unknown document kind "diary"/);
+    assert.throws(() => generator.corpus({ count: 0 }), /count must be a positive integer/);
+    assert.throws(() => generator.document('diary', 0), /Unknown document kind "diary"/);
+});
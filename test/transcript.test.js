@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SanctuAI } = require('../sanctuai_backend');
+const { TranscriptError } = require('../sanctuai_transcript');
+
+test('heading lines are not treated as named speakers', () => {
+    const engine = new SanctuAI();
+    const result = engine.redactTranscript('Therapist: How was the week?\nPlan: keep journaling.\nClient: Bad. Plan was to sleep.');
+
+    assert.ok(result.redacted.includes('Plan: keep journaling.'), result.redacted);
+    assert.ok(result.redacted.includes('Plan was to sleep.'), result.redacted);
+    assert.strictEqual(result.turns[1].role, 'other');
+});
+
+test('speaker labels that are person names are redacted in every turn', () => {
+    const engine = new SanctuAI();
+    const result = engine.redactTranscript('Sarah: I talked to my therapist.\nTherapist: What did Sarah decide?');
+
+    assert.strictEqual(result.turns[0].role, 'named');
+    assert.ok(!result.redacted.includes('Sarah'), result.redacted);
+});
+
+test('chat messages with a non-string speaker are rejected', () => {
+    const engine = new SanctuAI();
+    assert.throws(() => engine.redactTranscript([{ speaker: { name: 'Sarah' }, text: 'Hello' }]), TranscriptError);
+    assert.throws(() => engine.redactTranscript([null]), TranscriptError);
+    assert.throws(() => engine.redactTranscript({ messages: 'Hello' }), TranscriptError);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Pseudonymizer, TokenVault } = require('../sanctuai_vault');
+const { CaseStore } = require('../sanctuai_cases');
+
+test('realistic phone surrogates stay unique beyond the first hundred', () => {
+    const pseudonymizer = new Pseudonymizer('realistic');
+    const surrogates = new Set();
+    for (let i = 0; i < 1000; i++) {
+        surrogates.add(pseudonymizer.surrogateFor(`(212) 555-${String(1000 + i)}`, 'PHONE_NUMBER'));
+    }
+    assert.strictEqual(surrogates.size, 1000);
+    assert.strictEqual(pseudonymizer.originals.get(pseudonymizer.surrogateFor('(212) 555-1000', 'PHONE_NUMBER')), '(212) 555-1000');
+    assert.strictEqual(pseudonymizer.originals.get(pseudonymizer.surrogateFor('(212) 555-1100', 'PHONE_NUMBER')), '(212) 555-1100');
+});
+
+test('surrogates already in use are skipped', () => {
+    const pseudonymizer = new Pseudonymizer('realistic');
+    pseudonymizer.originals.set('555-0100', 'an earlier original');
+    const surrogate = pseudonymizer.surrogateFor('202-555-0199', 'PHONE_NUMBER');
+    assert.notStrictEqual(surrogate, '555-0100');
+    assert.strictEqual(pseudonymizer.originals.get('555-0100'), 'an earlier original');
+});
+
+test('a vault stored on disk refuses to start without a key', () => {
+    const storagePath = path.join(os.tmpdir(), `sanctuai-vault-${process.pid}.json`);
+    assert.throws(() => new TokenVault({ storagePath }), /key is required/);
+    assert.throws(() => new CaseStore({ storagePath }), /key is required/);
+    assert.ok(!fs.existsSync(storagePath));
+});
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { readZip, writeZip } = require('../sanctuai_zip');
+
+const archive = writeZip([
+    { name: 'word/document.xml', method: 8, data: Buffer.alloc(10000, 'a') },
+    { name: 'word/styles.xml', method: 8, data: Buffer.alloc(10000, 'b') }
+]);
+
+test('archives round-trip under the inflation cap', () => {
+    const entries = readZip(archive, { maxInflatedBytes: 20000 });
+    assert.deepStrictEqual(entries.map(entry => entry.data.length), [10000, 10000]);
+});
+
+test('archives inflating past the cap are refused', () => {
+    assert.throws(() => readZip(archive, { maxInflatedBytes: 15000 }), /inflates to more than 15000 bytes/);
+
+    // Declared sizes understated, so only the capped inflation catches it
+    const forged = Buffer.from(archive);
+    for (let offset = forged.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02])); offset !== -1;
+        offset = forged.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]), offset + 4)) {
+        forged.writeUInt32LE(1, offset + 24);
+    }
+    assert.throws(() => readZip(forged, { maxInflatedBytes: 15000 }), /inflates to more than 15000 bytes/);
+});